@@ -0,0 +1,119 @@
+import * as THREE from 'three';
+import { createFishRig, createRiggedSchool } from './fishRig.js';
+import { SPECIES } from './species.js';
+
+// What both pages (main.js and trial.js) run the same way: the skinned fish
+// standing in for the schools, and the loop stepping the simulation and
+// drawing the tank. The page keeps what only it has and hands it in as
+// hooks.
+
+// Skinned fish standing in for the schools (see fishRig.js): built-in rigs
+// per species, or one loaded glTF fish for all of them. Shown while
+// params.skinnedFish is on, the instanced schools hidden meanwhile.
+export function createSkinnedFish(scene, flock, population, params) {
+  const rigs = {}; // species id -> rig, built when first needed
+  let model = null;
+
+  function rigFor(id) {
+    if (!rigs[id]) rigs[id] = createFishRig(SPECIES[id], { color: params.fishColor });
+    return rigs[id];
+  }
+
+  const school = createRiggedSchool(flock, state => model || rigFor(state.group));
+  school.group.visible = false;
+  scene.add(school.group);
+
+  return {
+    school,
+    rigFor,
+
+    setVisible(on) {
+      params.skinnedFish = on;
+      population.setVisible(!on);
+      school.group.visible = on;
+      if (!on) school.clear();
+    },
+
+    // One glTF fish for every species, null for the built-in rigs
+    setModel(loaded) {
+      model = loaded;
+      school.clear();
+    },
+
+    // Recolours the built-in rigs that follow the GUI colour
+    setColor(color) {
+      Object.keys(rigs).forEach(id => {
+        if (!SPECIES[id].color) rigs[id].mesh.material.color.set(color);
+      });
+    },
+
+    sync(dt) {
+      if (params.skinnedFish) school.sync(dt);
+    }
+  };
+}
+
+// Starts the render loop. Once ready() the simulation runs in fixed steps
+// of simClock (see simClock.js), recorded by `timeline` (see gui.js) while
+// Record is on; in playback the meshes follow the recording and the
+// simulation waits.
+//
+// A step moves the flock, then page.step(dt) (simClock.time is the start of
+// the step), then the bubbles, which pop on the water surface, and last the
+// surface. Every frame page.sync(time) moves the page's own meshes.
+export function startAquarium(tank, page) {
+  const {
+    renderer, controls, underwater, caustics, light, params, simClock, timeline,
+    flock, population, skinnedFish, bubbles, bubbleMesh, equipmentMesh, currentArrows, waterSim
+  } = tank;
+  const { ready = () => true, step = () => {}, sync = () => {} } = page;
+
+  const clock  = new THREE.Clock();
+  let swimTime = 0; // simulated time the fish are animated up to
+
+  // One fixed simulation step, the same steps from the same seed give the
+  // same run
+  function simulate(dt) {
+    // 1) Flocking, steering and obstacle avoidance
+    flock.step(dt);
+    step(dt);
+
+    // Bubbles rise from the air stones and pop at the surface
+    bubbles.step(dt, position => {
+      waterSim.disturb(position.x, position.z, params.bubblePopStrength, 0.15);
+    });
+    waterSim.step(dt);
+  }
+
+  renderer.setAnimationLoop(() => {
+    const delta = clock.getDelta();
+    let time = simClock.time;
+    if (timeline.controls.playback) {
+      const frame = timeline.player.update(delta);
+      if (frame) time = frame.time;
+    } else if (ready()) {
+      simClock.tick(delta, dt => {
+        simulate(dt);
+        timeline.record(simClock.time + dt);
+      });
+      time = simClock.time;
+    }
+
+    // 2) Copy simulation state onto the school instances, tails beating with
+    // how the fish moved since the last frame, then everything else
+    population.sync(time - swimTime);
+    skinnedFish.sync(time - swimTime);
+    swimTime = time;
+    bubbleMesh.sync(bubbles);
+    equipmentMesh.sync();
+    currentArrows.mesh.visible = params.showCurrent;
+    if (params.showCurrent) currentArrows.sync(time);
+    sync(time);
+    timeline.updateStats();
+    caustics.update(light);
+
+    // 3) Update controls, render scene
+    controls.update();
+    underwater.render(delta);
+  });
+}
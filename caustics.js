@@ -0,0 +1,218 @@
+import * as THREE from 'three';
+import { waterHeightChunk } from './water.js';
+
+// Caustics from the simulated water surface. Every frame a grid over the
+// surface is refracted along the light direction down to the floor plane;
+// each triangle adds (area before / area after refraction) into a top-down
+// caustics map, so focused light gets brighter and spread light dimmer.
+//
+// Materials read the map through causticsChunk: a point is projected along
+// the refracted light onto the floor plane and looked up there. Standard
+// materials are patched with applyCaustics(), the fish shader includes the
+// chunk itself. There is one caustics map per page, so the uniforms are
+// shared module state.
+
+const IOR_WATER = 1.33;
+
+export const causticsUniforms = {
+  causticsMap:       { value: null },
+  causticsBounds:    { value: new THREE.Vector4(0, 0, 1, 1) }, // minX, minZ, 1 / width, 1 / depth
+  causticsFloorY:    { value: 0 },
+  causticsLight:     { value: new THREE.Vector3(0, -1, 0) },   // refracted, pointing down
+  causticsIntensity: { value: 0 }
+};
+
+// causticsLightAt(worldPos): light reaching a point relative to a flat
+//   surface, 1 outside the map
+// causticsAt(worldPos, worldNormal): extra direct light on a surface, 0 under
+//   a flat surface, positive where light is focused and negative where it spreads
+export const causticsChunk = `
+uniform sampler2D causticsMap;
+uniform vec4 causticsBounds;
+uniform float causticsFloorY;
+uniform vec3 causticsLight;
+uniform float causticsIntensity;
+
+float causticsLightAt(vec3 worldPos) {
+  vec2 xz = worldPos.xz + causticsLight.xz * (causticsFloorY - worldPos.y) / causticsLight.y;
+  vec2 uv = (xz - causticsBounds.xy) * causticsBounds.zw;
+  if (any(lessThan(uv, vec2(0.0))) || any(greaterThan(uv, vec2(1.0)))) return 1.0;
+  return texture2D(causticsMap, uv).r;
+}
+
+float causticsAt(vec3 worldPos, vec3 worldNormal) {
+  float facing = clamp(dot(worldNormal, -causticsLight), 0.0, 1.0);
+  return (causticsLightAt(worldPos) - 1.0) * facing * causticsIntensity;
+}
+`;
+
+// Scales the direct diffuse light of a built-in lit material by the caustics
+export function applyCaustics(material) {
+  const previous = material.onBeforeCompile;
+  material.customProgramCacheKey = () => `caustics:${previous.toString()}`;
+  material.onBeforeCompile = (shader, renderer) => {
+    previous.call(material, shader, renderer);
+    Object.assign(shader.uniforms, causticsUniforms);
+
+    shader.vertexShader = `
+      varying vec3 vCausticsPos;
+      varying vec3 vCausticsNormal;
+      ${shader.vertexShader}
+    `.replace(
+      `#include <project_vertex>`,
+      `#include <project_vertex>
+        vec4 causticsPos = vec4(transformed, 1.0);
+        vec3 causticsNormal = objectNormal;
+        #ifdef USE_INSTANCING
+          causticsPos = instanceMatrix * causticsPos;
+          causticsNormal = mat3(instanceMatrix) * causticsNormal;
+        #endif
+        vCausticsPos = (modelMatrix * causticsPos).xyz;
+        vCausticsNormal = normalize(mat3(modelMatrix) * causticsNormal);
+      `
+    );
+
+    shader.fragmentShader = `
+      varying vec3 vCausticsPos;
+      varying vec3 vCausticsNormal;
+      ${causticsChunk}
+      ${shader.fragmentShader}
+    `.replace(
+      `#include <lights_fragment_end>`,
+      `#include <lights_fragment_end>
+        float caustics = causticsAt(vCausticsPos, normalize(vCausticsNormal) * (gl_FrontFacing ? 1.0 : -1.0));
+        reflectedLight.directDiffuse *= max(1.0 + caustics, 0.0);
+      `
+    );
+  };
+  return material;
+}
+
+// Plane over the surface (local xy, world xz = (x, -y)), refracted in the
+// vertex shader; the fragment shader compares triangle areas via derivatives
+const causticsVertex = `
+${waterHeightChunk}
+uniform vec3 lightDir;       // incoming, pointing down
+uniform float surfaceY;
+uniform float floorY;
+uniform vec4 bounds;         // minX, minZ, 1 / width, 1 / depth
+varying vec2 vOldPos;
+varying vec2 vNewPos;
+
+vec2 toFloor(vec3 origin, vec3 dir) {
+  return origin.xz + dir.xz * (floorY - origin.y) / dir.y;
+}
+
+void main() {
+  vec2 xz = vec2(position.x, -position.y);
+  vec3 surface = waterSurface(xz);
+  vec3 normal = normalize(vec3(-surface.y, 1.0, -surface.z));
+
+  vec3 flatRay = refract(lightDir, vec3(0.0, 1.0, 0.0), 1.0 / ${IOR_WATER});
+  vec3 ray = refract(lightDir, normal, 1.0 / ${IOR_WATER});
+  vOldPos = toFloor(vec3(xz.x, surfaceY, xz.y), flatRay);
+  vNewPos = toFloor(vec3(xz.x, surfaceY + surface.x, xz.y), ray);
+
+  vec2 uv = (vNewPos - bounds.xy) * bounds.zw;
+  gl_Position = vec4(uv * 2.0 - 1.0, 0.0, 1.0);
+}
+`;
+
+const causticsFragment = `
+varying vec2 vOldPos;
+varying vec2 vNewPos;
+
+float area(vec2 p) {
+  vec2 dx = dFdx(p);
+  vec2 dy = dFdy(p);
+  return abs(dx.x * dy.y - dx.y * dy.x);
+}
+
+void main() {
+  float intensity = area(vOldPos) / max(area(vNewPos), 1e-8);
+  gl_FragColor = vec4(min(intensity, 20.0), 0.0, 0.0, 1.0);
+}
+`;
+
+const _lightDir   = new THREE.Vector3();
+const _target     = new THREE.Vector3();
+const _clearColor = new THREE.Color();
+
+// Snell's law through a flat surface (normal +y) for a ray pointing down
+function refractFlat(dir, target) {
+  const eta  = 1 / IOR_WATER;
+  const cosI = -dir.y;
+  const cosT = Math.sqrt(1 - eta * eta * (1 - cosI * cosI));
+  return target.copy(dir).multiplyScalar(eta).setY(dir.y * eta + eta * cosI - cosT).normalize();
+}
+
+// water: solver from createWaterSurface, its uniforms drive the surface.
+// width / depth: area covered by the map, centred on the origin.
+// surfaceY / floorY: world heights of the still water and of the floor plane.
+export function createCaustics(renderer, water, { width, depth, surfaceY, floorY, resolution = 512, segments = 256 }) {
+  const renderTarget = new THREE.WebGLRenderTarget(resolution, resolution, {
+    type: THREE.HalfFloatType,
+    depthBuffer: false
+  });
+
+  const bounds = new THREE.Vector4(-width / 2, -depth / 2, 1 / width, 1 / depth);
+  const material = new THREE.ShaderMaterial({
+    uniforms: {
+      ...water.uniforms,
+      lightDir: { value: new THREE.Vector3(0, -1, 0) },
+      surfaceY: { value: surfaceY },
+      floorY:   { value: floorY },
+      bounds:   { value: bounds }
+    },
+    vertexShader: causticsVertex,
+    fragmentShader: causticsFragment,
+    blending: THREE.AdditiveBlending,
+    depthTest: false,
+    depthWrite: false,
+    side: THREE.DoubleSide
+  });
+
+  const mesh = new THREE.Mesh(new THREE.PlaneGeometry(width, depth, segments, segments), material);
+  mesh.frustumCulled = false;
+  const scene  = new THREE.Scene();
+  scene.add(mesh);
+  const camera = new THREE.Camera();
+
+  causticsUniforms.causticsMap.value = renderTarget.texture;
+  causticsUniforms.causticsBounds.value.copy(bounds);
+  causticsUniforms.causticsFloorY.value = floorY;
+  causticsUniforms.causticsIntensity.value = 1;
+
+  return {
+    renderTarget,
+    uniforms: causticsUniforms,
+
+    setIntensity(value) {
+      causticsUniforms.causticsIntensity.value = value;
+    },
+
+    // light: a DirectionalLight, its direction can change every frame
+    update(light) {
+      light.target.getWorldPosition(_lightDir);
+      _lightDir.sub(light.getWorldPosition(_target)).normalize();
+      material.uniforms.lightDir.value.copy(_lightDir);
+      refractFlat(_lightDir, causticsUniforms.causticsLight.value);
+
+      const previousTarget = renderer.getRenderTarget();
+      const previousAlpha  = renderer.getClearAlpha();
+      renderer.getClearColor(_clearColor);
+      renderer.setRenderTarget(renderTarget);
+      renderer.setClearColor(0x000000, 0);
+      renderer.clear();
+      renderer.render(scene, camera);
+      renderer.setRenderTarget(previousTarget);
+      renderer.setClearColor(_clearColor, previousAlpha);
+    },
+
+    dispose() {
+      renderTarget.dispose();
+      material.dispose();
+      mesh.geometry.dispose();
+    }
+  };
+}
@@ -0,0 +1,191 @@
+import * as THREE from 'three';
+import { createRandom } from './random.js';
+import { EQUIPMENT_KINDS } from './equipment.js';
+
+// One water current for the whole tank, sampled wherever something drifts:
+// fish, pellets, bubbles and plants all ask the same field.
+//
+//   base flow   horizontal, currentDirection (degrees, 0 flows along +x,
+//               90 along +z) at currentStrength (0..1) of BASE_SPEED
+//   eddies      curl noise: the curl of a few random travelling waves, so
+//               the swirls are divergence free (water isn't made or lost)
+//               and drift downstream with the base flow
+//   equipment   pumps and filter outlets blow jets that spread in a cone
+//               from the nozzle and slow as they widen; filter intakes draw
+//               the same water back in (see equipment.js)
+//
+// Near the glass the flow into it fades out, so drifting things slide along
+// the walls instead of piling onto them.
+//
+// params (read live): currentDirection, currentStrength, currentTurbulence
+// (0..1 of TURBULENCE_SPEED)
+
+const BASE_SPEED       = 0.4; // m/s at full strength
+const TURBULENCE_SPEED = 0.4; // rough eddy speed at full turbulence
+const EDDY_SIZE        = 6;   // wavelength of the largest eddies
+const OCTAVES          = 2;   // each half the size and speed of the last
+const WAVES            = 2;   // waves per potential component and octave
+const WALL_LAYER       = 0.5; // flow into the glass fades over this distance
+const ARROW_SECONDS    = 2;   // arrows show how far the water gets in this
+
+const _base     = new THREE.Vector3();
+const _local    = new THREE.Vector3();
+const _gradient = [new THREE.Vector3(), new THREE.Vector3(), new THREE.Vector3()];
+const _jet      = new THREE.Vector3();
+const _offset   = new THREE.Vector3();
+
+export class WaterCurrent {
+  // bounds: Box3 inside of the glass
+  // equipment: the scene's equipment list, read live so the GUI can move it
+  // random: generator from random.js, seeds the eddies
+  constructor(params, { bounds, equipment = [], random = createRandom() }) {
+    this.params    = params;
+    this.bounds    = bounds;
+    this.equipment = equipment;
+
+    // Vector potential: per component, travelling waves of random direction
+    this.waves = [0, 1, 2].map(() => {
+      const waves = [];
+      for (let octave = 0; octave < OCTAVES; octave++) {
+        const k = Math.PI * 2 * 2 ** octave / EDDY_SIZE;
+        for (let i = 0; i < WAVES; i++) {
+          waves.push({
+            k:      random.randomDirection().multiplyScalar(k),
+            // potential amplitude, so the speed (amplitude * k) halves per octave
+            amount: 1 / (2 ** octave * k * Math.sqrt(WAVES)),
+            speed:  random.randFloat(0.2, 0.5) * 2 ** octave, // radians per second
+            phase:  random.random() * Math.PI * 2
+          });
+        }
+      }
+      return waves;
+    });
+  }
+
+  // Base flow velocity
+  baseFlow(target = new THREE.Vector3()) {
+    const { currentDirection, currentStrength } = this.params;
+    const angle = THREE.MathUtils.degToRad(currentDirection);
+    return target.set(Math.cos(angle), 0, Math.sin(angle)).multiplyScalar(currentStrength * BASE_SPEED);
+  }
+
+  // Water velocity at position (world) and time (simulated seconds)
+  sample(position, time, target = new THREE.Vector3()) {
+    this.baseFlow(_base);
+    target.copy(_base);
+
+    const turbulence = this.params.currentTurbulence * TURBULENCE_SPEED;
+    if (turbulence > 0) {
+      // Eddies ride along with the base flow
+      _local.copy(position).addScaledVector(_base, -time);
+      this.waves.forEach((waves, c) => {
+        const gradient = _gradient[c].set(0, 0, 0);
+        waves.forEach(wave => {
+          gradient.addScaledVector(wave.k, wave.amount * Math.cos(wave.k.dot(_local) + wave.speed * time + wave.phase));
+        });
+      });
+      const [gx, gy, gz] = _gradient;
+      target.x += (gz.y - gy.z) * turbulence;
+      target.y += (gx.z - gz.x) * turbulence;
+      target.z += (gy.x - gx.y) * turbulence;
+    }
+
+    this.equipment.forEach(item => {
+      if (!item.enabled || !EQUIPMENT_KINDS[item.kind].nozzle) return;
+      target.add(this.jet(item, position, _jet));
+      if (item.intake) target.add(this.intake(item, position, _jet));
+    });
+
+    if (this.bounds) this.fadeAtWalls(position, target);
+    return target;
+  }
+
+  // Velocity a pump or filter outlet adds at position
+  jet(pump, position, target = new THREE.Vector3()) {
+    const { nozzle, spread } = EQUIPMENT_KINDS[pump.kind];
+    const heading = THREE.MathUtils.degToRad(pump.heading);
+    const tilt    = THREE.MathUtils.degToRad(pump.tilt);
+    target.set(Math.cos(tilt) * Math.cos(heading), Math.sin(tilt), Math.cos(tilt) * Math.sin(heading));
+
+    _offset.fromArray(pump.position).subVectors(position, _offset);
+    const along = _offset.dot(target);
+    if (along <= 0) return target.set(0, 0, 0);
+    const acrossSq = Math.max(_offset.lengthSq() - along * along, 0);
+    // Momentum is kept as the jet widens, so it slows in proportion
+    const width = nozzle + along * spread;
+    return target.multiplyScalar(pump.strength * nozzle / width * Math.exp(-acrossSq / (width * width)));
+  }
+
+  // Velocity toward a filter's intake: what the outlet blows out is drawn
+  // in evenly from all around, so it falls off with the distance squared
+  intake(filter, position, target = new THREE.Vector3()) {
+    const { nozzle } = EQUIPMENT_KINDS[filter.kind];
+    target.fromArray(filter.intake).sub(position);
+    const distSq = Math.max(target.lengthSq(), nozzle * nozzle);
+    return target.setLength(filter.strength * nozzle * nozzle / (4 * distSq));
+  }
+
+  fadeAtWalls(position, velocity) {
+    const { min, max } = this.bounds;
+    ['x', 'y', 'z'].forEach(axis => {
+      const gap = velocity[axis] > 0 ? max[axis] - position[axis] : position[axis] - min[axis];
+      if (gap < WALL_LAYER) velocity[axis] *= Math.max(gap, 0) / WALL_LAYER;
+    });
+  }
+}
+
+// Arrows on a grid through bounds showing the current, each as long as the
+// distance the water travels in ARROW_SECONDS. Call sync(time) to update.
+export function createCurrentArrows(current, bounds, { counts = [10, 5, 8], color = 0x88ddff } = {}) {
+  const [nx, ny, nz] = counts;
+  const size = bounds.getSize(new THREE.Vector3());
+  const origins = [];
+  for (let iy = 0; iy < ny; iy++) {
+    for (let iz = 0; iz < nz; iz++) {
+      for (let ix = 0; ix < nx; ix++) {
+        origins.push(new THREE.Vector3(
+          bounds.min.x + size.x * (ix + 0.5) / nx,
+          bounds.min.y + size.y * (iy + 0.5) / ny,
+          bounds.min.z + size.z * (iz + 0.5) / nz
+        ));
+      }
+    }
+  }
+
+  // Shaft plus two head strokes per arrow
+  const positions = new Float32Array(origins.length * 6 * 3);
+  const geometry = new THREE.BufferGeometry();
+  geometry.setAttribute('position', new THREE.BufferAttribute(positions, 3).setUsage(THREE.DynamicDrawUsage));
+  const mesh = new THREE.LineSegments(geometry, new THREE.LineBasicMaterial({ color, transparent: true, opacity: 0.7 }));
+  mesh.frustumCulled = false;
+
+  const flow = new THREE.Vector3();
+  const tip  = new THREE.Vector3();
+  const side = new THREE.Vector3();
+  const up   = new THREE.Vector3(0, 1, 0);
+
+  function sync(time) {
+    origins.forEach((origin, i) => {
+      current.sample(origin, time, flow).multiplyScalar(ARROW_SECONDS);
+      tip.addVectors(origin, flow);
+      // Head strokes fan out across the arrow, in the horizontal where possible
+      side.crossVectors(flow, up);
+      if (side.lengthSq() < 1e-8) side.set(flow.y, 0, 0);
+      side.setLength(flow.length() * 0.15);
+      const o = i * 18;
+      origin.toArray(positions, o);
+      tip.toArray(positions, o + 3);
+      tip.toArray(positions, o + 6);
+      positions[o + 9]  = tip.x - flow.x * 0.25 + side.x;
+      positions[o + 10] = tip.y - flow.y * 0.25 + side.y;
+      positions[o + 11] = tip.z - flow.z * 0.25 + side.z;
+      tip.toArray(positions, o + 12);
+      positions[o + 15] = tip.x - flow.x * 0.25 - side.x;
+      positions[o + 16] = tip.y - flow.y * 0.25 - side.y;
+      positions[o + 17] = tip.z - flow.z * 0.25 - side.z;
+    });
+    geometry.attributes.position.needsUpdate = true;
+  }
+
+  return { mesh, geometry, sync };
+}
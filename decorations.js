@@ -0,0 +1,262 @@
+import * as THREE from 'three';
+import { GLTFLoader } from 'three/examples/jsm/loaders/GLTFLoader.js';
+
+// Decorations modelled elsewhere and shipped as glTF files. ASSETS lists
+// them by id; a scene picks its sand material (substrate.material) and how
+// many of each prop go in the tank (decorations.props), see scene.js.
+//
+//   name       shown to people
+//   url        the .gltf or .glb, relative to the page
+//
+// Materials (the sand) also have:
+//
+//   material   name of the material in the file
+//   repeat     [u, v] times its textures tile across the sand bed
+//
+// Props also have:
+//
+//   node       name of the node to place, when the file holds several models
+//              (default: the whole scene)
+//   size       across its largest side at scale 1, in world units
+//   sink       how much of its height goes into the sand, 0..1
+//   collision  'sphere': fish steer around its bounding sphere; 'none': they
+//              swim through it. Nodes named collider* in the model (empties
+//              or meshes, hidden when placed) replace the bounding sphere
+//              with one sphere each, for shapes a single sphere fits badly.
+//
+// For now the only prop is the sand file's preview sphere; another is one
+// more entry here and its file next to the page.
+
+export const ASSETS = {
+  gravellySand: {
+    name:     'Gravelly sand',
+    url:      'gravelly_sand_4k.gltf/gravelly_sand_4k.gltf',
+    material: 'gravelly_sand',
+    repeat:   [4, 2] // less repetition on the short side
+  },
+  // The material's preview sphere, sunk into the sand it makes a smooth boulder
+  sandBoulder: {
+    name:      'Sand boulder',
+    url:       'gravelly_sand_4k.gltf/gravelly_sand_4k.gltf',
+    size:      1,
+    sink:      0.4,
+    collision: 'sphere'
+  }
+};
+
+export const MATERIAL_IDS = Object.keys(ASSETS).filter(id => ASSETS[id].material);
+export const PROP_IDS     = Object.keys(ASSETS).filter(id => !ASSETS[id].material);
+
+const COLLIDER     = /^collider/i;
+const PLACE_TRIES  = 8; // spots tried before a prop may overlap another obstacle
+const SETTLE       = 0.2; // of its height a prop may sink further into shifting sand
+const TEXTURE_KEYS = ['map', 'normalMap', 'roughnessMap', 'metalnessMap', 'aoMap', 'emissiveMap'];
+
+const _box    = new THREE.Box3();
+const _sphere = new THREE.Sphere();
+const _spot   = new THREE.Vector3();
+const _scale  = new THREE.Vector3();
+const _up     = new THREE.Vector3(0, 1, 0);
+
+// Ids of the assets scene (a parsed scene file) needs
+export function sceneAssets(scene) {
+  const ids = scene.decorations.props.map(prop => prop.asset);
+  if (scene.substrate.material) ids.unshift(scene.substrate.material);
+  return [...new Set(ids)];
+}
+
+// Loads the files of the assets ids, each file once. Resolves with
+// { [id]: gltf }; onProgress(loaded, total) counts files and textures as
+// they are found and finish.
+export function loadAssets(ids, { onProgress = null } = {}) {
+  const manager = new THREE.LoadingManager();
+  if (onProgress) manager.onProgress = (url, loaded, total) => onProgress(loaded, total);
+  const loader = new GLTFLoader(manager);
+  const files = new Map(); // url -> gltf promise
+  return Promise.all(ids.map(id => {
+    const { url } = ASSETS[id];
+    if (!files.has(url)) files.set(url, loader.loadAsync(url));
+    return files.get(url).then(gltf => [id, gltf]);
+  })).then(Object.fromEntries);
+}
+
+// A full-page veil with a progress bar; update(loaded, total), done()
+export function createLoadingOverlay(label = 'Loading decorations') {
+  const overlay = document.createElement('div');
+  Object.assign(overlay.style, {
+    position: 'fixed', inset: '0', display: 'flex', flexDirection: 'column',
+    alignItems: 'center', justifyContent: 'center', gap: '12px',
+    background: 'rgba(4, 24, 40, 0.85)', color: '#cfe8ff', font: '14px sans-serif', zIndex: '10'
+  });
+  const text = document.createElement('div');
+  text.textContent = label;
+  const bar = document.createElement('div');
+  Object.assign(bar.style, { width: '240px', height: '4px', background: 'rgba(255, 255, 255, 0.2)' });
+  const fill = document.createElement('div');
+  Object.assign(fill.style, { width: '0%', height: '100%', background: '#88ccee' });
+  bar.appendChild(fill);
+  overlay.append(text, bar);
+  document.body.appendChild(overlay);
+
+  return {
+    update(loaded, total) {
+      text.textContent = `${label} (${loaded} / ${total})`;
+      fill.style.width = `${total > 0 ? 100 * loaded / total : 0}%`;
+    },
+    done() {
+      overlay.remove();
+    }
+  };
+}
+
+// A copy of the asset's material from its loaded file, its textures tiling
+// asset.repeat times
+export function assetMaterial(gltf, asset) {
+  let found = null;
+  gltf.scene.traverse(child => {
+    if (found || !child.isMesh) return;
+    found = [].concat(child.material).find(material => material.name === asset.material) || null;
+  });
+  if (!found) throw new Error(`${asset.url}: no material named "${asset.material}"`);
+
+  const material = found.clone();
+  TEXTURE_KEYS.forEach(key => {
+    if (!material[key]) return;
+    // Own copies, so the tiling doesn't reach props sharing the file
+    material[key] = material[key].clone();
+    material[key].wrapS = material[key].wrapT = THREE.RepeatWrapping;
+    if (asset.repeat) material[key].repeat.fromArray(asset.repeat);
+  });
+  return material;
+}
+
+// The prop's model at size 1 standing on the origin: a pivot holding the
+// model (collider nodes hidden), its height, and its collision spheres
+// in pivot space
+function prepareProp(gltf, asset, setupMaterial) {
+  const source = asset.node ? gltf.scene.getObjectByName(asset.node) : gltf.scene;
+  if (!source) throw new Error(`${asset.url}: no node named "${asset.node}"`);
+  const model = source.clone();
+  model.position.set(0, 0, 0);
+  model.quaternion.identity();
+  model.scale.set(1, 1, 1);
+  model.updateMatrixWorld(true);
+
+  const colliders = [];
+  model.traverse(child => {
+    if (!COLLIDER.test(child.name)) return;
+    if (child.isMesh) {
+      if (!child.geometry.boundingSphere) child.geometry.computeBoundingSphere();
+      _sphere.copy(child.geometry.boundingSphere).applyMatrix4(child.matrixWorld);
+    } else {
+      // An empty's scale is its radius
+      child.matrixWorld.decompose(_sphere.center, new THREE.Quaternion(), _scale);
+      _sphere.radius = Math.max(_scale.x, _scale.y, _scale.z);
+    }
+    colliders.push(_sphere.clone());
+  });
+  model.traverse(child => {
+    if (COLLIDER.test(child.name)) child.visible = false;
+  });
+
+  // Meshes are shared by every copy placed, so their materials are set up once
+  const materials = new Map();
+  const setupOnce = material => {
+    if (!materials.has(material)) materials.set(material, setupMaterial(material.clone()));
+    return materials.get(material);
+  };
+  model.traverse(child => {
+    if (!child.isMesh || !child.visible) return;
+    child.material = Array.isArray(child.material) ? child.material.map(setupOnce) : setupOnce(child.material);
+    child.castShadow = true;
+    child.receiveShadow = true;
+  });
+
+  // Bounds of what shows, to stand it on the origin at size 1
+  _box.makeEmpty();
+  model.traverseVisible(child => {
+    if (child.isMesh) _box.expandByObject(child, true);
+  });
+  if (_box.isEmpty()) throw new Error(`${asset.url}: nothing to show`);
+  const extent = _box.getSize(new THREE.Vector3());
+  const scale = asset.size / Math.max(extent.x, extent.y, extent.z);
+  const offset = new THREE.Vector3(
+    -(_box.min.x + _box.max.x) / 2,
+    -_box.min.y,
+    -(_box.min.z + _box.max.z) / 2
+  );
+  model.position.copy(offset).multiplyScalar(scale);
+  model.scale.setScalar(scale);
+  const pivot = new THREE.Group();
+  pivot.add(model);
+
+  if (colliders.length === 0 && asset.collision === 'sphere') colliders.push(_box.getBoundingSphere(new THREE.Sphere()));
+  colliders.forEach(sphere => {
+    sphere.center.add(offset).multiplyScalar(scale);
+    sphere.radius *= scale;
+  });
+  return { pivot, height: extent.y * scale, colliders };
+}
+
+// Places count copies of a prop asset, from its loaded file, at random
+// spots on the sand: each a random size between minScale and maxScale,
+// leaning with the slope, turned at random and sunk asset.sink of its
+// height into the sand. Spots already taken by obstacles are avoided where
+// possible, and each copy's collision spheres are added to them. With a
+// sediment each copy rides the sand and settles up to SETTLE of its height
+// further; sync() after every sediment step takes the spheres along.
+//
+// world: { random (from random.js), area { halfX, halfZ } around the
+// origin, groundHeightAt(x, z), normalAt(x, z, target), obstacles
+// (ObstacleSet, optional), sediment (Sediment, optional),
+// setupMaterial(material) (optional, for caustics, called once per material) }
+//
+// Returns { mesh (a group of the copies), props: [{ object, colliders }], sync }.
+export function createProps(gltf, asset, { count, minScale, maxScale }, world) {
+  const {
+    random, area, groundHeightAt, normalAt, obstacles = null, sediment = null,
+    setupMaterial = material => material
+  } = world;
+  const { pivot, height, colliders } = prepareProp(gltf, asset, setupMaterial);
+  const footprint = colliders.reduce((r, sphere) => Math.max(r, sphere.radius), 0);
+  const group = new THREE.Group();
+  const props = [];
+
+  for (let i = 0; i < count; i++) {
+    const scale = random.randFloat(minScale, maxScale);
+    let x = 0, z = 0;
+    for (let tries = 0; tries < PLACE_TRIES; tries++) {
+      x = random.randFloatSpread(area.halfX * 2);
+      z = random.randFloatSpread(area.halfZ * 2);
+      const radius = footprint * scale;
+      if (!obstacles || radius === 0) break;
+      _spot.set(x, groundHeightAt(x, z) + radius + 0.01, z);
+      if (!obstacles.contains(_spot, radius)) break;
+    }
+
+    const object = pivot.clone();
+    object.position.set(x, groundHeightAt(x, z) - (asset.sink || 0) * height * scale, z);
+    object.scale.setScalar(scale);
+    // Lean with the slope, then a random turn about the surface normal
+    object.quaternion.setFromUnitVectors(_up, normalAt(x, z, _spot));
+    object.rotateY(random.random() * Math.PI * 2);
+    object.updateMatrixWorld(true);
+    group.add(object);
+
+    const placed = colliders.map(sphere => sphere.clone().applyMatrix4(object.matrixWorld));
+    if (obstacles) placed.forEach(sphere => obstacles.addSphere(sphere.center, sphere.radius));
+    if (sediment) sediment.addBody(object.position, { maxSink: SETTLE * height * scale });
+    props.push({ object, colliders: placed });
+  }
+
+  // Puts the collision spheres back on their props, wherever the sand has
+  // carried them
+  function sync() {
+    props.forEach(({ object, colliders: placed }) => {
+      object.updateMatrixWorld();
+      placed.forEach((sphere, i) => sphere.center.copy(colliders[i].center).applyMatrix4(object.matrixWorld));
+    });
+  }
+
+  return { mesh: group, props, sync };
+}
@@ -0,0 +1,231 @@
+import * as THREE from 'three';
+import { createRandom } from './random.js';
+
+// Aquarium equipment: air stones bubbling on the sand, pumps and filters
+// pushing the water about (their jets are part of the WaterCurrent, see
+// current.js). Items are plain scene data (scene.js `equipment`), so the GUI
+// edits them in place and saving the scene keeps them:
+//
+//   { kind, position: [x, y, z], heading (degrees, 0 points along +x, 90
+//     along +z), tilt (degrees up), strength, enabled,
+//     intake: [x, y, z] (filters only) }
+//
+//   airStone  a stream of bubbles, strength bubbles per second
+//   pump      a powerhead: one jet, strength m/s at the nozzle
+//   filter    draws water in at the intake and blows it out of the outlet
+//             at position, strength m/s at the outlet
+//
+// Everything sits on the sand or against the glass: snapEquipment() moves
+// it onto whichever is closest (air stones only go on the sand).
+
+export const EQUIPMENT_KINDS = {
+  airStone: { name: 'Air stone' },
+  pump:     { name: 'Pump',   nozzle: 0.1,  spread: 0.2 },
+  filter:   { name: 'Filter', nozzle: 0.25, spread: 0.3 }
+};
+
+const MOUNT_GAP     = 0.1;  // centres sit this far off the sand or glass
+const BUBBLE_RADIUS = 0.07;
+const BUBBLE_DRAG   = 4;    // how quickly bubbles take up their rise and the current
+const MAX_BUBBLES   = 1000;
+
+const _water = new THREE.Vector3();
+
+// Moves position (an [x, y, z] array) onto the nearest of the sand and the
+// walls of bounds, keeping it inside the tank and above the sand
+function snapPoint(position, { bounds, groundHeightAt }, sandOnly) {
+  const { min, max } = bounds;
+  const x = THREE.MathUtils.clamp(position[0], min.x + MOUNT_GAP, max.x - MOUNT_GAP);
+  const z = THREE.MathUtils.clamp(position[2], min.z + MOUNT_GAP, max.z - MOUNT_GAP);
+  const ground = groundHeightAt(x, z) + MOUNT_GAP;
+  const y = THREE.MathUtils.clamp(position[1], ground, max.y - MOUNT_GAP);
+
+  // [distance to the mount, axis, where on it]
+  const mounts = [[y - ground, 1, ground]];
+  if (!sandOnly) {
+    const x0 = min.x + MOUNT_GAP, x1 = max.x - MOUNT_GAP;
+    const z0 = min.z + MOUNT_GAP, z1 = max.z - MOUNT_GAP;
+    mounts.push([x - x0, 0, x0], [x1 - x, 0, x1], [z - z0, 2, z0], [z1 - z, 2, z1]);
+  }
+  const [, axis, at] = mounts.reduce((best, mount) => (mount[0] < best[0] ? mount : best));
+  position[0] = x;
+  position[1] = y;
+  position[2] = z;
+  position[axis] = at;
+  return position;
+}
+
+// world: { bounds (Box3 inside of the glass), groundHeightAt(x, z) }
+export function snapEquipment(item, world) {
+  snapPoint(item.position, world, item.kind === 'airStone');
+  if (item.intake) snapPoint(item.intake, world, false);
+  return item;
+}
+
+// A new item of `kind`: air stones in the middle of the sand, pumps and
+// filters on the -x wall blowing into the tank
+export function createEquipment(kind, world) {
+  const { min, max } = world.bounds;
+  const item = { kind, position: [0, min.y, 0], heading: 0, tilt: 0, strength: 1, enabled: true };
+  if (kind === 'pump') {
+    item.position = [min.x, (min.y + max.y) / 2, 0];
+  } else if (kind === 'filter') {
+    item.position = [min.x, max.y - 1, min.z / 2];
+    item.intake   = [min.x, min.y + 1.5, min.z / 2];
+    item.strength = 0.6;
+  }
+  return snapEquipment(item, world);
+}
+
+// Bubbles streaming up from the enabled air stones, popping at the surface.
+// `bubbles` holds only the ones in the water: { position, velocity, rise }.
+export class BubbleStreams {
+  // equipment: the scene's equipment list, read live
+  // max: most bubbles in the water at once (stones wait for room)
+  // surfaceY: where bubbles pop
+  // current(position, target): optional water velocity at position
+  // random: generator from random.js, seeded for reproducible runs
+  constructor(equipment, { max, surfaceY, current = null, random = createRandom() }) {
+    this.equipment = equipment;
+    this.max       = Math.min(max, MAX_BUBBLES);
+    this.surfaceY  = surfaceY;
+    this.current   = current;
+    this.random    = random;
+    this.bubbles   = [];
+    this.timers    = new Map(); // air stone -> seconds since its last bubble
+  }
+
+  // onPop(position) for every bubble reaching the surface
+  step(dt, onPop = null) {
+    this.equipment.forEach(item => {
+      if (item.kind !== 'airStone' || !item.enabled || item.strength <= 0) return;
+      let timer = (this.timers.get(item) || 0) + dt;
+      const interval = 1 / item.strength;
+      while (timer >= interval) {
+        timer -= interval;
+        if (this.bubbles.length < this.max) this.emit(item);
+      }
+      this.timers.set(item, timer);
+    });
+
+    this.bubbles = this.bubbles.filter(bubble => {
+      // Drag pulls each bubble toward rising at its own speed through the water
+      if (this.current) this.current(bubble.position, _water);
+      else _water.set(0, 0, 0);
+      _water.y += bubble.rise;
+      bubble.velocity.sub(_water).multiplyScalar(Math.exp(-BUBBLE_DRAG * dt)).add(_water);
+      bubble.position.addScaledVector(bubble.velocity, dt);
+      if (bubble.position.y < this.surfaceY) return true;
+      if (onPop) onPop(bubble.position);
+      return false;
+    });
+  }
+
+  emit(stone) {
+    const { random } = this;
+    this.bubbles.push({
+      position: new THREE.Vector3(
+        stone.position[0] + random.randFloatSpread(0.1),
+        stone.position[1],
+        stone.position[2] + random.randFloatSpread(0.1)
+      ),
+      velocity: new THREE.Vector3(),
+      rise:     random.randFloat(0.15, 0.5)
+    });
+  }
+
+  // Grows or shrinks bubbles to count (timeline playback)
+  resize(count) {
+    while (this.bubbles.length < count) {
+      this.bubbles.push({ position: new THREE.Vector3(), velocity: new THREE.Vector3(), rise: 0 });
+    }
+    this.bubbles.length = count;
+  }
+}
+
+// One instanced draw call for all bubbles
+export function createBubbleMesh(scene, max) {
+  const mesh = new THREE.InstancedMesh(
+    new THREE.SphereGeometry(BUBBLE_RADIUS, 8, 8),
+    new THREE.MeshPhysicalMaterial({
+      color: 0xffffff,
+      transparent: true,
+      opacity: 0.25,
+      roughness: 0,
+      metalness: 0,
+      transmission: 0.9,
+      thickness: 0.3
+    }),
+    Math.min(max, MAX_BUBBLES)
+  );
+  mesh.instanceMatrix.setUsage(THREE.DynamicDrawUsage);
+  mesh.count = 0;
+  mesh.frustumCulled = false;
+  scene.add(mesh);
+
+  const _matrix = new THREE.Matrix4();
+  return {
+    mesh,
+    sync(streams) {
+      const count = Math.min(streams.bubbles.length, mesh.instanceMatrix.count);
+      for (let i = 0; i < count; i++) {
+        const { position } = streams.bubbles[i];
+        _matrix.makeTranslation(position.x, position.y, position.z);
+        mesh.setMatrixAt(i, _matrix);
+      }
+      mesh.count = count;
+      mesh.instanceMatrix.needsUpdate = true;
+    }
+  };
+}
+
+// A mesh per item of the equipment list, added and removed as the list
+// changes; sync() moves them onto the items
+export function createEquipmentMesh(equipment) {
+  const group = new THREE.Group();
+  const metal = new THREE.MeshStandardMaterial({ color: 0x333a40, roughness: 0.4, metalness: 0.6 });
+  const stone = new THREE.MeshStandardMaterial({ color: 0x8a9aa5, roughness: 1, metalness: 0 });
+  const stoneGeo   = new THREE.CylinderGeometry(0.12, 0.14, 0.08, 12);
+  const bodyGeo    = new THREE.BoxGeometry(0.25, 0.2, 0.2);
+  // Nozzles point along +x, like heading 0
+  const nozzleGeo  = new THREE.CylinderGeometry(0.06, 0.08, 0.15, 10).rotateZ(-Math.PI / 2).translate(0.2, 0, 0);
+  const outletGeo  = new THREE.CylinderGeometry(0.12, 0.08, 0.2, 10).rotateZ(-Math.PI / 2).translate(0.1, 0, 0);
+  const intakeGeo  = new THREE.CylinderGeometry(0.08, 0.08, 0.5, 10);
+  const meshes = new Map(); // item -> { root, intake }
+
+  function build(item) {
+    const root = new THREE.Group();
+    let intake = null;
+    if (item.kind === 'airStone') {
+      root.add(new THREE.Mesh(stoneGeo, stone));
+    } else if (item.kind === 'pump') {
+      root.add(new THREE.Mesh(bodyGeo, metal), new THREE.Mesh(nozzleGeo, metal));
+    } else {
+      root.add(new THREE.Mesh(outletGeo, metal));
+      intake = new THREE.Mesh(intakeGeo, metal);
+      group.add(intake);
+    }
+    root.traverse(child => { child.castShadow = true; });
+    group.add(root);
+    return { root, intake };
+  }
+
+  function sync() {
+    meshes.forEach((parts, item) => {
+      if (equipment.includes(item)) return;
+      group.remove(parts.root);
+      if (parts.intake) group.remove(parts.intake);
+      meshes.delete(item);
+    });
+    equipment.forEach(item => {
+      if (!meshes.has(item)) meshes.set(item, build(item));
+      const { root, intake } = meshes.get(item);
+      root.position.fromArray(item.position);
+      root.rotation.set(0, -THREE.MathUtils.degToRad(item.heading), THREE.MathUtils.degToRad(item.tilt), 'YZX');
+      if (intake) intake.position.fromArray(item.intake);
+    });
+  }
+
+  sync();
+  return { mesh: group, sync };
+}
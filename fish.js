@@ -1,114 +1,144 @@
 import * as THREE from 'three';
 import * as BufferGeometryUtils from 'three/examples/jsm/utils/BufferGeometryUtils.js';
+import { DEFAULT_SPECIES, getSpecies } from './species.js';
+import { causticsChunk, causticsUniforms } from './caustics.js';
+
+
+// Vertex-side fish deformation, shared by the colour and the shadow depth
+// material. The swim state is (tail-beat phase in radians, tail amplitude as
+// a multiple of waveAmplitude, bend toward the turn in body lengths at the
+// tail), set from how the fish actually moves (see fishPopulation.js). With
+// FISH_INSTANCED defined, swim state, scale and colour come from per-instance
+// attributes instead of uniforms.
+const fishVertexHeader = `
+  uniform float totalLength;
+  uniform float waveAmplitude;
+  attribute float parts;
+  varying float vParts;
+  varying vec4 vPos;
+  varying vec3 vN;
+
+  #ifdef FISH_INSTANCED
+    attribute vec3 fishColor;
+    attribute float fishScale;
+    attribute vec3 fishSwim;
+    varying vec3 vFishColor;
+  #else
+    uniform vec3 swim;
+  #endif
+
+  vec3 swimState(){
+    #ifdef FISH_INSTANCED
+      return fishSwim;
+    #else
+      return swim;
+    #endif
+  }
+  float getWave(float x){
+    vec3 s = swimState();
+    float currX = mod(x - s.x, 3.1415926535 * 2.);
+    return (sin(currX) * waveAmplitude * s.y + s.z * totalLength) * pow((x / totalLength), 2.);
+  }
+  float getAngle(float x){
+    float d = 0.001;
+    float dz = getWave(x + d) - getWave(x);
+    return atan( dz, d );
+  }
+  mat4 rotationMatrix(vec3 axis, float angle) {
+      axis = normalize(axis);
+      float s = sin(angle);
+      float c = cos(angle);
+      float oc = 1.0 - c;
+
+      return mat4(oc * axis.x * axis.x + c,           oc * axis.x * axis.y - axis.z * s,  oc * axis.z * axis.x + axis.y * s,  0.0,
+                  oc * axis.x * axis.y + axis.z * s,  oc * axis.y * axis.y + c,           oc * axis.y * axis.z - axis.x * s,  0.0,
+                  oc * axis.z * axis.x - axis.y * s,  oc * axis.y * axis.z + axis.x * s,  oc * axis.z * axis.z + c,           0.0,
+                  0.0,                                0.0,                                0.0,                                1.0);
+  }
 
+  vec3 rotate(vec3 v, vec3 axis, float angle) {
+    mat4 m = rotationMatrix(axis, angle);
+    return (m * vec4(v, 1.0)).xyz;
+  }
+  /////////////////////////////////////////////////////////////////////
+`;
+
+const fishBeginVertex = `#include <begin_vertex>
+  vParts = parts;
+  transformed.z += getWave(position.x);
+  #ifdef FISH_INSTANCED
+    transformed *= fishScale;
+    vFishColor = fishColor;
+    vPos = modelMatrix * instanceMatrix * vec4(transformed, 1.0);
+  #else
+    vPos = modelMatrix * vec4(transformed, 1.0);
+  #endif
+`;
+
+function patchFishVertex(shader, uniforms){
+  shader.uniforms.swim = uniforms.swim;
+  shader.uniforms.totalLength = uniforms.totalLength;
+  shader.uniforms.waveAmplitude = uniforms.waveAmplitude;
+  shader.vertexShader = `${fishVertexHeader}${shader.vertexShader}`
+    .replace(`#include <begin_vertex>`, fishBeginVertex);
+}
 
-const simpleNoise = `
-    float N (vec2 st) { 
-        return fract( sin( dot( st.xy, vec2(12.9898,78.233 ) ) ) *  43758.5453123);
-    }
-    
-    float smoothNoise( vec2 ip ){ 
-    	vec2 lv = fract( ip );
-      vec2 id = floor( ip );
-      
-      lv = lv * lv * ( 3. - 2. * lv );
-      
-      float bl = N( id );
-      float br = N( id + vec2( 1, 0 ));
-      float b = mix( bl, br, lv.x );
-      
-      float tl = N( id + vec2( 0, 1 ));
-      float tr = N( id + vec2( 1, 1 ));
-      float t = mix( tl, tr, lv.x );
-      
-      return mix( b, t, lv.y );
-    }
-  `;
-
-function createFishMaterial(){
+function createFishMaterial({ instanced = false, species = getSpecies(DEFAULT_SPECIES) } = {}){
   let m = new THREE.MeshPhongMaterial({
-    color: 0x446655,
+    color: species.color || 0x446655,
     wireframe: false,
     // map: mapTex,
     onBeforeCompile: shader => {
-      shader.uniforms.time = m.userData.uniforms.time;
-      shader.uniforms.totalLength = m.userData.uniforms.totalLength;
+      patchFishVertex(shader, m.userData.uniforms);
       shader.uniforms.envMap = m.userData.uniforms.envMap; 
+      shader.uniforms.stripeCount = m.userData.uniforms.stripeCount;
+      shader.uniforms.stripeStrength = m.userData.uniforms.stripeStrength;
+      Object.assign(shader.uniforms, causticsUniforms);
 
-      shader.vertexShader = `
-        uniform float time;
-        uniform float totalLength;
-        attribute float parts;
-        varying float vParts;
-        varying vec4 vPos;
-        varying vec3 vN;
-        
-        float getWave(float x){
-          float currX = mod(x - (time * 4.), 3.1415926535 * 2.);
-          return sin(currX) * 0.375 * pow((x / totalLength), 2.);
-        }
-        float getAngle(float x){
-          float d = 0.001;
-          float dz = getWave(x + d) - getWave(x);
-          return atan( dz, d );
-        }
-        mat4 rotationMatrix(vec3 axis, float angle) {
-            axis = normalize(axis);
-            float s = sin(angle);
-            float c = cos(angle);
-            float oc = 1.0 - c;
-
-            return mat4(oc * axis.x * axis.x + c,           oc * axis.x * axis.y - axis.z * s,  oc * axis.z * axis.x + axis.y * s,  0.0,
-                        oc * axis.x * axis.y + axis.z * s,  oc * axis.y * axis.y + c,           oc * axis.y * axis.z - axis.x * s,  0.0,
-                        oc * axis.z * axis.x - axis.y * s,  oc * axis.y * axis.z + axis.x * s,  oc * axis.z * axis.z + c,           0.0,
-                        0.0,                                0.0,                                0.0,                                1.0);
-        }
-
-        vec3 rotate(vec3 v, vec3 axis, float angle) {
-          mat4 m = rotationMatrix(axis, angle);
-          return (m * vec4(v, 1.0)).xyz;
-        }
-        /////////////////////////////////////////////////////////////////////
-        ${shader.vertexShader}
-      `.replace(
+      shader.vertexShader = shader.vertexShader.replace(
         `#include <beginnormal_vertex>`,
         `#include <beginnormal_vertex>
           float ang = getAngle(position.x);
           objectNormal = normalize(rotate(vec3(normal), vec3(0, 1, 0), ang));
-          vN = objectNormal;
-        `
-      )
-       .replace(
-        `#include <begin_vertex>`,
-        `#include <begin_vertex>
-          vParts = parts;
-          transformed.z += getWave(position.x);
-          vPos = modelMatrix * vec4(transformed, 1.0);
+          #ifdef FISH_INSTANCED
+            vN = normalize(mat3(modelMatrix) * mat3(instanceMatrix) * objectNormal);
+          #else
+            vN = normalize(mat3(modelMatrix) * objectNormal);
+          #endif
         `
       );
 
       shader.fragmentShader = `
-        uniform float time;
         uniform samplerCube envMap;
+        uniform float stripeCount;
+        uniform float stripeStrength;
         varying float vParts;
         varying vec4 vPos;
         varying vec3 vN;
-        ${simpleNoise}
+        #ifdef FISH_INSTANCED
+          varying vec3 vFishColor;
+        #endif
+        ${causticsChunk}
         ${shader.fragmentShader}
       `.replace(
         `vec4 diffuseColor = vec4( diffuse, opacity );`,
         `
-          vec3 col = diffuse;
+          #ifdef FISH_INSTANCED
+            vec3 fishDiffuse = vFishColor;
+          #else
+            vec3 fishDiffuse = diffuse;
+          #endif
+          vec3 col = fishDiffuse;
           float parts = floor(vParts + 0.01);
           if (parts == 0.){
-            col = diffuse;
-            float wave = sin(vUv.y * PI2 * 6.) * 0.5 + 0.5;
-            col *= wave * 0.15 + 0.2;
-            col = mix(diffuse, col, smoothstep(0.9, 0.5, abs(vUv.x - 0.5) * 2.));
-            col = mix(col, diffuse * 0.25, smoothstep(0.2, 0.0, vUv.y));
+            col = fishDiffuse;
+            float wave = sin(vUv.y * PI2 * stripeCount) * 0.5 + 0.5;
+            col *= mix(1., wave * 0.15 + 0.2, stripeStrength);
+            col = mix(fishDiffuse, col, smoothstep(0.9, 0.5, abs(vUv.x - 0.5) * 2.));
+            col = mix(col, fishDiffuse * 0.25, smoothstep(0.2, 0.0, vUv.y));
             float head = abs(sin(vUv.x * PI2));
             head = head * 0.05 + 0.175;
-            col = mix(diffuse * 0.25, col, smoothstep(1. - head, 1. - (head + 0.025), vUv.y));
+            col = mix(fishDiffuse * 0.25, col, smoothstep(1. - head, 1. - (head + 0.025), vUv.y));
             vec2 eyeUv = vUv;
             eyeUv.x = abs(vUv.x - 0.5) * 0.35;
             float eyeDist = distance(vec2(0.07, 0.875), eyeUv);
@@ -122,17 +152,17 @@ function createFishMaterial(){
             float mouth = 1. - (cos(mouthUv.x * PI2) * 0.5 + 0.5);
             mouth = pow(mouth, 64.) * 0.05 + 0.001;
             mouth = 1. - mouth;
-            col = mix(diffuse * 0.4, col, smoothstep(mouth, mouth - 0.001, mouthUv.y));
+            col = mix(fishDiffuse * 0.4, col, smoothstep(mouth, mouth - 0.001, mouthUv.y));
           }
           if (parts == 1.){
-            col = (vec3(0.375, 0.1, 0.05) * 3.) * diffuse;
+            col = (vec3(0.375, 0.1, 0.05) * 3.) * fishDiffuse;
             float wave = sin(vUv.x * PI2 * 70.) * 0.5 + 0.5;
             wave *= sin(vUv.y * PI2 * 5.) * 0.5 + 0.5;
             col *= wave * 0.25 + 0.75;
             vec2 tailUv = vUv;
             tailUv.y -= 0.5;
             tailUv.y = abs(tailUv.y) * 2.;
-            col = mix(diffuse * 0.25, col, smoothstep(1., 0.5, tailUv.y));
+            col = mix(fishDiffuse * 0.25, col, smoothstep(1., 0.5, tailUv.y));
           }
           // Rim lighting
           vec3 norm = normalize(vN);
@@ -148,73 +178,47 @@ function createFishMaterial(){
       ).replace(
         `#include <dithering_fragment>`,
         `#include <dithering_fragment>
-        // fake caustic
-        vec2 cPos = vPos.xz - (1, 0.25) * vPos.y;
-        vec2 cUv = (cPos - vec2(time * 1.5, 0.));
-        float caustic = abs(smoothNoise(cUv) - 0.5);
-        caustic = pow(smoothstep(0.5, 0., caustic), 2.);
-        float causticFade = smoothNoise(cPos - vec2(time, 0.));
-        caustic *= causticFade;
-        float causticShade = clamp(dot(normalize(vec3(1, 1, 0.25)), vN), 0., 1.);
-        caustic *= causticShade;
-        gl_FragColor.rgb += vec3(caustic) * 0.25;
+        // Caustics from the water surface (see caustics.js)
+        gl_FragColor.rgb += fishDiffuse * max(causticsAt(vPos.xyz, normalize(vN)), 0.0) * 0.25;
         `
       );
     }
   });
   m.defines = {"USE_UV" : " "};
+  if (instanced) m.defines.FISH_INSTANCED = "";
   m.userData = {
     uniforms: {
-      time: {value: 0},
+      swim: {value: new THREE.Vector3(0, 1, 0)},
       totalLength: {value: 0},
+      waveAmplitude: {value: species.waveAmplitude},
+      stripeCount: {value: species.pattern.stripes},
+      stripeStrength: {value: species.pattern.stripeStrength},
       envMap: { value: null }
     }
   }
   return m;
 }
 
-function createFishGeometry(){
+// Shadow pass material that applies the same tail wave (and instance scale)
+function createFishDepthMaterial(fishMat){
+  let m = new THREE.MeshDepthMaterial({
+    depthPacking: THREE.RGBADepthPacking,
+    onBeforeCompile: shader => patchFishVertex(shader, fishMat.userData.uniforms)
+  });
+  m.defines = { ...fishMat.defines };
+  return m;
+}
+
+// Builds the fish mesh from a species descriptor (see species.js)
+function createFishGeometry(species = getSpecies(DEFAULT_SPECIES)){
   
   const divisions = 200;
+  const length = species.length;
+  const { profile, fins } = species;
   // shaping curves
-  // top
-  let topCurve = new THREE.CatmullRomCurve3(
-    [
-      [0, 0],
-      [0.1, 0.15],
-      [1, 0.75],
-      [3.5, 1.5],
-      [9, 0.5],
-      [9.5, 0.45],
-      [10, 0.55]
-    ].map(p => {return new THREE.Vector3(p[0], p[1], 0)})
-  );
-  let topPoints = topCurve.getSpacedPoints(100);
-  // bottom
-  let bottomCurve = new THREE.CatmullRomCurve3(
-    [
-      [0, 0],
-      [0.1, -0.15],
-      [0.5, -0.35],
-      [4.5, -1],
-      [8, -0.6],
-      [9.5, -0.45],
-      [10, -0.55]
-    ].map(p => {return new THREE.Vector3(p[0], p[1], 0)})
-  );
-  let bottomPoints = bottomCurve.getSpacedPoints(100);
-  // side
-  let sideCurve = new THREE.CatmullRomCurve3(
-    [
-      [0,   0, 0],
-      [0.1, 0, 0.125],
-      [1,   0, 0.375],
-      [4,-0.25, 0.6],
-      [8,   0, 0.25],
-      [10,  0, 0.05]
-    ].map(p => {return new THREE.Vector3(p[0], p[1], p[2])})
-  );
-  let sidePoints = sideCurve.getSpacedPoints(100);
+  let topPoints = toCurve(profile.top).getSpacedPoints(100);
+  let bottomPoints = toCurve(profile.bottom).getSpacedPoints(100);
+  let sidePoints = toCurve(profile.side).getSpacedPoints(100);
   
   // frames
   let frames = computeFrames();
@@ -231,88 +235,67 @@ function createFishGeometry(){
   
   
   // FINS
+  let finGeoms = [];
   // tail fin
-  let tailCurve = new THREE.CatmullRomCurve3(
-    [
-      [11,   -1.],
-      [12.5, -1.5],
-      [12., 0],
-      [12.5, 1.5],
-      [11,   1.],
-    ].map(p => {return new THREE.Vector3(p[0], p[1], p[2])})
-  );
-  let tailPoints = tailCurve.getPoints(divisions / 2);
-  let tailPointsRev = tailPoints.map(p => {return p}).reverse();
-  tailPointsRev.shift();
-  let fullTailPoints = tailPoints.concat(tailPointsRev);
-
-  let tailfinSlices = 5;
-  let tailRatioStep = 1 / tailfinSlices;
-  let vTemp = new THREE.Vector3();
-  let tailPts = [];
-  let tailParts = [];
-  for(let i = 0; i <= tailfinSlices; i++){
-    let ratio = i * tailRatioStep;
-    frames[frames.length - 1].forEach( (p, idx) => {
-      vTemp.lerpVectors(p, fullTailPoints[idx], ratio);
-      tailPts.push(vTemp.x, vTemp.y, vTemp.z);
-      tailParts.push(1);
-    })
+  if (fins.tail) {
+    let tailPoints = toCurve(fins.tail).getPoints(divisions / 2);
+    let tailPointsRev = tailPoints.map(p => {return p}).reverse();
+    tailPointsRev.shift();
+    let fullTailPoints = tailPoints.concat(tailPointsRev);
+
+    let tailfinSlices = 5;
+    let tailRatioStep = 1 / tailfinSlices;
+    let vTemp = new THREE.Vector3();
+    let tailPts = [];
+    let tailParts = [];
+    for(let i = 0; i <= tailfinSlices; i++){
+      let ratio = i * tailRatioStep;
+      frames[frames.length - 1].forEach( (p, idx) => {
+        vTemp.lerpVectors(p, fullTailPoints[idx], ratio);
+        tailPts.push(vTemp.x, vTemp.y, vTemp.z);
+        tailParts.push(1);
+      })
+    }
+    let gTail = new THREE.PlaneGeometry(1, 1, divisions, tailfinSlices);
+    gTail.setAttribute("position", new THREE.Float32BufferAttribute(tailPts, 3));
+    gTail.setAttribute("parts", new THREE.Float32BufferAttribute(tailParts, 1));
+    gTail.computeVertexNormals();
+    finGeoms.push(gTail);
   }
-  let gTail = new THREE.PlaneGeometry(1, 1, divisions, tailfinSlices);
-  gTail.setAttribute("position", new THREE.Float32BufferAttribute(tailPts, 3));
-  gTail.setAttribute("parts", new THREE.Float32BufferAttribute(tailParts, 1));
-  gTail.computeVertexNormals();
 
   // dorsal
-  let dorsalCurve = new THREE.CatmullRomCurve3(
-    [
-      [3, 1.45],
-      [3.25, 2.25],
-      [3.75, 3],
-      [6, 2],
-      [7, 1]
-    ].map(p => {return new THREE.Vector3(p[0], p[1], 0)})
-  );
-  let dorsalPoints = dorsalCurve.getSpacedPoints(100);
-  let gDorsal = createFin(topPoints, dorsalPoints, true);
+  if (fins.dorsal) {
+    let dorsalPoints = toCurve(fins.dorsal).getSpacedPoints(100);
+    finGeoms.push(createFin(topPoints, dorsalPoints, true));
+  }
 
   // rect
-  let rectCurve = new THREE.CatmullRomCurve3(
-    [
-      [6, -0.9],
-      [7.25, -1.5],
-      [7.5, -0.75]
-    ].map(p => {return new THREE.Vector3(p[0], p[1], 0)})
-  );
-  let rectPoints = rectCurve.getSpacedPoints(40);
-  let gRect = createFin(bottomPoints, rectPoints, false);
+  if (fins.rect) {
+    let rectPoints = toCurve(fins.rect).getSpacedPoints(40);
+    finGeoms.push(createFin(bottomPoints, rectPoints, false));
+  }
 
   // pelvic
-  let pelvicCurve = new THREE.CatmullRomCurve3(
-    [
-      [2.25, -0.7],
-      [3.75, -2],
-      [4, -1]
-    ].map(p => {return new THREE.Vector3(p[0], p[1], 0)})
-  );
-  let pelvicPoints = pelvicCurve.getSpacedPoints(40);
-
-  let gPelvic = createFin(bottomPoints, pelvicPoints, false);
-  gPelvic.translate(0, 0.6, 0);
-  let gPelvicL = gPelvic.clone();
-  gPelvicL.rotateX(THREE.MathUtils.degToRad(-20));
-  gPelvicL.translate(0, -0.6, 0);
-  let gPelvicR = gPelvic.clone();
-  gPelvicR.rotateX(THREE.MathUtils.degToRad(20));
-  gPelvicR.translate(0, -0.6, 0);
+  if (fins.pelvic) {
+    let pelvicPoints = toCurve(fins.pelvic).getSpacedPoints(40);
+
+    let gPelvic = createFin(bottomPoints, pelvicPoints, false);
+    gPelvic.translate(0, 0.6, 0);
+    let gPelvicL = gPelvic.clone();
+    gPelvicL.rotateX(THREE.MathUtils.degToRad(-20));
+    gPelvicL.translate(0, -0.6, 0);
+    let gPelvicR = gPelvic.clone();
+    gPelvicR.rotateX(THREE.MathUtils.degToRad(20));
+    gPelvicR.translate(0, -0.6, 0);
+    finGeoms.push(gPelvicL, gPelvicR);
+  }
 
   let bodyGeom = new THREE.PlaneGeometry(1, 1, divisions, frames.length - 1);
   bodyGeom.setAttribute("position", new THREE.Float32BufferAttribute(pts, 3));
   bodyGeom.setAttribute("parts", new THREE.Float32BufferAttribute(parts, 1));
   bodyGeom.computeVertexNormals();
 
-  let mainGeom = BufferGeometryUtils.mergeGeometries([bodyGeom, gTail, gDorsal, gRect, gPelvicL, gPelvicR]);
+  let mainGeom = BufferGeometryUtils.mergeGeometries([bodyGeom, ...finGeoms]);
   //console.log(mainGeom.attributes.position.count)
   return mainGeom;
 
@@ -358,11 +341,15 @@ function createFishGeometry(){
     return plane;
   }
 
+  function toCurve(points){
+    return new THREE.CatmullRomCurve3(points.map(p => {return new THREE.Vector3(p[0], p[1], p[2] || 0)}));
+  }
+
   function computeFrames(){
     let frames = [];
-    let step = 0.05;
+    let step = length / divisions;
     frames.push(new Array(divisions + 1).fill(0).map(p => {return new THREE.Vector3()})); // first frame all 0
-    for(let i = step; i < 10; i += step){
+    for(let i = step; i < length; i += step){
       frames.push(getFrame(i));
     }
     frames.push(getFramePoints(topPoints[100], bottomPoints[100], sidePoints[100])); // last frame at tail
@@ -401,15 +388,30 @@ function createFishGeometry(){
         return v.lerpVectors(i1, i2, a);
       }
     }
+    // outside the curve: clamp to its nearest end
+    return v.copy(x < curvePoints[0].x ? curvePoints[0] : curvePoints[curvePoints.length - 1]);
   }
 }
 
 
-export function createFish(scene) {
-  const geom = createFishGeometry();
-  const mat  = createFishMaterial();
-  const bbox = new THREE.Box3().setFromBufferAttribute(geom.attributes.position);
-  mat.userData.uniforms.totalLength.value = bbox.max.x;
+// The geometry only depends on the species, so it is built once per species.
+// Shared: clone it before changing it.
+const fishGeometries = new WeakMap();
+export function getFishGeometry(species){
+  let geom = fishGeometries.get(species);
+  if (!geom) {
+    geom = createFishGeometry(species);
+    geom.computeBoundingBox();
+    geom.computeBoundingSphere();
+    fishGeometries.set(species, geom);
+  }
+  return geom;
+}
+
+export function createFish(scene, species = getSpecies(DEFAULT_SPECIES)) {
+  const geom = getFishGeometry(species);
+  const mat  = createFishMaterial({ species });
+  mat.userData.uniforms.totalLength.value = geom.boundingBox.max.x;
   const fishMesh = new THREE.Mesh(geom, mat);
 
   fishMesh.castShadow = true;                 
@@ -417,4 +419,88 @@ export function createFish(scene) {
 
   scene.add(fishMesh);
   return { mesh: fishMesh, material: mat };
-}
\ No newline at end of file
+}
+
+// A whole school of one species drawn as one InstancedMesh. Instance
+// transforms carry position and rotation only; colour, scale and swim state
+// are per-instance attributes read by the patched shader.
+export function createFishSchool(scene, species, maxCount) {
+  const geom = getFishGeometry(species).clone();
+  geom.setAttribute('fishColor', new THREE.InstancedBufferAttribute(new Float32Array(maxCount * 3), 3));
+  geom.setAttribute('fishScale', new THREE.InstancedBufferAttribute(new Float32Array(maxCount), 1));
+  geom.setAttribute('fishSwim',  new THREE.InstancedBufferAttribute(new Float32Array(maxCount * 3), 3));
+  ['fishColor', 'fishScale', 'fishSwim'].forEach(name => {
+    geom.attributes[name].setUsage(THREE.DynamicDrawUsage);
+  });
+
+  const mat = createFishMaterial({ instanced: true, species });
+  mat.userData.uniforms.totalLength.value = geom.boundingBox.max.x;
+
+  const mesh = new THREE.InstancedMesh(geom, mat, maxCount);
+  mesh.instanceMatrix.setUsage(THREE.DynamicDrawUsage);
+  mesh.customDepthMaterial = createFishDepthMaterial(mat);
+  mesh.count = 0;
+  mesh.frustumCulled = false; // per-instance scale isn't part of the bounds
+  mesh.castShadow = true;
+  mesh.receiveShadow = false;
+  scene.add(mesh);
+
+  const _color  = new THREE.Color();
+  const _matrix = new THREE.Matrix4();
+  const _one    = new THREE.Vector3(1, 1, 1);
+
+  return {
+    mesh,
+    material: mat,
+    species,
+    maxCount,
+    // Unscaled radius of one fish; multiply by the instance scale
+    radius: geom.boundingSphere.radius,
+
+    // { color, scale } for instance i
+    setInstance(i, { color, scale }) {
+      const a = geom.attributes;
+      _color.set(color);
+      a.fishColor.setXYZ(i, _color.r, _color.g, _color.b);
+      a.fishScale.setX(i, scale);
+      a.fishSwim.setXYZ(i, 0, 1, 0);
+      a.fishColor.needsUpdate = a.fishScale.needsUpdate = a.fishSwim.needsUpdate = true;
+    },
+
+    // Tail-beat phase, amplitude and bend for instance i (see fishVertexHeader)
+    setSwim(i, phase, amplitude, bend) {
+      geom.attributes.fishSwim.setXYZ(i, phase, amplitude, bend);
+      geom.attributes.fishSwim.needsUpdate = true;
+    },
+
+    setColor(i, color) {
+      _color.set(color);
+      geom.attributes.fishColor.setXYZ(i, _color.r, _color.g, _color.b);
+      geom.attributes.fishColor.needsUpdate = true;
+    },
+
+    setTransform(i, position, quaternion) {
+      _matrix.compose(position, quaternion, _one);
+      mesh.setMatrixAt(i, _matrix);
+      mesh.instanceMatrix.needsUpdate = true;
+    },
+
+    // Copies instance `from` into slot `to` (used to fill holes on removal)
+    moveInstance(from, to) {
+      mesh.getMatrixAt(from, _matrix);
+      mesh.setMatrixAt(to, _matrix);
+      mesh.instanceMatrix.needsUpdate = true;
+      ['fishColor', 'fishScale', 'fishSwim'].forEach(name => {
+        const attr = geom.attributes[name];
+        for (let k = 0; k < attr.itemSize; k++) {
+          attr.array[to * attr.itemSize + k] = attr.array[from * attr.itemSize + k];
+        }
+        attr.needsUpdate = true;
+      });
+    },
+
+    setCount(count) {
+      mesh.count = Math.min(count, maxCount);
+    }
+  };
+}
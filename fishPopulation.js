@@ -0,0 +1,197 @@
+import * as THREE from 'three';
+import { createFishSchool } from './fish.js';
+import { SPECIES, DEFAULT_SPECIES, PREDATOR_SPECIES } from './species.js';
+import { createSwim, updateSwim, orientFish } from './locomotion.js';
+
+// Keeps the flock simulation and the per-species instanced schools in step:
+// adding, removing and rebalancing fish across species, and copying the
+// simulated positions onto the instances every frame.
+//
+// fishData entries are { state, quaternion, species, school, index, swim }
+// where state is the FlockSimulation record, index the slot in the school and
+// swim the fish's locomotion (see locomotion.js).
+//
+// Prey species follow params.speciesMix and the fish count; predators have
+// their own count. Caught prey are respawned or removed (params.respawnCaught)
+// and counted in params.caught.
+
+const isPredator = id => SPECIES[id].role === 'predator';
+const preyIds    = () => Object.keys(SPECIES).filter(id => !isPredator(id));
+
+// params.speciesMix: { [speciesId]: weight }, read whenever fish are added
+export function createFishPopulation(scene, flock, params, { maxFish, scale }) {
+  const schools  = {};
+  const fishData = [];
+  let envMap  = null;
+  let visible = true;
+
+  function getSchool(id) {
+    if (!schools[id]) {
+      schools[id] = createFishSchool(scene, SPECIES[id], maxFish);
+      schools[id].material.userData.uniforms.envMap.value = envMap;
+      schools[id].mesh.visible = visible;
+    }
+    return schools[id];
+  }
+
+  // Fish per species for a total of `count`, split by the mix weights
+  // (largest remainder, so the counts always add up)
+  function targetCounts(count) {
+    const mix = params.speciesMix || {};
+    const ids = preyIds().filter(id => mix[id] > 0);
+    if (ids.length === 0) return { [DEFAULT_SPECIES]: count };
+
+    const total = ids.reduce((sum, id) => sum + mix[id], 0);
+    const counts = {};
+    let assigned = 0;
+    const remainders = ids.map(id => {
+      const exact = count * mix[id] / total;
+      counts[id] = Math.floor(exact);
+      assigned += counts[id];
+      return { id, rest: exact - counts[id] };
+    });
+    remainders.sort((a, b) => b.rest - a.rest);
+    for (let i = 0; i < count - assigned; i++) counts[remainders[i].id]++;
+    return counts;
+  }
+
+  function countOf(id) {
+    return schools[id] ? schools[id].mesh.count : 0;
+  }
+
+  function addFish(id) {
+    const species = SPECIES[id];
+    const school  = getSchool(id);
+    const fishScale = scale * species.size * flock.random.randFloat(0.85, 1.15);
+
+    // Simulation state: mass, velocity, acceleration, target
+    const state = flock.addFish({
+      radius: school.radius * fishScale,
+      group:  id,
+      role:   species.role || 'prey',
+      traits: species.swim
+    });
+
+    const index = school.mesh.count;
+    school.setInstance(index, { color: species.color || params.fishColor, scale: fishScale });
+    school.setCount(index + 1);
+
+    const fish = {
+      state,
+      quaternion: new THREE.Quaternion(),
+      species: id,
+      school,
+      index,
+      swim: createSwim(species.length * fishScale, state.velocity, {
+        beatScale: flock.random.randFloat(0.85, 1.15),
+        phase:     state.phase
+      })
+    };
+    fishData.push(fish);
+    return fish;
+  }
+
+  // Removes any fish; the last instance of its school moves into the hole
+  function removeFish(fish) {
+    const { school } = fish;
+    const last = school.mesh.count - 1;
+    if (fish.index !== last) {
+      const moved = fishData.find(f => f.school === school && f.index === last);
+      school.moveInstance(last, fish.index);
+      moved.index = fish.index;
+    }
+    school.setCount(last);
+
+    fishData.splice(fishData.indexOf(fish), 1);
+    flock.removeFish(fish.state);
+  }
+
+  function removeLatest(id, keep) {
+    for (let i = fishData.length - 1; i >= 0 && countOf(id) > keep; i--) {
+      if (fishData[i].species === id) removeFish(fishData[i]);
+    }
+  }
+
+  // Adds or removes prey until there are `count`, moving towards the mix
+  function setCount(count) {
+    count = Math.min(count, maxFish);
+    const target = targetCounts(count);
+    const ids = preyIds();
+
+    // Remove the most recent fish of every species above its share
+    ids.forEach(id => removeLatest(id, target[id] || 0));
+    ids.forEach(id => {
+      while (countOf(id) < (target[id] || 0)) addFish(id);
+    });
+  }
+
+  function setPredatorCount(count, id = PREDATOR_SPECIES) {
+    removeLatest(id, count);
+    while (countOf(id) < count) addFish(id);
+  }
+
+  flock.addEventListener('caught', ({ prey }) => {
+    params.caught++;
+    if (params.respawnCaught) {
+      flock.respawnFish(prey);
+    } else {
+      removeFish(fishData.find(fish => fish.state === prey));
+      params.fishCount--;
+    }
+  });
+
+  return {
+    fishData,
+    schools,
+    addFish,
+    removeFish,
+    setCount,
+    setPredatorCount,
+
+    // Adds or removes fish until each species has counts[id] (missing ids
+    // none), e.g. to match a recorded frame. The GUI counts follow. The fish
+    // added don't use up the flock's random numbers, so a seeded run carries
+    // on the same after a timeline has been played.
+    setSpeciesCounts(counts) {
+      const saved = flock.random.getState();
+      Object.keys(SPECIES).forEach(id => {
+        const count = Math.min(counts[id] || 0, maxFish);
+        removeLatest(id, count);
+        while (countOf(id) < count) addFish(id);
+      });
+      flock.random.setState(saved);
+      params.fishCount     = preyIds().reduce((sum, id) => sum + countOf(id), 0);
+      params.predatorCount = Object.keys(SPECIES).filter(isPredator).reduce((sum, id) => sum + countOf(id), 0);
+    },
+
+    // Recolours the species that follow the GUI colour
+    setColor(color) {
+      fishData.forEach(fish => {
+        if (!SPECIES[fish.species].color) fish.school.setColor(fish.index, color);
+      });
+    },
+
+    setEnvMap(map) {
+      envMap = map;
+      Object.values(schools).forEach(s => { s.material.userData.uniforms.envMap.value = map; });
+    },
+
+    // Hides the schools, e.g. while skinned fish (see fishRig.js) stand in
+    setVisible(show) {
+      visible = show;
+      Object.values(schools).forEach(s => { s.mesh.visible = show; });
+    },
+
+    // Updates every fish's locomotion from its motion over the last dt
+    // seconds (see locomotion.js) and writes the instances
+    sync(dt) {
+      fishData.forEach(fish => {
+        const { state, swim } = fish;
+        updateSwim(swim, state.velocity, dt);
+        fish.school.setSwim(fish.index, swim.phase, swim.amplitude, swim.bend);
+        orientFish(fish.quaternion, swim, state.velocity, dt);
+        fish.school.setTransform(fish.index, state.position, fish.quaternion);
+      });
+    }
+  };
+}
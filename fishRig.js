@@ -0,0 +1,301 @@
+import * as THREE from 'three';
+import { GLTFExporter } from 'three/examples/jsm/exporters/GLTFExporter.js';
+import { GLTFLoader }   from 'three/examples/jsm/loaders/GLTFLoader.js';
+import * as SkeletonUtils from 'three/examples/jsm/utils/SkeletonUtils.js';
+import { getFishGeometry } from './fish.js';
+import { DEFAULT_SPECIES, getSpecies } from './species.js';
+import { MAX_AMPLITUDE, MAX_BEND, FISH_FORWARD, createSwim, updateSwim, orientFish } from './locomotion.js';
+
+// Skinned fish, the alternative to the shader-animated schools: a bone chain
+// along the procedural body with the tail wave baked into animation clips,
+// so the fish can be saved as glTF and opened in other tools, and any
+// skinned glTF fish can swim in the flock instead.
+//
+// Models are { scene, animations } like a loaded glTF. Their clips, all
+// optional, are picked by name:
+//
+//   swim       one tail beat, at MAX_AMPLITUDE of the species' waveAmplitude
+//   idle       one gentle beat, for fish barely moving
+//   turnLeft   the body bent into a left turn (MAX_BEND), turnRight likewise
+//
+// A model with clips but none of these names swims with its first one.
+// Fish face -x with their back up +y unless a forward axis is given.
+
+export const SWIM_CLIPS = ['swim', 'idle', 'turnLeft', 'turnRight'];
+
+const BONES      = 12;  // along the body, head to tail tip
+const CLIP_KEYS  = 24;  // keyframes per tail beat
+const IDLE_WAVE  = 0.3; // idle amplitude, of waveAmplitude
+const FIN_TINT   = [1, 0.45, 0.3]; // fins darker and redder than the body, as in the shader
+
+const _box     = new THREE.Box3();
+const _rot     = new THREE.Quaternion();
+const _y       = new THREE.Vector3(0, 1, 0);
+const _forward = new THREE.Vector3();
+
+// Side-to-side offset (body units) of the shader's tail wave at x along a
+// body of `length`: phase in radians, amplitude of waveAmplitude, bend in
+// body lengths at the tail (see fishVertexHeader in fish.js)
+function waveAt(x, length, waveAmplitude, phase, amplitude, bend) {
+  return (Math.sin(x - phase) * waveAmplitude * amplitude + bend * length) * (x / length) ** 2;
+}
+
+// A skinned copy of the species' procedural fish with its swim clips
+export function createFishRig(species = getSpecies(DEFAULT_SPECIES), { bones = BONES, color = '#ff8800' } = {}) {
+  const geometry = getFishGeometry(species).clone();
+  const length = geometry.boundingBox.max.x;
+  const step = length / (bones - 1);
+
+  // Fins tinted by vertex colour, since the stripes and shading are shader-only
+  const parts = geometry.attributes.parts;
+  const colors = new Float32Array(parts.count * 3);
+  for (let i = 0; i < parts.count; i++) {
+    const tint = parts.getX(i) > 0.5 ? FIN_TINT : [1, 1, 1];
+    colors.set(tint, i * 3);
+  }
+  geometry.setAttribute('color', new THREE.BufferAttribute(colors, 3));
+  geometry.deleteAttribute('parts');
+  geometry.normalizeNormals(); // glTF wants unit normals
+
+  // Each vertex follows the two joints either side of it
+  const position = geometry.attributes.position;
+  const skinIndex  = new Uint16Array(position.count * 4);
+  const skinWeight = new Float32Array(position.count * 4);
+  for (let i = 0; i < position.count; i++) {
+    const f = THREE.MathUtils.clamp(position.getX(i) / step, 0, bones - 1);
+    const joint = Math.min(Math.floor(f), bones - 2);
+    skinIndex[i * 4]      = joint;
+    skinIndex[i * 4 + 1]  = joint + 1;
+    skinWeight[i * 4]     = 1 - (f - joint);
+    skinWeight[i * 4 + 1] = f - joint;
+  }
+  geometry.setAttribute('skinIndex',  new THREE.Uint16BufferAttribute(skinIndex, 4));
+  geometry.setAttribute('skinWeight', new THREE.Float32BufferAttribute(skinWeight, 4));
+
+  const joints = [];
+  for (let j = 0; j < bones; j++) {
+    const bone = new THREE.Bone();
+    bone.name = `spine${j}`;
+    if (j > 0) {
+      bone.position.x = step;
+      joints[j - 1].add(bone);
+    }
+    joints.push(bone);
+  }
+
+  const material = new THREE.MeshStandardMaterial({
+    color: species.color || color,
+    vertexColors: true,
+    roughness: 0.45,
+    metalness: 0.1,
+    side: THREE.DoubleSide // fins are single sheets
+  });
+  const mesh = new THREE.SkinnedMesh(geometry, material);
+  mesh.name = species.name;
+  mesh.castShadow = true;
+  mesh.add(joints[0]);
+  mesh.bind(new THREE.Skeleton(joints));
+
+  const root = new THREE.Group();
+  root.name = `${species.name} rig`;
+  root.add(mesh);
+
+  const bake = (name, keys, amplitude, bend) => bakeClip(name, joints, step, keys, (x, phase) =>
+    waveAt(x, length, species.waveAmplitude, phase, amplitude, bend));
+  const animations = [
+    bake('swim', CLIP_KEYS, MAX_AMPLITUDE, 0),
+    bake('idle', CLIP_KEYS, IDLE_WAVE, 0),
+    bake('turnLeft', 1, 0, MAX_BEND),
+    bake('turnRight', 1, 0, -MAX_BEND)
+  ];
+  return { scene: root, animations, mesh, skeleton: mesh.skeleton };
+}
+
+// One beat (1 s, keys + 1 keyframes) of joints bending to the side-to-side
+// offsets offsetAt(x, phase): each bone turns about y so the next joint lands
+// on its offset, less what its parent already turned
+function bakeClip(name, joints, step, keys, offsetAt) {
+  const times = [];
+  for (let k = 0; k <= keys; k++) times.push(k / keys);
+  const values = joints.map(() => []);
+  times.forEach(time => {
+    const phase = time * Math.PI * 2;
+    let parentAngle = 0;
+    joints.forEach((bone, j) => {
+      // The last bone has nothing past it to turn toward
+      const angle = j < joints.length - 1
+        ? -Math.atan2(offsetAt((j + 1) * step, phase) - offsetAt(j * step, phase), step)
+        : parentAngle;
+      _rot.setFromAxisAngle(_y, angle - parentAngle).toArray(values[j], values[j].length);
+      parentAngle = angle;
+    });
+  });
+  const tracks = joints.map((bone, j) => new THREE.QuaternionKeyframeTrack(`${bone.name}.quaternion`, times, values[j]));
+  return new THREE.AnimationClip(name, 1, tracks);
+}
+
+// A model (see above) as a binary glTF (.glb)
+export function exportFishRig(model) {
+  return new GLTFExporter().parseAsync(model.scene, { binary: true, animations: model.animations });
+}
+
+// A model from glTF file contents (an ArrayBuffer of .glb, or .gltf JSON text
+// with embedded buffers); rejects if there is no skinned mesh in it
+export function loadFishModel(data) {
+  return new GLTFLoader().parseAsync(data, '').then(gltf => {
+    let skinned = false;
+    gltf.scene.traverse(child => { if (child.isSkinnedMesh) skinned = true; });
+    if (!skinned) throw new Error('glTF fish: no skinned mesh found');
+    return { scene: gltf.scene, animations: gltf.animations };
+  });
+}
+
+export function downloadFishRig(buffer, name) {
+  const blob = new Blob([buffer], { type: 'model/gltf-binary' });
+  const link = document.createElement('a');
+  link.href = URL.createObjectURL(blob);
+  link.download = `${name.replace(/[^\w-]+/g, '_')}.glb`;
+  link.click();
+  setTimeout(() => URL.revokeObjectURL(link.href), 0);
+}
+
+// Lets the user pick a glTF file, resolves with its contents
+export function pickFishFile() {
+  return new Promise((resolve, reject) => {
+    const input = document.createElement('input');
+    input.type = 'file';
+    input.accept = '.glb,.gltf';
+    input.addEventListener('change', () => {
+      const file = input.files[0];
+      if (!file) return reject(new Error('No file selected'));
+      (file.name.endsWith('.gltf') ? file.text() : file.arrayBuffer()).then(resolve, reject);
+    });
+    input.click();
+  });
+}
+
+// A skinned fish for every fish in the flock, each a clone of
+// modelFor(state) scaled to the fish's radius, posed by an AnimationMixer
+// from its locomotion (see locomotion.js). sync(dt) adds and removes fish as
+// the flock changes, like fishPopulation's sync.
+// forward: the models' head direction, if not -x
+export function createRiggedSchool(flock, modelFor, { forward = FISH_FORWARD } = {}) {
+  const group = new THREE.Group();
+  const fishes = new Map(); // flock fish -> { object, mixer, actions, swim, quaternion }
+  const sizes  = new Map(); // model -> { radius, length } in model units
+
+  // From the meshes' geometry: skinned bounds need a posed skeleton
+  function sizeOf(model) {
+    if (!sizes.has(model)) {
+      _box.makeEmpty();
+      model.scene.updateMatrixWorld(true);
+      model.scene.traverse(child => {
+        if (!child.isMesh) return;
+        if (!child.geometry.boundingBox) child.geometry.computeBoundingBox();
+        _box.union(child.geometry.boundingBox.clone().applyMatrix4(child.matrixWorld));
+      });
+      const size = _box.getSize(new THREE.Vector3());
+      const axis = new THREE.Vector3().copy(forward).normalize();
+      sizes.set(model, {
+        radius: _box.getBoundingSphere(new THREE.Sphere()).radius,
+        length: Math.abs(size.x * axis.x) + Math.abs(size.y * axis.y) + Math.abs(size.z * axis.z)
+      });
+    }
+    return sizes.get(model);
+  }
+
+  function add(state) {
+    const model = modelFor(state);
+    const { radius, length } = sizeOf(model);
+    const scale = state.radius > 0 ? state.radius / radius : 1;
+
+    // The clone turned to face -x inside a holder the flock moves
+    const clone = SkeletonUtils.clone(model.scene);
+    clone.quaternion.setFromUnitVectors(_forward.copy(forward).normalize(), FISH_FORWARD);
+    clone.traverse(child => { if (child.isMesh) child.castShadow = true; });
+    const object = new THREE.Group();
+    object.scale.setScalar(scale);
+    object.add(clone);
+    group.add(object);
+
+    const mixer = new THREE.AnimationMixer(clone);
+    const clips = model.animations;
+    const named = name => clips.find(clip => clip.name === name) || null;
+    const actions = {};
+    SWIM_CLIPS.forEach(name => {
+      const clip = named(name) || (name === 'swim' && !SWIM_CLIPS.some(named) ? clips[0] : null);
+      if (!clip) return;
+      const action = mixer.clipAction(clip);
+      // Beats follow the tail phase, turns hold their pose
+      action.timeScale = name === 'swim' || name === 'idle' ? 0 : 1;
+      actions[name] = action.play();
+    });
+
+    const fish = {
+      object,
+      mixer,
+      actions,
+      // Off the phase rather than the flock's random, which would change the run
+      swim: createSwim(length * scale, state.velocity, {
+        beatScale: 0.85 + 0.3 * state.phase / (Math.PI * 2),
+        phase:     state.phase
+      }),
+      quaternion: new THREE.Quaternion()
+    };
+    fishes.set(state, fish);
+    return fish;
+  }
+
+  function remove(state) {
+    const fish = fishes.get(state);
+    fish.mixer.stopAllAction();
+    group.remove(fish.object);
+    fishes.delete(state);
+  }
+
+  // The flock's fish this sync, kept between syncs to save the allocation
+  const live = new Set();
+
+  function sync(dt) {
+    live.clear();
+    flock.fish.forEach(state => live.add(state));
+    fishes.forEach((fish, state) => {
+      if (!live.has(state)) remove(state);
+    });
+    flock.fish.forEach(state => {
+      const fish = fishes.get(state) || add(state);
+      const { swim, actions } = fish;
+      updateSwim(swim, state.velocity, dt);
+      orientFish(fish.quaternion, swim, state.velocity, dt);
+      fish.object.position.copy(state.position);
+      fish.object.quaternion.copy(fish.quaternion);
+
+      // Gliding fish idle, swimming ones beat as hard as their amplitude; a
+      // mix under full weight relaxes toward the straight bind pose
+      const moving = Math.min(state.velocity.length() / swim.bodyLength, 1);
+      const beat = swim.phase / (Math.PI * 2);
+      if (actions.swim) {
+        actions.swim.time = beat * actions.swim.getClip().duration;
+        actions.swim.setEffectiveWeight(moving * swim.amplitude / MAX_AMPLITUDE);
+      }
+      if (actions.idle) {
+        actions.idle.time = beat * actions.idle.getClip().duration;
+        actions.idle.setEffectiveWeight(1 - moving);
+      }
+      if (actions.turnLeft)  actions.turnLeft.setEffectiveWeight(Math.max(swim.bend, 0) / MAX_BEND);
+      if (actions.turnRight) actions.turnRight.setEffectiveWeight(Math.max(-swim.bend, 0) / MAX_BEND);
+      fish.mixer.update(Math.max(dt, 0));
+    });
+  }
+
+  return {
+    group,
+    fishes,
+    sync,
+
+    // Drops every fish; the next sync() clones them afresh, e.g. from a new model
+    clear() {
+      Array.from(fishes.keys()).forEach(remove);
+    }
+  };
+}
@@ -0,0 +1,433 @@
+import * as THREE from 'three';
+import { SpatialHash } from './spatialHash.js';
+import { createRandom } from './random.js';
+
+// Boids-style fish steering (separation, alignment, cohesion, target seeking
+// and a soft push away from the walls). Nothing in here knows about meshes or the renderer: every
+// fish is a plain state record and the caller copies position / velocity onto
+// whatever it uses to draw it. Neighbor lookups go through a SpatialHash
+// rebuilt once per step.
+//
+// Fish only align and cohere with fish of their own `group` (the species),
+// separation applies to everyone. Per-fish `traits` scale the GUI speed and
+// flocking weights.
+//
+// Fish with role 'predator' chase the nearest prey inside their view cone;
+// prey flee from predators within fleeRadius and get a panic speed boost.
+// A catch dispatches { type: 'caught', predator, prey } and the predator
+// rests for digestTime seconds before hunting again.
+//
+// With a food source attached (flock.food, see food.js) fish get hungry over
+// time, hungry prey swim to the nearest visible pellet and eating refills
+// their energy. Energy scales swimming speed down to minEnergySpeed.
+// Pellets on the sand below the box are picked off from the box's bottom.
+//
+// With a ground attached (flock.groundHeightAt, e.g. a SandTerrain's
+// heightAt) fish never go or aim below it. Fish after a pellet may leave
+// the box downward to pick it off the sand, and drift back up into the box
+// once fed.
+//
+// With obstacles attached (flock.obstacles, an ObstacleSet, see obstacles.js)
+// every fish probes ahead along its heading and turns away from whatever the
+// probe hits, harder the closer it is; targets inside obstacles are skipped.
+// Hard limits (the box, the ground, the obstacles) only catch what steering
+// missed: fish are put back on the surface and slide along it.
+//
+// With a current attached (flock.current(position, target), e.g. sampling a
+// WaterCurrent) fish swim through moving water: velocity is their swimming
+// relative to the water and the current carries them on top of it.
+
+// Dense schools only align and cohere with this many neighbors (nearest cell
+// first), which keeps the cost per fish bounded no matter how many fish share
+// a cell. Separation still sees every fish in range, so crowds don't overlap.
+const MAX_NEIGHBORS = 32;
+
+const DEFAULT_TRAITS = { speed: 1, separation: 1, alignment: 1, cohesion: 1 };
+
+// Panic fades at this rate (per second) once the predator is gone
+const PANIC_DECAY = 0.5;
+
+// Fish keep this far (plus their radius) above the ground
+const GROUND_CLEARANCE = 0.15;
+
+// Walls push fish back from this far away, up to WALL_STRENGTH at the glass
+const WALL_RANGE    = 1;
+const WALL_STRENGTH = 6;
+
+// Obstacles are padded by this much beyond the fish's radius
+const AVOID_MARGIN = 0.1;
+
+// Tries at finding a target outside every obstacle
+const TARGET_TRIES = 8;
+
+// Scratch vectors, reused every step instead of allocating per pair
+const _force   = new THREE.Vector3();
+const _avgVel  = new THREE.Vector3();
+const _avgPos  = new THREE.Vector3();
+const _desired = new THREE.Vector3();
+const _heading = new THREE.Vector3();
+const _drift   = new THREE.Vector3();
+const _normal  = new THREE.Vector3();
+const _hit     = { distance: 0, normal: new THREE.Vector3() };
+const _reach   = new THREE.Vector3();
+
+export class FlockSimulation extends THREE.EventDispatcher {
+  // params: the (GUI-bound) object holding fishSpeed, turnSpeed,
+  //         separationDist, separationStrength, alignmentStrength,
+  //         cohesionStrength and flockRadius, plus the predator settings
+  //         viewDistance, viewAngle (degrees), chaseStrength, chaseSpeed,
+  //         catchDistance, digestTime, fleeRadius, fleeStrength and
+  //         panicBoost, and the feeding settings hungerRate,
+  //         hungerThreshold, energyDrain, minEnergySpeed, pelletSight and
+  //         eatDistance, and obstacle avoidance: avoidStrength and
+  //         avoidDistance (how far ahead fish look). Read live on every step.
+  // bounds: { halfX, halfY, halfZ } half extents of the swimmable box
+  // random: generator from random.js, seeded for reproducible runs
+  constructor(params, bounds, { random = createRandom() } = {}) {
+    super();
+    this.params    = params;
+    this.bounds    = bounds;
+    this.random    = random;
+    this.fish      = [];
+    this.predators = [];
+    this.grid      = new SpatialHash(bounds, params.flockRadius);
+    this.food      = null;
+    this.groundHeightAt = null;
+    this.current   = null;
+    this.obstacles = null;
+  }
+
+  addFish({
+    mass = 1.0 + this.random.random() * 0.2,
+    phase = this.random.random() * Math.PI * 2,
+    radius = 0,
+    group = null,
+    role = 'prey',
+    traits = DEFAULT_TRAITS
+  } = {}) {
+    traits = { ...DEFAULT_TRAITS, ...traits };
+    const fish = {
+      position:     new THREE.Vector3(),
+      velocity:     new THREE.Vector3(1, 0, 0).multiplyScalar(this.params.fishSpeed * traits.speed),
+      acceleration: new THREE.Vector3(),
+      target:       new THREE.Vector3(),
+      mass,
+      radius,
+      phase,
+      group,
+      role,
+      traits,
+      panic: 0,    // prey: 0..1 fear of the closest predator
+      prey:  null, // predator: fish currently chased
+      rest:  0,    // predator: seconds left before hunting again
+      hunger: this.random.random() * 0.5, // 0 (full) .. 1 (starving)
+      energy: 1,                   // 0 (exhausted) .. 1
+      pellet: null // pellet currently swum to
+    };
+    this.pickNewTarget(fish);
+    this.fish.push(fish);
+    return fish;
+  }
+
+  // Removes the given fish, or the last one added
+  removeFish(fish = this.fish[this.fish.length - 1]) {
+    const i = this.fish.indexOf(fish);
+    if (i !== -1) this.fish.splice(i, 1);
+    return fish;
+  }
+
+  // Puts a fish back at a random spot, calm and heading somewhere new
+  respawnFish(fish) {
+    const { halfX, halfY, halfZ } = this.bounds;
+    const { random } = this;
+    fish.position.set(
+      random.randFloat(-halfX, halfX),
+      random.randFloat(-halfY, halfY),
+      random.randFloat(-halfZ, halfZ)
+    );
+    if (this.groundHeightAt) {
+      fish.position.y = Math.min(Math.max(fish.position.y, this.floorAt(fish, fish.position)), halfY);
+    }
+    random.randomDirection(fish.velocity).multiplyScalar(this.params.fishSpeed * fish.traits.speed);
+    fish.panic = 0;
+    this.pickNewTarget(fish);
+  }
+
+  // Somewhere in open water, away from the walls
+  pickNewTarget(fish) {
+    const { random, obstacles } = this;
+    const [halfX, halfY, halfZ] = ['halfX', 'halfY', 'halfZ'].map(key => {
+      const half = this.bounds[key];
+      return half - Math.min(WALL_RANGE, half / 2);
+    });
+    for (let i = 0; i < TARGET_TRIES; i++) {
+      fish.target.set(
+        random.randFloat(-halfX, halfX),
+        random.randFloat(-halfY, halfY),
+        random.randFloat(-halfZ, halfZ)
+      );
+      if (this.groundHeightAt) {
+        fish.target.y = Math.min(Math.max(fish.target.y, this.floorAt(fish, fish.target)), this.bounds.halfY);
+      }
+      if (!obstacles || !obstacles.contains(fish.target, fish.radius + AVOID_MARGIN)) return;
+    }
+  }
+
+  // Lowest y for the fish's centre above point.x, point.z
+  floorAt(fish, point) {
+    return this.groundHeightAt(point.x, point.z) + fish.radius + GROUND_CLEARANCE;
+  }
+
+  // Calls callback(fish, distSq) for every fish within radius of position.
+  // Uses the grid from the last step, so positions may lag by one step.
+  queryNeighbors(position, radius, callback) {
+    this.grid.query(position, radius, callback);
+  }
+
+  step(dt) {
+    const params = this.params;
+    this.grid.setCellSize(Math.max(params.flockRadius, params.separationDist));
+    this.grid.build(this.fish);
+    this.predators = this.fish.filter(fish => fish.role === 'predator');
+    if (this.obstacles) this.obstacles.update();
+
+    // 1) Forces from the whole flock first, so every fish sees the same state
+    this.fish.forEach(fish => this.computeForces(fish, dt));
+    // 2) Then integrate
+    this.fish.forEach(fish => this.integrate(fish, dt));
+    // 3) Catches last, so listeners are free to remove fish
+    this.resolveCatches();
+  }
+
+  computeForces(fishA, dt) {
+    const params = this.params;
+    const posA = fishA.position;
+    fishA.acceleration.set(0, 0, 0);
+
+    _avgVel.set(0, 0, 0);
+    _avgPos.set(0, 0, 0);
+    let neighbors = 0;
+
+    // Separation: SPRING force F = k * (minDist - dist)
+    // (predator vs prey is handled by chase / flee instead)
+    const minDist = params.separationDist;
+    this.grid.query(posA, minDist, (fishB, distSq) => {
+      if (fishA === fishB || fishB.role !== fishA.role) return;
+      const dist = Math.sqrt(distSq);
+      if (dist > 0 && dist < minDist) {
+        const forceMag = params.separationStrength * fishA.traits.separation * (minDist - dist);
+        _force.subVectors(posA, fishB.position).normalize().multiplyScalar(forceMag / fishA.mass);
+        fishA.acceleration.add(_force);
+      }
+    });
+
+    this.grid.query(posA, params.flockRadius, (fishB, distSq) => {
+      if (fishA === fishB || fishB.group !== fishA.group || distSq >= params.flockRadius ** 2) return;
+      _avgVel.add(fishB.velocity);
+      _avgPos.add(fishB.position);
+      neighbors++;
+      return neighbors >= MAX_NEIGHBORS;
+    });
+
+    if (neighbors > 0) {
+      // ALIGNMENT
+      _avgVel.divideScalar(neighbors).normalize();
+      _force.copy(fishA.velocity).normalize();
+      fishA.acceleration.addScaledVector(_avgVel.sub(_force), params.alignmentStrength * fishA.traits.alignment);
+
+      // COHESION
+      _avgPos.divideScalar(neighbors);
+      fishA.acceleration.addScaledVector(_avgPos.sub(posA).normalize(), params.cohesionStrength * fishA.traits.cohesion);
+    }
+
+    if (fishA.role === 'predator') this.computeChase(fishA, dt);
+    else if (this.predators.length > 0 || fishA.panic > 0) this.computeFlee(fishA, dt);
+
+    this.computeWalls(fishA);
+    if (this.obstacles) this.computeAvoidance(fishA);
+  }
+
+  // Push away from every wall closer than WALL_RANGE, growing toward the glass
+  computeWalls(fish) {
+    const { position, acceleration } = fish;
+    ['x', 'y', 'z'].forEach(axis => {
+      const half = this.bounds[`half${axis.toUpperCase()}`];
+      const range = Math.min(WALL_RANGE, half);
+      const low  = 1 - (position[axis] + half) / range;
+      const high = 1 - (half - position[axis]) / range;
+      // Feeding fish dive past the bottom, down to the sand
+      const feeding = axis === 'y' && fish.pellet && this.groundHeightAt;
+      if (low > 0 && !feeding) acceleration[axis] += WALL_STRENGTH * low * low;
+      if (high > 0) acceleration[axis] -= WALL_STRENGTH * high * high;
+    });
+  }
+
+  // Probe ahead; on a hit, turn along the surface (the part of its normal
+  // across the heading), so the fish swerves instead of braking
+  computeAvoidance(fish) {
+    const params = this.params;
+    const speed = fish.velocity.length();
+    if (speed === 0 || params.avoidStrength <= 0) return;
+    _heading.copy(fish.velocity).divideScalar(speed);
+    const reach = params.avoidDistance + fish.radius;
+    const hit = this.obstacles.raycast(fish.position, _heading, reach, fish.radius + AVOID_MARGIN, _hit);
+    if (!hit) return;
+
+    _force.copy(hit.normal).addScaledVector(_heading, -hit.normal.dot(_heading));
+    // Head-on: any way around will do, up first
+    if (_force.lengthSq() < 1e-6) _force.set(0, 1, 0).addScaledVector(_heading, -_heading.y);
+    if (_force.lengthSq() < 1e-6) _force.set(1, 0, 0);
+    const urgency = 1 - hit.distance / reach;
+    fish.acceleration.addScaledVector(_force.normalize(), params.avoidStrength * urgency * fish.traits.speed);
+  }
+
+  // Predator: pick the nearest prey inside the view cone and steer at it
+  computeChase(fish, dt) {
+    const params = this.params;
+    fish.rest = Math.max(0, fish.rest - dt);
+    fish.prey = null;
+    if (fish.rest > 0) return;
+
+    _heading.copy(fish.velocity).normalize();
+    const cosHalfAngle = Math.cos(THREE.MathUtils.degToRad(params.viewAngle) / 2);
+    let bestDistSq = Infinity;
+    this.grid.query(fish.position, params.viewDistance, (other, distSq) => {
+      if (other.role === 'predator' || distSq === 0 || distSq >= bestDistSq) return;
+      _force.subVectors(other.position, fish.position).divideScalar(Math.sqrt(distSq));
+      if (_force.dot(_heading) < cosHalfAngle) return;
+      bestDistSq = distSq;
+      fish.prey = other;
+    });
+
+    if (fish.prey) {
+      _force.subVectors(fish.prey.position, fish.position).normalize();
+      fish.acceleration.addScaledVector(_force, params.chaseStrength);
+    }
+  }
+
+  // Prey: push away from every predator in range, harder the closer it is
+  computeFlee(fish, dt) {
+    const params = this.params;
+    fish.panic = Math.max(0, fish.panic - PANIC_DECAY * dt);
+
+    this.predators.forEach(predator => {
+      const dist = _force.subVectors(fish.position, predator.position).length();
+      if (dist > 0 && dist < params.fleeRadius) {
+        const fear = 1 - dist / params.fleeRadius;
+        fish.acceleration.addScaledVector(_force.normalize(), params.fleeStrength * fear);
+        fish.panic = Math.max(fish.panic, fear);
+      }
+    });
+  }
+
+  resolveCatches() {
+    const params = this.params;
+    const caught = [];
+    this.predators.forEach(predator => {
+      const prey = predator.prey;
+      if (!prey || caught.some(c => c.prey === prey)) return;
+      if (predator.position.distanceTo(prey.position) > params.catchDistance) return;
+
+      predator.prey = null;
+      predator.rest = params.digestTime;
+      predator.hunger = 0;
+      predator.energy = 1;
+      this.pickNewTarget(predator);
+      caught.push({ predator, prey });
+    });
+    caught.forEach(({ predator, prey }) => this.dispatchEvent({ type: 'caught', predator, prey }));
+  }
+
+  integrate(fish, dt) {
+    const params = this.params;
+    const { halfX, halfY, halfZ } = this.bounds;
+    const pos = fish.position;
+    const vel = fish.velocity;
+
+    if (this.food) this.updateHunger(fish, dt);
+
+    // Steering: desired direction toward target (or the chased prey / pellet)
+    if (fish.pellet) this.reachFor(fish, fish.pellet);
+    const goal = fish.prey ? fish.prey.position : (fish.pellet ? _reach : fish.target);
+    _desired.subVectors(goal, pos).normalize();
+
+    // Add acceleration (from separation / flocking)
+    vel.addScaledVector(fish.acceleration, dt);
+
+    // Sprinting predators, panicking prey
+    let speed = params.fishSpeed * fish.traits.speed;
+    if (fish.prey) speed *= params.chaseSpeed;
+    if (fish.panic > 0) speed *= 1 + params.panicBoost * fish.panic;
+    if (this.food) speed *= THREE.MathUtils.lerp(params.minEnergySpeed, 1, fish.energy);
+
+    // Smooth steering toward target
+    vel.normalize()
+       .lerp(_desired, params.turnSpeed * dt)
+       .normalize()
+       .multiplyScalar(speed);
+
+    // Move, and drift with the water
+    const lastY = pos.y;
+    pos.addScaledVector(vel, dt);
+    if (this.current) pos.addScaledVector(this.current(pos, _drift), dt);
+
+    // Backstops: whatever steering missed is put back on the surface, and
+    // the velocity into it dropped so the fish slides along. Below the box
+    // (feeding, or rising after it) the sand is the floor, and fish only
+    // go back up.
+    const bottom = fish.pellet && this.groundHeightAt ? -Infinity : Math.min(-halfY, lastY);
+    _normal.set(0, 0, 0);
+    if (pos.x < -halfX) _normal.x += 1;
+    if (pos.x > halfX)  _normal.x -= 1;
+    if (pos.y < bottom) _normal.y += 1;
+    if (pos.y > halfY)  _normal.y -= 1;
+    if (pos.z < -halfZ) _normal.z += 1;
+    if (pos.z > halfZ)  _normal.z -= 1;
+    pos.set(
+      THREE.MathUtils.clamp(pos.x, -halfX, halfX),
+      THREE.MathUtils.clamp(pos.y, bottom, halfY),
+      THREE.MathUtils.clamp(pos.z, -halfZ, halfZ)
+    );
+    if (this.obstacles) this.obstacles.resolve(pos, fish.radius, _normal);
+    if (this.groundHeightAt) {
+      const floor = this.floorAt(fish, pos);
+      if (pos.y < floor) {
+        pos.y = floor;
+        _normal.y += 1;
+      }
+    }
+    const into = vel.dot(_normal);
+    if (into < 0) vel.addScaledVector(_normal, -into / _normal.lengthSq());
+
+    // Eat the pellet if we reached it
+    if (fish.pellet && pos.distanceTo(this.reachFor(fish, fish.pellet)) < params.eatDistance) {
+      const nutrition = this.food.eat(fish.pellet);
+      fish.hunger = Math.max(0, fish.hunger - nutrition);
+      fish.energy = Math.min(1, fish.energy + nutrition);
+      fish.pellet = null;
+    }
+
+    // If close to target, pick new target
+    if (pos.distanceToSquared(fish.target) < 0.25) this.pickNewTarget(fish);
+  }
+
+  // Where the fish goes to eat pellet: right to it, or for one on the sand,
+  // as low above it as the fish may swim
+  reachFor(fish, pellet) {
+    _reach.copy(pellet.position);
+    _reach.y = Math.max(_reach.y, this.groundHeightAt ? this.floorAt(fish, _reach) : -this.bounds.halfY);
+    return _reach;
+  }
+
+  // Hunger rises, energy drains, hungry prey look for the nearest pellet
+  updateHunger(fish, dt) {
+    const params = this.params;
+    fish.hunger = Math.min(1, fish.hunger + params.hungerRate * dt);
+    fish.energy = Math.max(0, fish.energy - params.energyDrain * dt);
+
+    fish.pellet = null;
+    if (fish.role === 'prey' && fish.hunger > params.hungerThreshold) {
+      fish.pellet = this.food.nearestPellet(fish.position, params.pelletSight);
+    }
+  }
+}
@@ -0,0 +1,169 @@
+import * as THREE from 'three';
+import { SpatialHash } from './spatialHash.js';
+import { createRandom } from './random.js';
+
+// Food pellets: dropped at the water surface, sink with drag, settle on the
+// sand and slowly dissolve there. Fish only see pellets under the swimmable
+// box's top and inside its sides; FlockSimulation asks nearestPellet() for
+// hungry fish and calls eat().
+// Drag pulls sinking pellets toward the water's velocity, so with a current
+// attached they drift with it on the way down.
+//
+// params: pelletsPerDrop, autoFeedRate (drops per minute), pelletSight,
+//         pelletNutrition
+
+const MAX_PELLETS   = 500;
+const PELLET_RADIUS = 0.06;
+const SINK_ACCEL    = 0.8;  // gravity minus buoyancy
+const DRAG          = 2.0;  // linear drag, terminal speed = SINK_ACCEL / DRAG (relative to the water)
+const DISSOLVE_TIME = 20;   // seconds a settled pellet stays on the sand
+
+const _scratch = new THREE.Vector3();
+const _water   = new THREE.Vector3();
+
+export class FoodSystem {
+  // bounds: { halfX, halfY, halfZ } swimmable box, pellets above or beside it are unseen
+  // dropArea: { halfX, halfZ } where auto-feed pellets land on the surface
+  // surfaceY: height the auto feeder drops from
+  // groundHeightAt(x, z): world Y of the sand surface
+  // current(position, target): optional water velocity at position
+  // random: generator from random.js, seeded for reproducible runs
+  constructor(params, { bounds, dropArea, surfaceY, groundHeightAt, current = null, random = createRandom() }) {
+    this.params   = params;
+    this.random   = random;
+    this.bounds   = bounds;
+    this.dropArea = dropArea;
+    this.surfaceY = surfaceY;
+    this.groundHeightAt = groundHeightAt;
+    this.current  = current;
+
+    this.pellets  = [];
+    this.visible  = [];
+    this.grid     = new SpatialHash(bounds, params.pelletSight);
+    this.eaten    = 0;
+    this.autoFeedTimer = 0;
+  }
+
+  // Drops `count` pellets in a small cluster around point
+  drop(point, count = this.params.pelletsPerDrop) {
+    const { random } = this;
+    for (let i = 0; i < count && this.pellets.length < MAX_PELLETS; i++) {
+      const position = new THREE.Vector3(
+        point.x + random.randFloatSpread(0.4),
+        point.y,
+        point.z + random.randFloatSpread(0.4)
+      );
+      this.pellets.push({
+        position,
+        velocity: new THREE.Vector3(
+          random.randFloatSpread(0.1),
+          0,
+          random.randFloatSpread(0.1)
+        ),
+        floorY:   this.groundHeightAt(position.x, position.z) + PELLET_RADIUS,
+        settled:  false,
+        age:      0,
+        eaten:    false
+      });
+    }
+  }
+
+  step(dt) {
+    const params = this.params;
+
+    // Auto feeder
+    if (params.autoFeedRate > 0) {
+      this.autoFeedTimer += dt;
+      const interval = 60 / params.autoFeedRate;
+      while (this.autoFeedTimer >= interval) {
+        this.autoFeedTimer -= interval;
+        this.drop(_scratch.set(
+          this.random.randFloatSpread(this.dropArea.halfX * 2),
+          this.surfaceY,
+          this.random.randFloatSpread(this.dropArea.halfZ * 2)
+        ));
+      }
+    }
+
+    // Sink with drag, then rest on the sand until dissolved, following it
+    // if it shifts underneath
+    this.pellets.forEach(p => {
+      if (p.settled) {
+        p.age += dt;
+        p.floorY = this.groundHeightAt(p.position.x, p.position.z) + PELLET_RADIUS;
+        p.position.y = p.floorY;
+        return;
+      }
+      p.velocity.y -= SINK_ACCEL * dt;
+      if (this.current) this.current(p.position, _water);
+      else _water.set(0, 0, 0);
+      p.velocity.sub(_water).multiplyScalar(Math.exp(-DRAG * dt)).add(_water);
+      p.position.addScaledVector(p.velocity, dt);
+      p.floorY = this.groundHeightAt(p.position.x, p.position.z) + PELLET_RADIUS; // drifted since the drop
+      if (p.position.y <= p.floorY) {
+        p.position.y = p.floorY;
+        p.velocity.set(0, 0, 0);
+        p.settled = true;
+      }
+    });
+    this.pellets = this.pellets.filter(p => !p.eaten && p.age < DISSOLVE_TIME);
+
+    // What the fish can see this step: anything under the top of the box,
+    // pellets below it lie on the sand where fish reach for them
+    const { halfX, halfY, halfZ } = this.bounds;
+    this.visible = this.pellets.filter(({ position: q }) =>
+      Math.abs(q.x) <= halfX && q.y <= halfY && Math.abs(q.z) <= halfZ
+    );
+    this.grid.setCellSize(params.pelletSight);
+    this.grid.build(this.visible);
+  }
+
+  nearestPellet(position, radius) {
+    let nearest = null;
+    let bestDistSq = Infinity;
+    this.grid.query(position, radius, (pellet, distSq) => {
+      if (!pellet.eaten && distSq < bestDistSq) {
+        bestDistSq = distSq;
+        nearest = pellet;
+      }
+    });
+    return nearest;
+  }
+
+  // Marks the pellet eaten and returns how much hunger it satisfies
+  eat(pellet) {
+    if (pellet.eaten) return 0;
+    pellet.eaten = true;
+    this.eaten++;
+    return this.params.pelletNutrition;
+  }
+}
+
+// One instanced draw call for all pellets
+export function createPelletMesh(scene) {
+  const mesh = new THREE.InstancedMesh(
+    new THREE.SphereGeometry(PELLET_RADIUS, 6, 6),
+    new THREE.MeshStandardMaterial({ color: 0x8a5a2b, roughness: 0.9, metalness: 0 }),
+    MAX_PELLETS
+  );
+  mesh.instanceMatrix.setUsage(THREE.DynamicDrawUsage);
+  mesh.count = 0;
+  mesh.frustumCulled = false;
+  mesh.castShadow = true;
+  scene.add(mesh);
+
+  const _matrix = new THREE.Matrix4();
+  return {
+    mesh,
+    sync(food) {
+      let n = 0;
+      food.pellets.forEach(p => {
+        if (p.eaten) return;
+        _matrix.makeTranslation(p.position.x, p.position.y, p.position.z);
+        mesh.setMatrixAt(n++, _matrix);
+      });
+      mesh.count = n;
+      mesh.instanceMatrix.needsUpdate = true;
+    }
+  };
+}
@@ -0,0 +1,263 @@
+import {
+  parseScene, sceneFromParams, storeScene, clearStoredScene, downloadScene, pickSceneFile
+} from './scene.js';
+import { SPECIES, DEFAULT_SPECIES } from './species.js';
+import { exportFishRig, loadFishModel, downloadFishRig, pickFishFile } from './fishRig.js';
+import { EQUIPMENT_KINDS, createEquipment, snapEquipment } from './equipment.js';
+import { Timeline, TimelinePlayer, downloadTimeline, pickTimelineFile } from './timeline.js';
+
+// lil-gui folders both pages (main.js and trial.js) have. Each add*() puts
+// its controls on `gui`, editing params or the objects it is given in place;
+// the folders only one page has stay in that page.
+
+function reportError(err) {
+  console.error(err);
+  alert(err.message);
+}
+
+// Fish count, colour and flocking, and the species mix
+export function addFishControls(gui, params, { population, skinnedFish, maxFish }) {
+  gui.add(params, 'fishCount', 0, maxFish, 1).name('Number of Fish').onChange(count => population.setCount(count)).listen();
+  gui.addColor(params, 'fishColor').name('Fish Color').onChange(color => {
+    population.setColor(color);
+    skinnedFish.setColor(color);
+  });
+  gui.add(params, 'fishSpeed', 0.1, 10, 0.1).name('Fish Speed');
+  gui.add(params, 'turnSpeed', 0.1, 5, 0.1).name('Turn Responsiveness');
+  gui.add(params, 'separationDist', 0.1, 5, 0.1).name('Separation Distance');
+  gui.add(params, 'separationStrength', 0.1, 5, 0.1).name('Separation Strength');
+  gui.add(params, 'alignmentStrength', 0.0, 5.0, 0.1).name('Alignment');
+  gui.add(params, 'cohesionStrength', 0.0, 5.0, 0.1).name('Cohesion');
+  gui.add(params, 'flockRadius', 0.5, 10, 0.1).name('Flock Radius');
+  gui.add(params, 'avoidStrength', 0, 20, 0.5).name('Obstacle Avoidance');
+  gui.add(params, 'avoidDistance', 0.5, 5, 0.1).name('Look Ahead');
+
+  const speciesFolder = gui.addFolder('Species Mix');
+  Object.keys(params.speciesMix).forEach(id => {
+    speciesFolder.add(params.speciesMix, id, 0, 1, 0.05).name(SPECIES[id].name)
+      .onChange(() => population.setCount(params.fishCount));
+  });
+}
+
+// Skinned fish (see aquarium.js): a glTF export of the built-in rig, or any
+// skinned glTF fish
+export function addSkinnedFishControls(gui, params, skinnedFish) {
+  const rigActions = {
+    species: DEFAULT_SPECIES,
+    exportRig: () => exportFishRig(skinnedFish.rigFor(rigActions.species))
+      .then(buffer => downloadFishRig(buffer, `${SPECIES[rigActions.species].name} fish`))
+      .catch(reportError),
+    load: () => pickFishFile()
+      .then(loadFishModel)
+      .then(model => {
+        skinnedFish.setModel(model);
+        skinnedFish.setVisible(true);
+      })
+      .catch(reportError),
+    builtIn: () => skinnedFish.setModel(null)
+  };
+  const rigFolder = gui.addFolder('Skinned Fish');
+  rigFolder.add(params, 'skinnedFish').name('Use Skinned Fish').onChange(on => skinnedFish.setVisible(on)).listen();
+  rigFolder.add(rigActions, 'species', Object.fromEntries(Object.keys(SPECIES).map(id => [SPECIES[id].name, id])))
+    .name('Species');
+  rigFolder.add(rigActions, 'exportRig').name('Export glTF');
+  rigFolder.add(rigActions, 'load').name('Load glTF Fish');
+  rigFolder.add(rigActions, 'builtIn').name('Use Built-in Rigs');
+}
+
+export function addPredatorControls(gui, params, setPredatorCount) {
+  const predatorFolder = gui.addFolder('Predators');
+  predatorFolder.add(params, 'predatorCount', 0, 5, 1).name('Sharks').onChange(setPredatorCount);
+  predatorFolder.add(params, 'viewDistance', 1, 15, 0.1).name('View Distance');
+  predatorFolder.add(params, 'viewAngle', 10, 360, 1).name('View Angle');
+  predatorFolder.add(params, 'chaseStrength', 0, 10, 0.1).name('Chase Strength');
+  predatorFolder.add(params, 'chaseSpeed', 1, 3, 0.05).name('Chase Speed');
+  predatorFolder.add(params, 'catchDistance', 0.1, 2, 0.05).name('Catch Distance');
+  predatorFolder.add(params, 'digestTime', 0, 10, 0.1).name('Rest After Catch');
+  predatorFolder.add(params, 'fleeRadius', 0.5, 10, 0.1).name('Flee Radius');
+  predatorFolder.add(params, 'fleeStrength', 0, 20, 0.1).name('Flee Strength');
+  predatorFolder.add(params, 'panicBoost', 0, 3, 0.05).name('Panic Speed Boost');
+  predatorFolder.add(params, 'respawnCaught').name('Respawn Caught Prey');
+  predatorFolder.add(params, 'caught').name('Caught').listen().disable();
+}
+
+export function addCurrentControls(gui, params) {
+  const currentFolder = gui.addFolder('Current');
+  currentFolder.add(params, 'currentDirection', 0, 360, 1).name('Direction');
+  currentFolder.add(params, 'currentStrength', 0, 1, 0.05).name('Strength');
+  currentFolder.add(params, 'currentTurbulence', 0, 1, 0.05).name('Turbulence');
+  currentFolder.add(params, 'showCurrent').name('Show Flow Arrows');
+}
+
+// Buttons adding air stones, pumps and filters to `equipment` (the scene's
+// list, see equipment.js), and a folder per item: on/off, how hard, where it
+// sits (snapped onto the sand or the glass of mountWorld as it moves) and
+// where it points
+export function addEquipmentControls(gui, equipment, mountWorld) {
+  const equipmentFolder = gui.addFolder('Equipment');
+
+  function addItem(item) {
+    const folder = equipmentFolder.addFolder(EQUIPMENT_KINDS[item.kind].name);
+    folder.add(item, 'enabled').name('On');
+    folder.add(item, 'strength', 0, 5, 0.05).name(item.kind === 'airStone' ? 'Bubbles per Second' : 'Strength');
+    const addPosition = (position, label) => ['X', 'Y', 'Z'].forEach((axis, i) => {
+      const limit = mountWorld.bounds.max.getComponent(i);
+      folder.add(position, i, -limit, limit, 0.05).name(`${label}${axis}`).listen()
+        .onChange(() => snapEquipment(item, mountWorld));
+    });
+    addPosition(item.position, '');
+    if (item.kind !== 'airStone') {
+      folder.add(item, 'heading', 0, 360, 1).name('Heading');
+      folder.add(item, 'tilt', -90, 90, 1).name('Tilt');
+    }
+    if (item.intake) addPosition(item.intake, 'Intake ');
+    folder.add({
+      remove: () => {
+        equipment.splice(equipment.indexOf(item), 1);
+        folder.destroy();
+      }
+    }, 'remove').name('Remove');
+  }
+
+  function addEquipment(kind) {
+    const item = createEquipment(kind, mountWorld);
+    equipment.push(item);
+    addItem(item);
+  }
+
+  const equipmentActions = {
+    airStone: () => addEquipment('airStone'),
+    pump:     () => addEquipment('pump'),
+    filter:   () => addEquipment('filter')
+  };
+  equipmentFolder.add(equipmentActions, 'airStone').name('Add Air Stone');
+  equipmentFolder.add(equipmentActions, 'pump').name('Add Pump');
+  equipmentFolder.add(equipmentActions, 'filter').name('Add Filter');
+  equipment.forEach(addItem);
+}
+
+// Post-processing (see underwater.js); onAbsorption(on) when it is toggled
+export function addUnderwaterControls(gui, params, onAbsorption = () => {}) {
+  const underwaterFolder = gui.addFolder('Underwater');
+  underwaterFolder.add(params, 'absorption').name('Absorption').onChange(onAbsorption);
+  underwaterFolder.add(params, 'absorptionRed', 0, 0.5, 0.005).name('Red Absorption');
+  underwaterFolder.add(params, 'absorptionGreen', 0, 0.5, 0.005).name('Green Absorption');
+  underwaterFolder.add(params, 'absorptionBlue', 0, 0.5, 0.005).name('Blue Absorption');
+  underwaterFolder.addColor(params, 'waterColor').name('Scattered Color');
+  underwaterFolder.add(params, 'lightShafts').name('Light Shafts');
+  underwaterFolder.add(params, 'shaftIntensity', 0, 0.2, 0.005).name('Shaft Intensity');
+  underwaterFolder.add(params, 'shaftSamples', 4, 64, 1).name('Shaft Samples');
+  underwaterFolder.add(params, 'bloom').name('Bloom');
+  underwaterFolder.add(params, 'bloomStrength', 0, 3, 0.05).name('Bloom Strength');
+  underwaterFolder.add(params, 'bloomRadius', 0, 1, 0.05).name('Bloom Radius');
+  underwaterFolder.add(params, 'bloomThreshold', 0, 1, 0.01).name('Bloom Threshold');
+}
+
+// Whole-tank setups as JSON files (see scene.js); loading one stores it
+// under `key` and rebuilds the page, missing fields taken from `defaults`.
+// toScene() is what Save writes.
+export function addSceneControls(gui, sceneConfig, params, {
+  key, defaults, toScene = () => sceneFromParams(sceneConfig, params)
+}) {
+  const sceneActions = {
+    save: () => downloadScene(toScene()),
+    load: () => pickSceneFile()
+      .then(text => {
+        if (text === null) return;
+        storeScene(key, parseScene(text, defaults));
+        location.reload();
+      })
+      .catch(reportError),
+    reset: () => {
+      clearStoredScene(key);
+      location.reload();
+    }
+  };
+  const sceneFolder = gui.addFolder(`Scene: ${sceneConfig.name}`);
+  sceneFolder.add(sceneActions, 'save').name('Save Scene');
+  sceneFolder.add(sceneActions, 'load').name('Load Scene');
+  sceneFolder.add(sceneActions, 'reset').name('Reset to Default');
+  sceneFolder.add(params, 'seed', 0, 2 ** 32 - 1, 1).name('Seed').onFinishChange(replaySeed);
+  sceneFolder.add({ replay: () => replaySeed(params.seed) }, 'replay').name('Replay Seed');
+}
+
+// Reloads the page running from `seed`
+function replaySeed(seed) {
+  const url = new URL(location.href);
+  url.searchParams.set('seed', Math.floor(seed) >>> 0);
+  location.assign(url);
+}
+
+// Recorded runs (see timeline.js) of `channels`: every simulation step while
+// Record is on, played back frame by frame instead of simulating. info is
+// the timeline's { scene, seed }.
+export function createTimelineControls(gui, channels, { step, info }) {
+  let timeline = new Timeline(channels, { step, info });
+  const player = new TimelinePlayer(timeline);
+
+  const controls = {
+    record: false,
+    recorded: '0 frames',
+    playback: false,
+    frame: 0,
+    speed: 1,
+    playPause: () => { player.playing = !player.playing; },
+    stepBack: () => player.stepBy(-1),
+    stepForward: () => player.stepBy(1),
+    clear: () => {
+      setPlayback(false);
+      timeline.clear();
+    },
+    save: () => downloadTimeline(timeline, `${info.scene} seed ${info.seed}`),
+    load: () => pickTimelineFile()
+      .then(buffer => {
+        setPlayback(false);
+        timeline = Timeline.decode(buffer, channels);
+        player.timeline = timeline;
+        controls.record = false;
+        setPlayback(true);
+      })
+      .catch(reportError)
+  };
+  const timelineFolder = gui.addFolder('Timeline');
+  timelineFolder.add(controls, 'record').name('Record').listen();
+  timelineFolder.add(controls, 'recorded').name('Recorded').listen().disable();
+  timelineFolder.add(controls, 'playback').name('Playback').onChange(setPlayback).listen();
+  timelineFolder.add(controls, 'playPause').name('Play / Pause');
+  timelineFolder.add(controls, 'stepBack').name('Step Back');
+  timelineFolder.add(controls, 'stepForward').name('Step Forward');
+  const frameController = timelineFolder.add(controls, 'frame', 0, 1, 1).name('Frame')
+    .onChange(frame => player.seek(frame)).listen();
+  timelineFolder.add(controls, 'speed', 0.1, 4, 0.1).name('Speed').onChange(speed => { player.speed = speed; });
+  timelineFolder.add(controls, 'clear').name('Clear Recording');
+  timelineFolder.add(controls, 'save').name('Save Timeline');
+  timelineFolder.add(controls, 'load').name('Load Timeline');
+
+  // Playback starts from the first frame; leaving it hands the surface back
+  // to the solver and the simulation carries on from the frame shown
+  function setPlayback(on) {
+    controls.playback = on;
+    player.playing = on;
+    if (on) {
+      frameController.max(Math.max(timeline.length - 1, 1));
+      player.seek(0);
+    } else {
+      timeline.release();
+    }
+  }
+
+  return {
+    controls,
+    player,
+
+    // Adds the state at `time`, after a simulation step, while Record is on
+    record(time) {
+      if (controls.record) timeline.record(time);
+    },
+
+    updateStats() {
+      controls.recorded = `${timeline.length} frames (${(timeline.length * timeline.step).toFixed(1)} s)`;
+      controls.frame = player.frame;
+    }
+  };
+}
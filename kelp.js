@@ -0,0 +1,368 @@
+import * as THREE from 'three';
+
+// Kelp as a rope of points from a fixed base upward, solved with
+// position-based dynamics: Verlet integration of buoyancy and drag against
+// the water current, then constraints for segment length, bending and
+// collisions with rocks, arches, fish and the tank walls. Every step is split into
+// KELP_SUBSTEPS equal substeps, so the rope behaves the same at any frame
+// rate. Plain state, createKelpMesh() draws it.
+
+export const KELP_SUBSTEPS = 8;
+
+const BUOYANCY    = 1.5;  // upward acceleration of the blades
+const DRAG        = 2.5;  // per second, pulls the rope toward the water's velocity
+const BENDING     = 0.25; // 0..1 of the bend undone per substep
+const ITERATIONS  = 2;    // constraint passes per substep
+const THICKNESS   = 0.05; // collision radius of the rope
+const FISH_RADIUS = 0.2;  // for fish without a radius of their own
+const FISH_REACH  = 1;    // largest fish radius looked for
+const SLACK       = 0.1;  // how far the rope may move in one step
+const FLOW_MEMORY = 3;    // seconds the prevailing current averages over
+
+const _velocity = new THREE.Vector3();
+const _flow     = new THREE.Vector3();
+const _delta    = new THREE.Vector3();
+const _mid      = new THREE.Vector3();
+const _average  = new THREE.Vector3();
+const _segment  = new THREE.Vector3();
+const _closest  = new THREE.Vector3();
+
+// A straight rope of `segments` points, `length` tall, standing on base
+export function createKelp(base, length, segments) {
+  const points = [];
+  for (let j = 0; j < segments; j++) {
+    points.push(new THREE.Vector3(base.x, base.y + (j / (segments - 1)) * length, base.z));
+  }
+  return {
+    base: base.clone(),
+    points,
+    previous: points.map(point => point.clone()), // positions one substep ago
+    jointLength: length / (segments - 1),
+    length,
+    spheres: [], // collision spheres gathered for the current step
+    chains: [],  // and capsule chains
+    flow: new THREE.Vector3() // prevailing current along the rope
+  };
+}
+
+// Advances one plant by dt. world (all optional):
+//   time        simulated seconds, passed to current
+//   current     (position, time, target) => water velocity at position
+//   obstacles   [{ center, radius }] static spheres such as rocks
+//   chains      [{ points, radius, bounds }] static capsule chains such as
+//               arches, bounds a Sphere around each (see ObstacleSet)
+//   flock       FlockSimulation whose fish push the rope aside
+//   bounds      Box3 the rope stays inside (the tank walls)
+//   groundHeightAt  (x, z) => height of the floor
+export function stepKelp(plant, dt, world = {}) {
+  const { points, previous } = plant;
+  const {
+    time = 0, current = null, obstacles = [], chains = [], flock = null, bounds = null, groundHeightAt = null
+  } = world;
+
+  // Whatever can touch the rope this step. No point is further than half
+  // the length from the middle between base and tip.
+  const spheres = plant.spheres;
+  spheres.length = 0;
+  _mid.copy(points[0]).add(points[points.length - 1]).multiplyScalar(0.5);
+  const reach = plant.length / 2 + THICKNESS + SLACK;
+  obstacles.forEach(sphere => {
+    if (sphere.center.distanceTo(_mid) < reach + sphere.radius) spheres.push(sphere);
+  });
+  plant.chains.length = 0;
+  chains.forEach(chain => {
+    if (chain.bounds.distanceToPoint(_mid) < reach) plant.chains.push(chain);
+  });
+  if (flock) {
+    flock.queryNeighbors(_mid, reach + FISH_REACH, fish => {
+      spheres.push({ center: fish.position, radius: fish.radius || FISH_RADIUS });
+    });
+  }
+
+  // Slow average of the current along the rope, the blades face it
+  if (current) {
+    _average.set(0, 0, 0);
+    points.forEach(point => _average.add(current(point, time, _flow)));
+    plant.flow.lerp(_average.divideScalar(points.length), Math.min(dt / FLOW_MEMORY, 1));
+  }
+
+  const h = dt / KELP_SUBSTEPS;
+  for (let s = 0; s < KELP_SUBSTEPS; s++) {
+    // Verlet: velocity from the last substep, plus buoyancy and drag
+    for (let j = 1; j < points.length; j++) {
+      const point = points[j];
+      _velocity.subVectors(point, previous[j]).divideScalar(h);
+      if (current) current(point, time + s * h, _flow);
+      else _flow.set(0, 0, 0);
+      _velocity.addScaledVector(_flow.sub(_velocity), Math.min(DRAG * h, 1));
+      _velocity.y += BUOYANCY * h;
+      previous[j].copy(point);
+      point.addScaledVector(_velocity, h);
+    }
+
+    for (let k = 0; k < ITERATIONS; k++) {
+      solveBending(plant);
+      solveCollisions(plant, bounds, groundHeightAt);
+      solveLengths(plant);
+    }
+  }
+  points[0].copy(plant.base);
+  previous[0].copy(plant.base);
+}
+
+// Pulls each point toward the middle of its neighbours, straightening the rope
+function solveBending(plant) {
+  const { points } = plant;
+  for (let j = 1; j < points.length - 1; j++) {
+    _mid.addVectors(points[j - 1], points[j + 1]).multiplyScalar(0.5);
+    _delta.subVectors(_mid, points[j]).multiplyScalar(BENDING);
+    points[j].add(_delta);
+    // The neighbours give way too, except the fixed base
+    if (j - 1 > 0) points[j - 1].addScaledVector(_delta, -0.5);
+    points[j + 1].addScaledVector(_delta, -0.5);
+  }
+}
+
+// Pushes points out of the collision spheres and chains, the floor and the
+// walls
+function solveCollisions(plant, bounds, groundHeightAt) {
+  const { points, spheres, chains } = plant;
+  for (let j = 1; j < points.length; j++) {
+    const point = points[j];
+    spheres.forEach(({ center, radius }) => {
+      _delta.subVectors(point, center);
+      const dist = _delta.length();
+      const min = radius + THICKNESS;
+      if (dist < min && dist > 1e-6) point.addScaledVector(_delta, (min - dist) / dist);
+    });
+    chains.forEach(({ points: spine, radius }) => {
+      const min = radius + THICKNESS;
+      for (let i = 1; i < spine.length; i++) {
+        // Out from the closest point of the segment
+        _segment.subVectors(spine[i], spine[i - 1]);
+        const lengthSq = _segment.lengthSq();
+        const s = lengthSq > 0
+          ? THREE.MathUtils.clamp(_delta.subVectors(point, spine[i - 1]).dot(_segment) / lengthSq, 0, 1)
+          : 0;
+        _closest.copy(spine[i - 1]).addScaledVector(_segment, s);
+        _delta.subVectors(point, _closest);
+        const dist = _delta.length();
+        if (dist < min && dist > 1e-6) point.addScaledVector(_delta, (min - dist) / dist);
+      }
+    });
+    if (groundHeightAt) point.y = Math.max(point.y, groundHeightAt(point.x, point.z) + THICKNESS);
+    if (bounds) {
+      point.x = THREE.MathUtils.clamp(point.x, bounds.min.x + THICKNESS, bounds.max.x - THICKNESS);
+      point.y = THREE.MathUtils.clamp(point.y, bounds.min.y + THICKNESS, bounds.max.y - THICKNESS);
+      point.z = THREE.MathUtils.clamp(point.z, bounds.min.z + THICKNESS, bounds.max.z - THICKNESS);
+    }
+  }
+}
+
+// Puts every segment back at jointLength, working up from the fixed base
+function solveLengths(plant) {
+  const { points, jointLength } = plant;
+  points[0].copy(plant.base);
+  for (let j = 1; j < points.length; j++) {
+    _delta.subVectors(points[j], points[j - 1]);
+    const dist = _delta.length();
+    if (dist < 1e-9) _delta.set(0, 1, 0);
+    else _delta.divideScalar(dist);
+    points[j].copy(points[j - 1]).addScaledVector(_delta, jointLength);
+  }
+}
+
+const LEAF_SEGMENTS = 4;
+const LEAF_ANGLE    = THREE.MathUtils.degToRad(40); // up from the blade's side
+const LEAF_DROOP    = 0.25;                         // of the leaf length
+
+const _tangent  = new THREE.Vector3();
+const _previous = new THREE.Vector3();
+const _side     = new THREE.Vector3();
+const _facing   = new THREE.Vector3();
+const _turn     = new THREE.Quaternion();
+const _leafDir  = new THREE.Vector3();
+const _leafSide = new THREE.Vector3();
+const _vertex   = new THREE.Vector3();
+const _stem     = new THREE.Vector3();
+
+// Kelp geometry along a rope: a tapering blade plus optional leaves
+// branching off it on alternate sides. The blade's frame is carried up the
+// rope by parallel transport, so it bends without flipping and twists by
+// `twist` radians from base to tip; at the base its flat face turns toward
+// the plant's prevailing current (plant.flow).
+//
+// UVs lay out a texture atlas: the blade on the left half (u 0..0.5), every
+// leaf on the right half (u 0.5..1), v running base to tip. The
+// `translucency` attribute (0..1) is how much light shines through, for
+// applyKelpTranslucency(): thin tips and leaves more than the stalk.
+//
+// Buffers are allocated once; sync() rewrites positions and normals in place.
+export function createKelpMesh(plant, material, {
+  width = 0.18,
+  twist = 0,
+  leaves = 0,
+  leafLength = 0.35,
+  leafWidth = 0.08
+} = {}) {
+  const { points } = plant;
+  const count = points.length;
+  const leafRows = LEAF_SEGMENTS + 1;
+  const vertexCount = count * 2 + leaves * leafRows * 2;
+
+  const positions    = new Float32Array(vertexCount * 3);
+  const normals      = new Float32Array(vertexCount * 3);
+  const uvs          = new Float32Array(vertexCount * 2);
+  const translucency = new Float32Array(vertexCount);
+  const indices      = [];
+
+  // A strip of `rows` vertex pairs starting at vertex `first`
+  const strip = (first, rows) => {
+    for (let r = 0; r < rows - 1; r++) {
+      const a = first + r * 2;
+      indices.push(a, a + 1, a + 2, a + 1, a + 3, a + 2);
+    }
+  };
+
+  for (let j = 0; j < count; j++) {
+    const v = j / (count - 1);
+    uvs.set([0, v, 0.5, v], j * 4);
+    translucency.fill(0.3 + 0.5 * v, j * 2, j * 2 + 2);
+  }
+  strip(0, count);
+
+  // Leaves spread evenly over the rope, above the base
+  const leafJoints = [];
+  for (let k = 0; k < leaves; k++) {
+    const first = count * 2 + k * leafRows * 2;
+    leafJoints.push(Math.max(1, Math.round((k + 1) * (count - 1) / (leaves + 1))));
+    for (let r = 0; r < leafRows; r++) {
+      const v = r / LEAF_SEGMENTS;
+      uvs.set([0.5, v, 1, v], (first + r * 2) * 2);
+    }
+    translucency.fill(0.85, first, first + leafRows * 2);
+    strip(first, leafRows);
+  }
+
+  const geometry = new THREE.BufferGeometry();
+  geometry.setAttribute('position', new THREE.BufferAttribute(positions, 3).setUsage(THREE.DynamicDrawUsage));
+  geometry.setAttribute('normal', new THREE.BufferAttribute(normals, 3).setUsage(THREE.DynamicDrawUsage));
+  geometry.setAttribute('uv', new THREE.BufferAttribute(uvs, 2));
+  geometry.setAttribute('translucency', new THREE.BufferAttribute(translucency, 1));
+  geometry.setIndex(indices);
+  const mesh = new THREE.Mesh(geometry, material);
+  // Sways around its base, bounds from the rope's full reach
+  geometry.boundingSphere = new THREE.Sphere(plant.base.clone(), plant.length + width + leafLength);
+
+  // Face normal of the blade at every rope point, kept between syncs so the
+  // base only turns as far as the current does
+  const faces = points.map(() => new THREE.Vector3(0, 0, 1));
+
+  const tangentAt = (j, target) =>
+    target.subVectors(points[Math.min(j + 1, count - 1)], points[Math.max(j - 1, 0)]).normalize();
+
+  const setPair = (vertex, center, across, half, normal) => {
+    _vertex.copy(center).addScaledVector(across, half).toArray(positions, vertex * 3);
+    _vertex.copy(center).addScaledVector(across, -half).toArray(positions, vertex * 3 + 3);
+    normal.toArray(normals, vertex * 3);
+    normal.toArray(normals, vertex * 3 + 3);
+  };
+
+  function sync() {
+    // Base frame: face the current (either side, whichever is closer to
+    // the last one), or keep the last face in still water
+    tangentAt(0, _tangent);
+    _facing.copy(plant.flow).addScaledVector(_tangent, -plant.flow.dot(_tangent));
+    if (_facing.lengthSq() < 1e-8) _facing.copy(faces[0]).addScaledVector(_tangent, -faces[0].dot(_tangent));
+    if (_facing.lengthSq() < 1e-8) _facing.set(1, 0, 0).addScaledVector(_tangent, -_tangent.x);
+    _facing.normalize();
+    if (_facing.dot(faces[0]) < 0) _facing.negate();
+    faces[0].copy(_facing);
+
+    // Parallel transport: each face is the last one turned by the bend
+    // between the two tangents
+    _previous.copy(_tangent);
+    for (let j = 0; j < count; j++) {
+      tangentAt(j, _tangent);
+      if (j > 0) {
+        _turn.setFromUnitVectors(_previous, _tangent);
+        faces[j].copy(faces[j - 1]).applyQuaternion(_turn);
+        _previous.copy(_tangent);
+      }
+      const v = j / (count - 1);
+      // Twisted copy for the vertices, the untwisted one carries on
+      _facing.copy(faces[j]).applyAxisAngle(_tangent, twist * v);
+      _side.crossVectors(_tangent, _facing);
+
+      const half = width * (1 - 0.75 * v) / 2;
+      setPair(j * 2, points[j], _side, half, _facing);
+
+      leafJoints.forEach((joint, k) => {
+        if (joint === j) buildLeaf(k, points[j], _tangent, _side, _facing, half);
+      });
+    }
+    geometry.attributes.position.needsUpdate = true;
+    geometry.attributes.normal.needsUpdate = true;
+  }
+
+  // Leaf k at a blade point: out from the blade's edge on alternate sides,
+  // angled up, drooping away from the face
+  function buildLeaf(k, center, tangent, side, face, bladeHalf) {
+    const sign = k % 2 === 0 ? 1 : -1;
+    _leafDir.copy(side).multiplyScalar(sign * Math.cos(LEAF_ANGLE)).addScaledVector(tangent, Math.sin(LEAF_ANGLE));
+    _leafSide.crossVectors(face, _leafDir).normalize();
+    const first = count * 2 + k * leafRows * 2;
+    for (let r = 0; r < leafRows; r++) {
+      const s = r / LEAF_SEGMENTS;
+      _stem.copy(center)
+        .addScaledVector(side, sign * bladeHalf)
+        .addScaledVector(_leafDir, s * leafLength)
+        .addScaledVector(face, -LEAF_DROOP * leafLength * s * s);
+      // Pointed at the tip, narrow at the stem
+      const half = leafWidth / 2 * Math.max(Math.sin(Math.PI * Math.min(s + 0.15, 1)), 0.05);
+      setPair(first + r * 2, _stem, _leafSide, half, face);
+    }
+  }
+
+  sync();
+  return { mesh, geometry, sync };
+}
+
+// Patches a lit material so light from behind shines through kelp: each
+// directional light adds its colour on the far side of the blade, scaled by
+// the geometry's `translucency` attribute. Chain it before applyCaustics().
+export function applyKelpTranslucency(material, { strength = 0.6 } = {}) {
+  const previous = material.onBeforeCompile;
+  material.customProgramCacheKey = () => `kelp:${strength}:${previous.toString()}`;
+  material.onBeforeCompile = (shader, renderer) => {
+    previous.call(material, shader, renderer);
+
+    shader.vertexShader = `
+      attribute float translucency;
+      varying float vTranslucency;
+      ${shader.vertexShader}
+    `.replace(
+      `#include <begin_vertex>`,
+      `#include <begin_vertex>
+        vTranslucency = translucency;
+      `
+    );
+
+    shader.fragmentShader = `
+      varying float vTranslucency;
+      ${shader.fragmentShader}
+    `.replace(
+      `#include <lights_fragment_end>`,
+      `#include <lights_fragment_end>
+        #if NUM_DIR_LIGHTS > 0
+          for (int i = 0; i < NUM_DIR_LIGHTS; i++) {
+            float through = max(dot(-geometryNormal, directionalLights[i].direction), 0.0);
+            reflectedLight.directDiffuse += diffuseColor.rgb * directionalLights[i].color
+              * through * vTranslucency * ${strength.toFixed(3)};
+          }
+        #endif
+      `
+    );
+  };
+  return material;
+}
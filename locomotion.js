@@ -0,0 +1,107 @@
+import * as THREE from 'three';
+
+// How a fish's body moves with its swimming, from how it actually moves
+// between frames, shared by the shader-animated schools (fishPopulation.js)
+// and the skinned ones (fishRig.js):
+//
+//   tail beat  IDLE_BEAT rad/s plus STRIDE rad per body length travelled
+//   amplitude  IDLE_AMPLITUDE when cruising, more the harder the fish
+//              speeds up or turns (acceleration in body lengths per s^2)
+//   bend       the body curves into the turn, BEND_PER_TURN body lengths at
+//              the tail per rad/s of yaw
+//   bank       rolls into the turn like a banking plane, from the sideways
+//              acceleration against BANK_ACCEL
+//
+// Rates and accelerations are smoothed over about 1 / SMOOTHING seconds.
+// Bodies face -x with their back up +y, as the fish geometry is built.
+
+export const IDLE_AMPLITUDE = 0.7;
+export const MAX_AMPLITUDE  = 1.6;
+export const MAX_BEND       = 0.35;
+
+const IDLE_BEAT           = 2;
+const STRIDE              = 4;
+const AMPLITUDE_PER_ACCEL = 0.15;
+const BEND_PER_TURN       = 0.1;
+const BANK_ACCEL          = 6;
+const MAX_BANK            = Math.PI / 4;
+const SMOOTHING           = 4;
+const TURN_FOLLOW         = 6; // how quickly the body takes up its heading
+
+export const FISH_FORWARD = new THREE.Vector3(-1, 0, 0);
+const worldUp = new THREE.Vector3(0, 1, 0);
+
+const _dir   = new THREE.Vector3();
+const _up    = new THREE.Vector3();
+const _side  = new THREE.Vector3();
+const _tail  = new THREE.Vector3();
+const _turn  = new THREE.Vector3();
+const _accel = new THREE.Vector3();
+const _basis = new THREE.Matrix4();
+const _quat  = new THREE.Quaternion();
+
+// bodyLength: world length of the fish, beatScale: its own tail-beat
+// multiplier (so no two fish are in step), phase: starting tail phase
+export function createSwim(bodyLength, velocity, { beatScale = 1, phase = 0 } = {}) {
+  return {
+    bodyLength,
+    beatScale,
+    phase,
+    amplitude: IDLE_AMPLITUDE,
+    bend:      0,
+    bank:      0,
+    yawRate:   0,
+    accel:     0,
+    velocity:  velocity.clone(), // at the last update
+    up:        new THREE.Vector3(0, 1, 0)
+  };
+}
+
+// Advances swim to velocity, dt seconds after the last update. A negative
+// dt (a timeline jumping back) only starts over from velocity.
+export function updateSwim(swim, velocity, dt) {
+  if (dt < 0) swim.velocity.copy(velocity);
+  if (dt <= 0) return swim;
+  const speed = velocity.length();
+  const follow = 1 - Math.exp(-SMOOTHING * dt);
+
+  // Level up, unless swimming straight up or down
+  _dir.copy(velocity).divideScalar(speed || 1);
+  _up.copy(worldUp).addScaledVector(_dir, -_dir.y);
+  if (speed > 0 && _up.lengthSq() > 1e-4) swim.up.copy(_up.normalize());
+
+  // Yaw rate, counter-clockwise seen from the fish's back is a left turn
+  const lastSpeed = swim.velocity.length();
+  let yawRate = 0;
+  if (speed > 0 && lastSpeed > 0) {
+    _turn.crossVectors(swim.velocity, velocity).divideScalar(lastSpeed * speed);
+    yawRate = Math.asin(THREE.MathUtils.clamp(_turn.dot(swim.up), -1, 1)) / dt;
+  }
+  _accel.subVectors(velocity, swim.velocity).divideScalar(dt);
+  swim.velocity.copy(velocity);
+
+  swim.yawRate += (yawRate - swim.yawRate) * follow;
+  swim.accel   += (_accel.length() / swim.bodyLength - swim.accel) * follow;
+
+  swim.phase = (swim.phase + swim.beatScale * (IDLE_BEAT + STRIDE * speed / swim.bodyLength) * dt) % (Math.PI * 2);
+  swim.amplitude = Math.min(IDLE_AMPLITUDE + swim.accel * AMPLITUDE_PER_ACCEL, MAX_AMPLITUDE);
+  swim.bend = THREE.MathUtils.clamp(swim.yawRate * BEND_PER_TURN, -MAX_BEND, MAX_BEND);
+  swim.bank = THREE.MathUtils.clamp(Math.atan(swim.yawRate * speed / BANK_ACCEL), -MAX_BANK, MAX_BANK);
+  return swim;
+}
+
+// Turns quaternion toward velocity over dt seconds, banked into the turn;
+// a negative dt snaps it there
+export function orientFish(quaternion, swim, velocity, dt) {
+  // Body axes: tail along -velocity, up tilted into the turn
+  _dir.copy(velocity).normalize();
+  if (_dir.lengthSq() === 0) _dir.copy(FISH_FORWARD).applyQuaternion(quaternion);
+  _tail.copy(_dir).negate();
+  _side.crossVectors(swim.up, _dir); // the fish's left
+  if (_side.lengthSq() < 1e-8) _side.set(0, 0, 1).applyQuaternion(quaternion);
+  _side.normalize();
+  _up.crossVectors(_dir, _side).multiplyScalar(Math.cos(swim.bank)).addScaledVector(_side, Math.sin(swim.bank));
+  _side.crossVectors(_tail, _up);
+  _quat.setFromRotationMatrix(_basis.makeBasis(_tail, _up, _side));
+  return quaternion.slerp(_quat, dt >= 0 ? 1 - Math.exp(-TURN_FOLLOW * dt) : 1);
+}
@@ -1,11 +1,36 @@
 import * as THREE from 'three';
 import { OrbitControls }    from 'three/examples/jsm/controls/OrbitControls.js';
 import { GUI }              from 'lil-gui';
-import { createFish }       from './fish.js';
+import { createFishPopulation } from './fishPopulation.js';
+import { FlockSimulation }  from './flock.js';
+import { ObstacleSet }      from './obstacles.js';
+import { FoodSystem, createPelletMesh } from './food.js';
+import { createWaterSurface, waterHeightChunk } from './water.js';
+import { createCaustics, applyCaustics } from './caustics.js';
 import { RGBELoader }       from 'three/examples/jsm/loaders/RGBELoader.js';
 import { PMREMGenerator }   from 'three';
-import { EffectComposer }   from 'three/examples/jsm/postprocessing/EffectComposer.js';      
-import { RenderPass }       from 'three/examples/jsm/postprocessing/RenderPass.js';          
+import { createUnderwaterComposer } from './underwater.js';
+import { parseScene, applySceneToParams, sceneFromParams, sunPosition, loadStoredScene } from './scene.js';
+import { createRandom, randomSeed } from './random.js';
+import { SimulationClock } from './simClock.js';
+import { SandTerrain, createSandMesh } from './sand.js';
+import { createRocks }      from './rocks.js';
+import { ASSETS, sceneAssets, loadAssets, createLoadingOverlay, assetMaterial, createProps } from './decorations.js';
+import { Sediment }         from './sediment.js';
+import { createPlantSpring, stepPlantSpring } from './plants.js';
+import { WaterCurrent, createCurrentArrows } from './current.js';
+import { snapEquipment, BubbleStreams, createBubbleMesh, createEquipmentMesh } from './equipment.js';
+import { fishChannel, bubbleChannel, waterChannel } from './timeline.js';
+import {
+  addFishControls, addSkinnedFishControls, addPredatorControls, addCurrentControls,
+  addEquipmentControls, addUnderwaterControls, addSceneControls, createTimelineControls
+} from './gui.js';
+import { createSkinnedFish, startAquarium } from './aquarium.js';
+import defaultScene from './scenes/default.json';
+
+// Tank setup (see scene.js): the scene picked with "Load scene", else the default preset
+const SCENE_KEY   = 'aquarium.scene.main';
+const sceneConfig = loadStoredScene(SCENE_KEY, defaultScene) || parseScene(defaultScene, defaultScene);
 
 // Scene, camera, renderer
 const scene    = new THREE.Scene();
@@ -31,18 +56,14 @@ pmremGen.compileEquirectangularShader();
 new RGBELoader()
   .setDataType(THREE.HalfFloatType)  // <-- UnsignedByteType is more broadly supported than HalfFloatType!
   .load(
-    'empty_play_room_4k.hdr',
+    sceneConfig.environment.hdr,
     (hdrEquirect) => {
       const envMap = pmremGen.fromEquirectangular(hdrEquirect).texture;
       scene.environment = envMap;
-      scene.background = envMap;
+      if (sceneConfig.environment.background) scene.background = envMap;
       waterUniforms.envMap.value = envMap;
       // Apply envMap to every fish as soon as HDR is ready
-      fishData.forEach(({ material }) => {
-        if (material.userData && material.userData.uniforms) {
-            material.userData.uniforms.envMap.value = envMap;
-        }
-      });
+      population.setEnvMap(envMap);
       hdrEquirect.dispose();
       pmremGen.dispose();
     },
@@ -50,12 +71,6 @@ new RGBELoader()
     (err) => { console.error('Error loading HDR:', err); }
   );
 
-// Post-processing (Bloom) – OPTIONAL
-const composer = new EffectComposer(renderer);
-const renderPass = new RenderPass(scene, camera);
-composer.addPass(renderPass);
-
-
 // Controls
 const controls = new OrbitControls(camera, renderer.domElement);
 controls.enablePan     = false;
@@ -67,8 +82,9 @@ controls.target.set(0, 2, 0);
 controls.update();
 
 // Lights
-const dirLight = new THREE.DirectionalLight(0xffffff, 1);
-dirLight.position.set(1, 5, 2);
+const { sun, ambient, points } = sceneConfig.lighting;
+const dirLight = new THREE.DirectionalLight(sun.color, sun.intensity);
+dirLight.position.copy(sunPosition(sun));
 dirLight.castShadow = true;               // ⬅– ADD: light casts shadows
 dirLight.shadow.camera.near = 0.5;
 dirLight.shadow.camera.far = 50;
@@ -79,13 +95,17 @@ dirLight.shadow.camera.bottom = -10;
 dirLight.shadow.mapSize.width = 1024;
 dirLight.shadow.mapSize.height = 1024;
 
-const ambLight = new THREE.AmbientLight(0xffffff, 0.3);
+const ambLight = new THREE.AmbientLight(ambient.color, ambient.intensity);
 scene.add(dirLight, ambLight);
 
+points.forEach(({ color, intensity, distance, position }) => {
+  const light = new THREE.PointLight(color, intensity, distance);
+  light.position.fromArray(position);
+  scene.add(light);
+});
+
 // Aquarium
-const aqWidth  = 20;
-const aqHeight = 10;
-const aqDepth  = 16;
+const { width: aqWidth, height: aqHeight, depth: aqDepth } = sceneConfig.tank;
 const aquariumGeo = new THREE.BoxGeometry(aqWidth, aqHeight, aqDepth);
 const aquariumMat = new THREE.MeshPhysicalMaterial({
   color:        0x88ccee,
@@ -113,78 +133,33 @@ floorPlane.receiveShadow = true;
 scene.add(floorPlane);
 
 const waterUniforms = {
-  time:     { value: 0 },
   envMap:   { value: null }, // will be set after HDR load
   cameraPos: { value: new THREE.Vector3() }
 };
 
-const WATER_RES_X = 64;
-const WATER_RES_Z = 64;
-const waterHeights = [];
-const waterVelocities = [];
-for (let x = 0; x < WATER_RES_X; x++) {
-  waterHeights[x] = [];
-  waterVelocities[x] = [];
-  for (let z = 0; z < WATER_RES_Z; z++) {
-    waterHeights[x][z] = 0;
-    waterVelocities[x][z] = 0;
-  }
-}
-
-const WAVE_SPEED = 2.0; // Adjust for more/less "slosh"
-const DAMPING = 0.995;  // Try 0.99-1.0
-
-function updateWaterPhysics(delta) {
-  for (let x = 1; x < WATER_RES_X - 1; x++) {
-    for (let z = 1; z < WATER_RES_Z - 1; z++) {
-      // Average of neighbors minus this cell = "curvature"
-      let laplacian =
-        (waterHeights[x-1][z] + waterHeights[x+1][z] +
-         waterHeights[x][z-1] + waterHeights[x][z+1]) / 4
-        - waterHeights[x][z];
-      // Update velocity and height
-      waterVelocities[x][z] += laplacian * WAVE_SPEED * delta;
-      waterVelocities[x][z] *= DAMPING;
-      waterHeights[x][z] += waterVelocities[x][z] * delta;
-    }
-  }
-}
-
-function disturbWater(worldX, worldZ, strength = 0.3) {
-  // Convert world coords to grid index
-  let ix = Math.floor((worldX / aqWidth + 0.5) * WATER_RES_X);
-  let iz = Math.floor((worldZ / aqDepth + 0.5) * WATER_RES_Z);
-  if (ix > 0 && ix < WATER_RES_X-1 && iz > 0 && iz < WATER_RES_Z-1) {
-    waterVelocities[ix][iz] += strength;
-  }
-}
-
-function updateWaterMesh() {
-  const posAttr = water.geometry.attributes.position;
-  for (let x = 0; x < WATER_RES_X; x++) {
-    for (let z = 0; z < WATER_RES_Z; z++) {
-      let i = z + x * WATER_RES_Z;
-      posAttr.setY(i, waterHeights[x][z]);
-    }
-  }
-  posAttr.needsUpdate = true;
-  water.geometry.computeVertexNormals();
-}
+// Height-field ripples (see water.js), one solver texel per surface vertex
+const WATER_RES = 512;
+const waterSim = createWaterSurface(renderer, {
+  width:  aqWidth,
+  depth:  aqDepth,
+  resX:   WATER_RES,
+  resZ:   WATER_RES
+});
+Object.assign(waterUniforms, waterSim.uniforms);
 
+// The plane is rotated -90° about X: local z is up and world z is -local y.
+// Height and slopes of the surface come from water.js.
 const waterVertex = `
-uniform float time;
+${waterHeightChunk}
 varying vec3 vWorldPos;
 varying vec3 vNormal;
 void main() {
   vec3 pos = position;
-  float freq = 2.0;
-  float amp = 0.15;
-  float phase = time * 0.7;
-  pos.y += sin(pos.x * freq + phase) * amp;
-  pos.y += sin(pos.z * freq * 1.3 - phase * 1.5) * amp * 0.6;
+  vec3 surface = waterSurface(vec2(pos.x, -pos.y));
+  pos.z += surface.x;
+  vNormal = normalize(vec3(-surface.y, 1.0, -surface.z));
+
   vWorldPos = (modelMatrix * vec4(pos, 1.0)).xyz;
-  // Approximate normal by cross product of local tangents
-  vNormal = normalMatrix * normal;
   gl_Position = projectionMatrix * viewMatrix * vec4(vWorldPos, 1.0);
 }
 `;
@@ -198,8 +173,11 @@ varying vec3 vNormal;
 
 void main() {
   vec3 viewDir = normalize(vWorldPos - cameraPos);
-  float fresnel = pow(1.0 - max(dot(viewDir, normalize(vNormal)), 0.0), 3.0);
-  vec3 reflectColor = textureCube(envMap, reflect(viewDir, normalize(vNormal))).rgb;
+  vec3 n = normalize(vNormal);
+  // Seen from below, reflect off the underside
+  if (dot(n, viewDir) > 0.0) n = -n;
+  float fresnel = pow(1.0 - max(dot(-viewDir, n), 0.0), 3.0);
+  vec3 reflectColor = textureCube(envMap, reflect(viewDir, n)).rgb;
   vec3 refractColor = vec3(0.1,0.2,0.4);
   vec3 col = mix(refractColor, reflectColor, fresnel);
   gl_FragColor = vec4(col, 0.6);
@@ -210,10 +188,11 @@ const waterShaderMat = new THREE.ShaderMaterial({
   uniforms: waterUniforms,
   vertexShader: waterVertex,
   fragmentShader: waterFragment,
-  transparent: true
+  transparent: true,
+  depthWrite: false // keep the depth of what's below for the post passes
 });
 const water = new THREE.Mesh(
-  new THREE.PlaneGeometry(aqWidth, aqDepth, 128, 128),
+  new THREE.PlaneGeometry(aqWidth, aqDepth, waterSim.resX - 1, waterSim.resZ - 1),
   waterShaderMat
 );
 water.rotation.x = -Math.PI / 2;
@@ -236,14 +215,16 @@ const waterVolumeMat = new THREE.MeshPhysicalMaterial({
   thickness:    2,
   transparent:  true,
   opacity:      0.6,
-  side:         THREE.FrontSide
+  side:         THREE.FrontSide,
+  depthWrite:   false
 });
 const waterVolume = new THREE.Mesh(waterVolumeGeo, waterVolumeMat);
 scene.add(waterVolume);
 
-// Underwater “fog” for depth attenuation
-scene.fog = new THREE.FogExp2(0x336688, 0.02);
-renderer.setClearColor(scene.fog.color);
+// Underwater “fog” for depth attenuation, when the absorption pass is off
+const underwaterFog = new THREE.FogExp2(0x336688, 0.02);
+scene.fog = underwaterFog;
+renderer.setClearColor(underwaterFog.color);
 
 // Motion bounds
 const margin = 2;
@@ -251,420 +232,513 @@ const halfX  = aqWidth/2  - margin;
 const halfY  = aqHeight/2 - margin;
 const halfZ  = aqDepth/2  - margin;
 
+// Fish within this distance of the top of the swim box ripple the surface
+const SURFACE_WAKE_DEPTH = 1;
+
+// Fish within this height of the sand stir it up, more the lower they swim
+const SAND_STIR_HEIGHT = 1.5;
+
+// Spacing of the sand heightfield grid
+const SAND_CELL = 0.15;
+
 // Fish management
-let targets  = [];
-let fishData = [];
+const MAX_FISH   = 3000;
+const FISH_SCALE = sceneConfig.fish.scale;
 
 // GUI parameters
 const params = {
   fishCount: 5,
   fishColor: '#ff8800',
+  speciesMix: { goldfish: 1, eel: 0, discus: 0, tetra: 0 },
   fishSpeed: 2,
   turnSpeed: 1.5,
   separationDist: 1.0,
-  separationStrength: 2.0
+  separationStrength: 2.0,
+  alignmentStrength: 1.0,
+  cohesionStrength: 1.0,
+  flockRadius: 3.0,
+  avoidStrength: 8,
+  avoidDistance: 2,
+  // Predators
+  predatorCount: 1,
+  viewDistance: 6,
+  viewAngle: 120,
+  chaseStrength: 3,
+  chaseSpeed: 1.6,
+  catchDistance: 0.5,
+  digestTime: 3,
+  fleeRadius: 4,
+  fleeStrength: 6,
+  panicBoost: 1,
+  respawnCaught: true,
+  caught: 0,
+  // Feeding
+  feedingMode: true,
+  pelletsPerDrop: 8,
+  autoFeedRate: 0,
+  pelletNutrition: 0.25,
+  pelletSight: 5,
+  eatDistance: 0.35,
+  hungerRate: 0.03,
+  hungerThreshold: 0.4,
+  energyDrain: 0.02,
+  minEnergySpeed: 0.4,
+  // Water surface
+  rippleStrength: 1.5,
+  fishWakeStrength: 0.05,
+  bubblePopStrength: 0.4,
+  // Water current (see current.js), direction in degrees
+  currentDirection: 20,
+  currentStrength: 0.5,
+  currentTurbulence: 0.3,
+  showCurrent: false,
+  skinnedFish: false,
+  // Sand (see sediment.js), rippled by the current's base flow
+  sandStir: 0.1,
+  rippleRate: 0.005,
+  reposeAngle: 32,
+  sinkRate: 0.002,
+  // Caustics and sun direction (degrees)
+  causticsIntensity: 1,
+  lightAzimuth: 27,
+  lightElevation: 66,
+  // Underwater post-processing (see underwater.js)
+  absorption: true,
+  absorptionRed: 0.12,
+  absorptionGreen: 0.04,
+  absorptionBlue: 0.02,
+  waterColor: '#0b3550',
+  lightShafts: true,
+  shaftIntensity: 0.04,
+  shaftSamples: 32,
+  bloom: false,
+  bloomStrength: 0.6,
+  bloomRadius: 0.4,
+  bloomThreshold: 0.85,
+  // Seed for every random draw, the same seed replays the same run
+  seed: randomSeed()
 };
 
+applySceneToParams(sceneConfig, params);
+
+// ?seed=N in the URL wins, so a run can be shared as a link
+const urlSeed = new URLSearchParams(location.search).get('seed');
+if (urlSeed !== null && /^\d+$/.test(urlSeed)) params.seed = Number(urlSeed) >>> 0;
+const random = createRandom(params.seed);
+
+// Live feeding statistics shown in the GUI
+const feedStats = { pellets: 0, eaten: 0, avgHunger: 0, avgEnergy: 0 };
+
+// Boids simulation (see flock.js)
+const flock = new FlockSimulation(params, { halfX, halfY, halfZ }, { random });
+
+// Inside of the glass
+const tankBounds = new THREE.Box3(
+  new THREE.Vector3(-aqWidth / 2, -aqHeight / 2, -aqDepth / 2),
+  new THREE.Vector3(aqWidth / 2, aqHeight / 2, aqDepth / 2)
+);
+
+// Air stones, pumps and filters (see equipment.js); the GUI edits the
+// scene's list directly, so saving the scene keeps them
+const equipment = sceneConfig.equipment;
+
+// Equipment sits on the sand (made below) or the glass, wherever the scene put it
+const mountWorld = { bounds: tankBounds, groundHeightAt: (x, z) => sandTerrain.heightAt(x, z) };
+
+// The water current everything drifts in, pumps and filters included (see current.js)
+const current = new WaterCurrent(params, { bounds: tankBounds, equipment, random });
+const waterAt = (position, time, target) => current.sample(position, time, target);
+const currentArrows = createCurrentArrows(current, tankBounds);
+scene.add(currentArrows.mesh);
+
+// Instanced schools per species, kept in step with the flock
+const population = createFishPopulation(scene, flock, params, { maxFish: MAX_FISH, scale: FISH_SCALE });
+const fishData = population.fishData;
+
+// Skinned fish standing in for the schools (see aquarium.js)
+const skinnedFish = createSkinnedFish(scene, flock, population, params);
+
 // GUI setup
 const gui = new GUI();
-gui.add(params, 'fishCount', 0, 50, 1).name('Number of Fish').onChange(updateFishCount);
-gui.addColor(params, 'fishColor').name('Fish Color').onChange(color => {
-  fishData.forEach(({ material }) => material.color.set(color));
+addFishControls(gui, params, { population, skinnedFish, maxFish: MAX_FISH });
+addSkinnedFishControls(gui, params, skinnedFish);
+addPredatorControls(gui, params, setPredatorCount);
+
+const feedingFolder = gui.addFolder('Feeding');
+feedingFolder.add(params, 'feedingMode').name('Click Surface to Feed');
+feedingFolder.add(params, 'pelletsPerDrop', 1, 30, 1).name('Pellets per Drop');
+feedingFolder.add(params, 'autoFeedRate', 0, 30, 1).name('Auto Feed (drops/min)');
+feedingFolder.add(params, 'pelletNutrition', 0.05, 1, 0.05).name('Pellet Nutrition');
+feedingFolder.add(params, 'pelletSight', 0.5, 10, 0.1).name('Pellet Sight');
+feedingFolder.add(params, 'hungerRate', 0, 0.2, 0.005).name('Hunger Rate');
+feedingFolder.add(params, 'hungerThreshold', 0, 1, 0.05).name('Hunger Threshold');
+feedingFolder.add(params, 'energyDrain', 0, 0.2, 0.005).name('Energy Drain');
+feedingFolder.add(params, 'minEnergySpeed', 0.1, 1, 0.05).name('Exhausted Speed');
+feedingFolder.add(feedStats, 'pellets').name('Pellets in Tank').listen().disable();
+feedingFolder.add(feedStats, 'eaten').name('Pellets Eaten').listen().disable();
+feedingFolder.add(feedStats, 'avgHunger').name('Avg Hunger').listen().disable().decimals(2);
+feedingFolder.add(feedStats, 'avgEnergy').name('Avg Energy').listen().disable().decimals(2);
+
+const waterFolder = gui.addFolder('Water');
+waterFolder.add(params, 'rippleStrength', 0, 5, 0.1).name('Click Ripple (Shift+Drag)');
+waterFolder.add(params, 'fishWakeStrength', 0, 0.5, 0.01).name('Fish Wake');
+waterFolder.add(params, 'bubblePopStrength', 0, 2, 0.05).name('Bubble Pop');
+
+addCurrentControls(gui, params);
+addEquipmentControls(gui, equipment, mountWorld);
+
+const sandFolder = gui.addFolder('Sand');
+sandFolder.add(params, 'sandStir', 0, 0.5, 0.01).name('Fish Stir');
+sandFolder.add(params, 'rippleRate', 0, 0.05, 0.001).name('Ripple Rate');
+sandFolder.add(params, 'reposeAngle', 15, 45, 1).name('Angle of Repose');
+sandFolder.add(params, 'sinkRate', 0, 0.02, 0.001).name('Decoration Sink Rate');
+
+const causticsFolder = gui.addFolder('Caustics');
+causticsFolder.add(params, 'causticsIntensity', 0, 3, 0.05).name('Intensity').onChange(v => caustics.setIntensity(v));
+causticsFolder.add(params, 'lightAzimuth', 0, 360, 1).name('Light Azimuth').onChange(updateLightDirection);
+causticsFolder.add(params, 'lightElevation', 20, 90, 1).name('Light Elevation').onChange(updateLightDirection);
+
+addUnderwaterControls(gui, params, updateFog);
+
+// Saved scenes keep the sand as it is now
+addSceneControls(gui, sceneConfig, params, {
+  key: SCENE_KEY,
+  defaults: defaultScene,
+  toScene: () => {
+    const saved = sceneFromParams(sceneConfig, params);
+    saved.substrate.sediment = sediment.toJSON();
+    return saved;
+  }
 });
-gui.add(params, 'fishSpeed', 0.1, 10, 0.1).name('Fish Speed');
-gui.add(params, 'turnSpeed', 0.1, 5, 0.1).name('Turn Responsiveness');
-gui.add(params, 'separationDist', 0.1, 5, 0.1).name('Separation Distance');
-gui.add(params, 'separationStrength', 0.1, 5, 0.1).name('Separation Strength');
 
 // Helpers
-const forward = new THREE.Vector3(-1,0,0);
-const dir     = new THREE.Vector3();
-const clock   = new THREE.Clock();
+const simClock = new SimulationClock(); // fixed steps, see simClock.js
 
 window.addEventListener('resize', () => {
   camera.aspect = window.innerWidth / window.innerHeight;
   camera.updateProjectionMatrix();
   renderer.setSize(window.innerWidth, window.innerHeight);
-  composer.setSize(window.innerWidth, window.innerHeight);  // ⬅– ADD
+  underwater.setSize(window.innerWidth, window.innerHeight);
 });
 
-updateFishCount(params.fishCount);
+// Post-processing: absorption, light shafts and bloom over the scene
+const underwater = createUnderwaterComposer(renderer, scene, camera, params, {
+  light: dirLight,
+  bounds: {
+    min: new THREE.Vector3(-aqWidth / 2, -aqHeight / 2, -aqDepth / 2),
+    max: new THREE.Vector3(aqWidth / 2, water.position.y, aqDepth / 2)
+  }
+});
+updateFog();
+
+// Adds / removes fish per species according to the mix
+population.setCount(params.fishCount);
+setPredatorCount(params.predatorCount);
+
+function updateFeedStats() {
+  let hunger = 0, energy = 0;
+  flock.fish.forEach(fish => { hunger += fish.hunger; energy += fish.energy; });
+  const n = Math.max(1, flock.fish.length);
+  feedStats.pellets   = food.pellets.length;
+  feedStats.eaten     = food.eaten;
+  feedStats.avgHunger = hunger / n;
+  feedStats.avgEnergy = energy / n;
+}
 
-function pickNewTarget(i) {
-  targets[i] = new THREE.Vector3(
-    THREE.MathUtils.randFloat(-halfX, halfX),
-    THREE.MathUtils.randFloat(-halfY, halfY),
-    THREE.MathUtils.randFloat(-halfZ, halfZ)
+// Moves the sun around the tank, keeping its distance
+function updateLightDirection() {
+  const distance = dirLight.position.length();
+  dirLight.position.setFromSphericalCoords(
+    distance,
+    THREE.MathUtils.degToRad(90 - params.lightElevation),
+    THREE.MathUtils.degToRad(params.lightAzimuth)
   );
 }
 
-function updateFishCount(count) {
-  // Remove extra fish
-  while (fishData.length > count) {
-    const { mesh } = fishData.pop();
-    scene.remove(mesh);
-    targets.pop();
-  }
-  // Add new fish
-  while (fishData.length < count) {
-    const { mesh: fish, material: fishMat } = createFish(scene);
-    fish.scale.set(0.2, 0.2, 0.2);
-    fish.geometry.computeBoundingSphere();
-    const radius = fish.geometry.boundingSphere.radius * fish.scale.x;
-
-    // Add mass, velocity, acceleration
-    const velocity = new THREE.Vector3(1,0,0).multiplyScalar(params.fishSpeed);
-    const acceleration = new THREE.Vector3();
-    const mass = 1.0 + Math.random() * 0.2; // Give slight variation
-
-    fishMat.color.set(params.fishColor);
-    scene.add(fish);
-
-    fishData.push({ mesh: fish, material: fishMat, velocity, acceleration, mass, radius });
-    pickNewTarget(fishData.length - 1);
-  }
+// Absorption replaces the fog
+function updateFog() {
+  scene.fog = params.absorption ? null : underwaterFog;
 }
 
-// Bubble particles
-const bubbleCount = 50;
-const bubbleGeo = new THREE.SphereGeometry(0.07, 8, 8);
-const bubbleMat = new THREE.MeshPhysicalMaterial({
-  color: 0xffffff,
-  transparent: true,
-  opacity: 0.25,
-  roughness: 0,
-  metalness: 0,
-  transmission: 0.9,
-  thickness: 0.3
-});
-const bubbles = [];
-for (let i = 0; i < bubbleCount; i++) {
-  const bubble = new THREE.Mesh(bubbleGeo, bubbleMat);
-  resetBubble(bubble);
-  scene.add(bubble);
-  bubbles.push(bubble);
-}
-function resetBubble(bubble) {
-  bubble.position.set(
-    THREE.MathUtils.randFloatSpread(aqWidth * 0.4),
-    -aqHeight / 2 + 0.2,
-    THREE.MathUtils.randFloatSpread(aqDepth * 0.4)
-  );
-  bubble.userData.speed = THREE.MathUtils.randFloat(0.15, 0.5);
+function setPredatorCount(count) {
+  population.setPredatorCount(count, sceneConfig.fish.predators.species);
 }
 
 const sandWidth  = aqWidth - 0.3;
 const sandDepth  = aqDepth - 0.3;
-const sandHeight = 0.8; // How thick you want your sand volume
-
-// A box with many top vertices
-const sandGeom = new THREE.BoxGeometry(sandWidth, sandHeight, sandDepth, 40, 6, 40);
-
-// Deform only the top face vertices (where y is max)
-const position = sandGeom.attributes.position;
-const halffY = sandHeight / 2;
-for (let i = 0; i < position.count; i++) {
-  let y = position.getY(i);
-  if (Math.abs(y - halffY) < 1e-3) { // Top surface
-    let x = position.getX(i);
-    let z = position.getZ(i);
-    // Apply a mound with gentle variation
-    let mound = Math.exp(-(x * x + z * z) / 45) * 0.3; // center mound
-    let random = (Math.random() - 0.5) * 0.10; // random bumps
-    position.setY(i, y + mound + random);
-  }
-}
-sandGeom.computeVertexNormals();
-
+const sandHeight = sceneConfig.substrate.thickness; // How thick you want your sand volume
+const sandBottom = -aqHeight / 2; // Sits on the bottom
+
+// Heightfield of the sand top (see sand.js), a mound with gentle variation
+const sandTerrain = new SandTerrain({
+  width: sandWidth,
+  depth: sandDepth,
+  resX:  Math.round(sandWidth / SAND_CELL) + 1,
+  resZ:  Math.round(sandDepth / SAND_CELL) + 1
+});
+sandTerrain.shape((x, z) => {
+  let mound = Math.exp(-(x * x + z * z) / 45) * 0.3; // center mound
+  let bump = random.randFloatSpread(0.04); // random bumps
+  return sandBottom + sandHeight + mound + bump;
+});
 
-// Set up 2nd UV channel for aoMap (for PBR materials)
-sandGeom.setAttribute('uv2', new THREE.BufferAttribute(sandGeom.attributes.uv.array, 2));
 
+// Plain sand until the scene's sand material has loaded (see below)
+const sandMat = new THREE.MeshStandardMaterial({ color: 0xb8a98c, roughness: 1, metalness: 0 });
+const sandMesh = createSandMesh(sandTerrain, applyCaustics(sandMat), { bottomY: sandBottom });
+const sand = sandMesh.mesh;
+sand.receiveShadow = true;
+scene.add(sand);
 
-const textureLoader = new THREE.TextureLoader();
-const sandAlbedo    = textureLoader.load('gravelly_sand_4k.gltf/textures/gravelly_sand_diff_4k.jpg');
-const sandNormal    = textureLoader.load('gravelly_sand_4k.gltf/textures/gravelly_sand_nor_gl_4k.jpg');
-const sandARM       = textureLoader.load('gravelly_sand_4k.gltf/textures/gravelly_sand_arm_4k.jpg');
+// Sand moved by fish, the current and its own weight (see sediment.js)
+const sediment = new Sediment(sandTerrain, params, { floorY: sandBottom });
 
-sandAlbedo.wrapS = sandAlbedo.wrapT =
-sandNormal.wrapS = sandNormal.wrapT =
-sandARM.wrapS    = sandARM.wrapT    = THREE.RepeatWrapping;
-sandAlbedo.repeat.set(4,2); // Less repetition on the short side
-sandNormal.repeat.set(4,2);
-sandARM.repeat.set(4,2);
+equipment.forEach(item => snapEquipment(item, mountWorld));
+const equipmentMesh = createEquipmentMesh(equipment);
+scene.add(equipmentMesh.mesh);
 
-const sandMat = new THREE.MeshStandardMaterial({
-  map: sandAlbedo,
-  normalMap: sandNormal,
-  aoMap: sandARM,
-  roughnessMap: sandARM,
-  metalnessMap: sandARM,
-  roughness: 1,
-  metalness: 0,
+// Bubbles from the air stones, drifting with the current
+const bubbles = new BubbleStreams(equipment, {
+  max: sceneConfig.bubbles.count,
+  surfaceY: aqHeight / 2 - 0.5,
+  current: (position, target) => waterAt(position, simClock.time, target),
+  random
 });
+const bubbleMesh = createBubbleMesh(scene, sceneConfig.bubbles.count);
+
+// Caustics from the water surface onto the sand, rocks, plants and fish
+const caustics = createCaustics(renderer, waterSim, {
+  width:    aqWidth,
+  depth:    aqDepth,
+  surfaceY: water.position.y,
+  floorY:   sandBottom + sandHeight
+});
+caustics.setIntensity(params.causticsIntensity);
 
-const sand = new THREE.Mesh(sandGeom, sandMat);
-sand.position.y = -aqHeight / 2 + sandHeight / 2; // Sits on the bottom
-sand.receiveShadow = true;
-scene.add(sand);
-
-function getSandHeightAt(x, z, sandGeom, sandWidth, sandDepth, sandHeight) {
-  // sandGeom: BoxGeometry
-  // sandWidth/sandDepth: as used to create sandGeom
-  // sandHeight: as used to create sandGeom
-  // Returns the Y (height) of the top surface at x, z (world coordinates relative to sand center)
-
-  // Map world (x,z) to geometry local uv (from -width/2 ... +width/2)
-  const posAttr = sandGeom.attributes.position;
-  const segmentsX = sandGeom.parameters.widthSegments;
-  const segmentsZ = sandGeom.parameters.depthSegments;
-
-  // Find the closest top vertex:
-  let closestDist = Infinity;
-  let closestY = null;
-
-  for (let i = 0; i < posAttr.count; i++) {
-    let y = posAttr.getY(i);
-    // Only consider vertices at the top surface
-    if (Math.abs(y - sandHeight/2) > 0.4) continue;
-    let vx = posAttr.getX(i);
-    let vz = posAttr.getZ(i);
-
-    let dist = (vx - x) ** 2 + (vz - z) ** 2;
-    if (dist < closestDist) {
-      closestDist = dist;
-      closestY = y;
-    }
-  }
-  return closestY;
-}
 
-const sandOrigY = [];
-const posAttr = sand.geometry.attributes.position;
-for (let i = 0; i < posAttr.count; i++) {
-  sandOrigY[i] = posAttr.getY(i);
+// Food pellets, dropped by clicking the water surface
+const food = new FoodSystem(params, {
+  bounds: { halfX, halfY, halfZ },
+  dropArea: { halfX: sandWidth / 2 - 0.5, halfZ: sandDepth / 2 - 0.5 },
+  surfaceY: water.position.y,
+  groundHeightAt: (x, z) => sandTerrain.heightAt(x, z),
+  current: (position, target) => waterAt(position, simClock.time, target),
+  random
+});
+flock.food = food;
+flock.groundHeightAt = (x, z) => sandTerrain.heightAt(x, z);
+flock.current = (position, target) => waterAt(position, simClock.time, target);
+
+// What the fish steer around: the sand, and the rocks and plants added below
+const obstacles = new ObstacleSet({ groundHeightAt: (x, z) => sandTerrain.heightAt(x, z) });
+flock.obstacles = obstacles;
+const pelletMesh = createPelletMesh(scene);
+
+// Click (not drag) on the surface: ripple, and feed if feeding mode is on.
+// Shift+drag draws ripples along the pointer instead of orbiting.
+// Raycast against the surface plane, so it also works from below.
+const raycaster    = new THREE.Raycaster();
+const pointer      = new THREE.Vector2();
+const surfacePlane = new THREE.Plane(new THREE.Vector3(0, 1, 0), -water.position.y);
+const dropPoint    = new THREE.Vector3();
+let pointerDownAt  = null;
+let rippleDrag     = false;
+
+// Writes the surface point under the pointer into dropPoint, false if none
+function pickSurface(e) {
+  pointer.set((e.clientX / window.innerWidth) * 2 - 1, -(e.clientY / window.innerHeight) * 2 + 1);
+  raycaster.setFromCamera(pointer, camera);
+  if (!raycaster.ray.intersectPlane(surfacePlane, dropPoint)) return false;
+  return Math.abs(dropPoint.x) <= aqWidth / 2 && Math.abs(dropPoint.z) <= aqDepth / 2;
 }
 
-function deformSandAt(worldX, worldZ, depth = 0.12, radius = 0.5) {
-  const sandPos = sand.position;
-  const posAttr = sand.geometry.attributes.position;
-  for (let i = 0; i < posAttr.count; i++) {
-    let vx = posAttr.getX(i) + sandPos.x;
-    let vz = posAttr.getZ(i) + sandPos.z;
-    let dist = Math.sqrt((vx - worldX) ** 2 + (vz - worldZ) ** 2);
-    if (dist < radius) {
-      let factor = (1 - dist/radius);
-      let origY = sandOrigY[i];
-      posAttr.setY(i, origY - depth * factor);
-    }
+renderer.domElement.addEventListener('pointerdown', e => {
+  pointerDownAt = { x: e.clientX, y: e.clientY };
+  rippleDrag = e.shiftKey && pickSurface(e);
+  controls.enabled = !rippleDrag;
+});
+renderer.domElement.addEventListener('pointermove', e => {
+  if (rippleDrag && pickSurface(e)) {
+    waterSim.disturb(dropPoint.x, dropPoint.z, -params.rippleStrength * 0.2);
   }
-  posAttr.needsUpdate = true;
-  sand.geometry.computeVertexNormals();
-}
-
-function relaxSand(delta, speed = 0.2) {
-  const posAttr = sand.geometry.attributes.position;
-  for (let i = 0; i < posAttr.count; i++) {
-    let currY = posAttr.getY(i);
-    let origY = sandOrigY[i];
-    posAttr.setY(i, currY + (origY - currY) * speed * delta);
+});
+renderer.domElement.addEventListener('pointerup', e => {
+  if (!pointerDownAt) return;
+  const moved = Math.hypot(e.clientX - pointerDownAt.x, e.clientY - pointerDownAt.y);
+  pointerDownAt = null;
+  controls.enabled = true;
+  if (rippleDrag) {
+    rippleDrag = false;
+    return;
   }
-  posAttr.needsUpdate = true;
-  sand.geometry.computeVertexNormals();
-}
+  if (moved > 5 || !pickSurface(e)) return; // orbit drag, not a click
 
+  waterSim.disturb(dropPoint.x, dropPoint.z, -params.rippleStrength);
+  if (params.feedingMode) food.drop(dropPoint);
+});
 
-function addRocks(scene) {
-  const rockGeo = new THREE.IcosahedronGeometry(0.5, 1);
-  const rockMat = new THREE.MeshStandardMaterial({ color: 0x776655, roughness: 1, metalness: 0.3 });
-  for (let i = 0; i < 10; i++) {
-    const rx = THREE.MathUtils.randFloatSpread(sandWidth * 0.85); // stay inside the sand bounds
-    const rz = THREE.MathUtils.randFloatSpread(sandDepth * 0.85);
-    // Get the surface Y at (rx, rz)
-    const ry = getSandHeightAt(rx, rz, sandGeom, sandWidth, sandDepth, sandHeight);
-
-    const rock = new THREE.Mesh(rockGeo, rockMat.clone());
-    rock.position.set(
-      rx,
-      sand.position.y + ry + 0.01, // add small offset to avoid z-fighting
-      rz
-    );
-    rock.scale.setScalar(THREE.MathUtils.randFloat(0.2, 1));
-    rock.rotation.y = Math.random() * Math.PI * 2;
-    rock.castShadow = true;
-    rock.receiveShadow = true;
-    scene.add(rock);
-  }
-}
-addRocks(scene);
+// Rocks, clusters and arches made up from the seed (see rocks.js)
+const rockwork = createRocks(sceneConfig.decorations.rocks, {
+  random,
+  area: { halfX: sandWidth * 0.85 / 2, halfZ: sandDepth * 0.85 / 2 }, // stay inside the sand bounds
+  groundHeightAt: (x, z) => sandTerrain.heightAt(x, z),
+  normalAt: (x, z, target) => sandTerrain.normalAt(x, z, target),
+  obstacles,
+  setupMaterial: applyCaustics
+});
+scene.add(rockwork.mesh);
+
+// Rocks settle up to a fifth of their size further into the sand
+rockwork.rocks.forEach(({ mesh, size }) => sediment.addBody(mesh.position, { maxSink: 0.2 * size }));
 
-const plants = []; // Store { mesh, angle, velocity, restAngle }
+const plants = []; // Store { mesh, height, stalk, ...plant spring state }
+const PLANT_RADIUS = 0.15; // for the fish steering around them
+
+// Puts the stalk's ends (the fish's obstacle) on the swaying mesh
+function updateStalk(plantData) {
+  const { mesh, height, stalk: [base, tip] } = plantData;
+  const angle = plantData.angle;
+  tip.set(-Math.sin(angle), Math.cos(angle), 0).multiplyScalar(height / 2);
+  base.copy(mesh.position).sub(tip);
+  tip.add(mesh.position);
+}
 
 function addPlants(scene) {
-  const plantMat = new THREE.MeshStandardMaterial({ color: 0x449944, roughness: 0.7, metalness: 0 });
-  for (let i = 0; i < 14; i++) {
-    const height = THREE.MathUtils.randFloat(1.2, 3);
-    const px = THREE.MathUtils.randFloatSpread(sandWidth * 0.85);
-    const pz = THREE.MathUtils.randFloatSpread(sandDepth * 0.85);
-    const py = getSandHeightAt(px, pz, sandGeom, sandWidth, sandDepth, sandHeight);
+  const { count, minLength, maxLength, color } = sceneConfig.plants;
+  const plantMat = new THREE.MeshStandardMaterial({ color, roughness: 0.7, metalness: 0 });
+  for (let i = 0; i < count; i++) {
+    const height = random.randFloat(minLength, maxLength);
+    const px = random.randFloatSpread(sandWidth * 0.85);
+    const pz = random.randFloatSpread(sandDepth * 0.85);
+    const py = sandTerrain.heightAt(px, pz);
 
     const geo = new THREE.CylinderGeometry(0.05, 0.15, height, 6, 1);
-    const plant = new THREE.Mesh(geo, plantMat.clone());
-    plant.position.set(px, sand.position.y + py + height/2, pz);
+    const plant = new THREE.Mesh(geo, applyCaustics(plantMat.clone()));
+    plant.position.set(px, py + height/2, pz);
     plant.castShadow = true;
     scene.add(plant);
 
-    // Add physics data
-    plants.push({
+    // Add physics data (see plants.js)
+    const plantData = {
       mesh: plant,
-      angle: 0,         // Current angle from vertical (radians)
-      velocity: 0,      // Angular velocity
-      restAngle: 0,     // Target angle (vertical = 0)
-      stiffness: 10 + Math.random()*2,  // Spring constant (omega^2)
-      damping: 4.5 + Math.random()     // Friction
-    });
+      height,
+      stalk: [new THREE.Vector3(), new THREE.Vector3()],
+      ...createPlantSpring(plant.position, random)
+    };
+    updateStalk(plantData);
+    plants.push(plantData);
+    sediment.addBody(plant.position);
+    obstacles.addChain(plantData.stalk, PLANT_RADIUS);
   }
 }
 addPlants(scene);
 
+// A scene saved from a running tank brings its sand back as it was
+if (sceneConfig.substrate.sediment && !sediment.restore(sceneConfig.substrate.sediment)) {
+  console.warn('Scene: the saved sand bed does not fit this tank, starting fresh');
+}
 
-// Animation loop
-renderer.setAnimationLoop(() => {
-  const delta = clock.getDelta();
-
-  // 1) Compute spring-based separation/repulsion forces (physics)
-  fishData.forEach((fishA, i) => {
-    fishA.acceleration.set(0, 0, 0); // Reset for each frame
-
-    const posA = fishA.mesh.position;
-    fishData.forEach((fishB, j) => {
-      if (i === j) return;
-      const posB = fishB.mesh.position;
-      const offset = new THREE.Vector3().subVectors(posA, posB);
-      const dist = offset.length();
-      const minDist = params.separationDist;
-
-      if (dist > 0 && dist < minDist) {
-        // SPRING force: F = k * (minDist - dist)
-        const k = params.separationStrength; // Spring constant
-        const forceMag = k * (minDist - dist);
-        const force = offset.normalize().multiplyScalar(forceMag);
-        fishA.acceleration.add(force.divideScalar(fishA.mass));
-      }
+// glTF decorations (see decorations.js): the scene's sand material and props.
+// They place themselves from their own generator, seeded now, and the
+// simulation waits for them, so the same seed still gives the same run.
+let decorationsReady = false;
+const decorationWorld = {
+  random: createRandom(random.randInt(0, 2 ** 32 - 1)),
+  area: { halfX: sandWidth * 0.85 / 2, halfZ: sandDepth * 0.85 / 2 }, // stay inside the sand bounds
+  groundHeightAt: (x, z) => sandTerrain.heightAt(x, z),
+  normalAt: (x, z, target) => sandTerrain.normalAt(x, z, target),
+  obstacles,
+  sediment, // props settle into the sand like the rocks
+  setupMaterial: applyCaustics
+};
+const propSets = []; // what createProps() returned, synced after the sand moves
+const loadingOverlay = createLoadingOverlay();
+loadAssets(sceneAssets(sceneConfig), { onProgress: loadingOverlay.update })
+  .then(assets => {
+    const { material } = sceneConfig.substrate;
+    if (material) sand.material = applyCaustics(assetMaterial(assets[material], ASSETS[material]));
+    sceneConfig.decorations.props.forEach(prop => {
+      const props = createProps(assets[prop.asset], ASSETS[prop.asset], prop, decorationWorld);
+      scene.add(props.mesh);
+      propSets.push(props);
     });
+  })
+  .catch(err => {
+    console.error(err);
+    alert(err.message);
+  })
+  .finally(() => {
+    loadingOverlay.done();
+    decorationsReady = true;
   });
 
-  // 2) Move fish, apply steering, orientation, wall bounce, and target
-  fishData.forEach((fish, i) => {
-    const pos = fish.mesh.position;
-    const vel = fish.velocity;
-
-    // Steering: desired direction toward target
-    const desiredDir = dir.subVectors(targets[i], pos).normalize();
-
-    // Add acceleration (from physics/separation)
-    vel.add(fish.acceleration.clone().multiplyScalar(delta));
-
-    // Smooth steering toward target (manual animation)
-    vel.normalize()
-       .lerp(desiredDir, params.turnSpeed * delta)
-       .normalize()
-       .multiplyScalar(params.fishSpeed);
-
-    // Move
-    pos.addScaledVector(vel, delta);
-
-    // Wall bounce logic (reflect velocity if out of bounds)
-    let bounced = false;
-    if (pos.x < -halfX || pos.x > halfX) {
-      vel.x *= -1;
-      pos.x = THREE.MathUtils.clamp(pos.x, -halfX, halfX);
-      bounced = true;
-    }
-    if (pos.y < -halfY || pos.y > halfY) {
-      vel.y *= -1;
-      pos.y = THREE.MathUtils.clamp(pos.y, -halfY, halfY);
-      bounced = true;
-    }
-    if (pos.z < -halfZ || pos.z > halfZ) {
-      vel.z *= -1;
-      pos.z = THREE.MathUtils.clamp(pos.z, -halfZ, halfZ);
-      bounced = true;
-    }
-    if (bounced) {
-      // Add small random turn on bounce
-      vel.applyAxisAngle(
-        new THREE.Vector3(Math.random(), Math.random(), Math.random()).normalize(),
-        THREE.MathUtils.randFloatSpread(Math.PI / 8)
-      );
-    }
-
-    // Orient fish toward velocity direction + update shader time
-    const dirNorm = vel.clone().normalize();
-    const quat = new THREE.Quaternion().setFromUnitVectors(forward, dirNorm);
-    fish.mesh.quaternion.slerp(quat, 0.1);
-
-    fish.material.userData.uniforms.time.value += delta * 1.5;
-
-    // If close to target, pick new target
-    if (pos.distanceToSquared(targets[i]) < 0.25) pickNewTarget(i);
-  });
-
-  // --- Plant physics (spring oscillator) ---
-  plants.forEach(plantData => {
-    // External force: random "water wind" + optional fish proximity
-    let force = Math.sin(performance.now() * 0.0005 + plantData.mesh.position.x * 2) * 0.07;
-
-    // If a fish is close, add a push
-    fishData.forEach(fish => {
-      const dist = plantData.mesh.position.distanceTo(fish.mesh.position);
-      if (dist < 1.0) {
-        force += (Math.random() - 0.5) * 0.5; // lower from 2.0
-    }
-    });
-
-    // Damped spring physics (Euler integration)
-    // theta'' + 2*damping*theta' + stiffness*theta = force
-    plantData.velocity += (
-      -2 * plantData.damping * plantData.velocity
-      - plantData.stiffness * (plantData.angle - plantData.restAngle)
-      + force
-    ) * delta;
-    plantData.velocity *= 0.98; // extra friction
-    plantData.angle += plantData.velocity * delta;
-
-    // Limit angle to avoid excessive bending
-    plantData.angle = THREE.MathUtils.clamp(plantData.angle, -Math.PI/4, Math.PI/4);
-
-    // Sway the plant: apply rotation around X or Z (randomize per plant)
-    plantData.mesh.rotation.z = plantData.angle;
-  });
 
-  // Animate bubbles
-  bubbles.forEach(bubble => {
-  bubble.position.y += bubble.userData.speed * delta;
-  bubble.position.x += Math.sin(performance.now() * 0.001 + bubble.position.z) * 0.01;
-  bubble.position.z += Math.cos(performance.now() * 0.0015 + bubble.position.x) * 0.01;
-  if (bubble.position.y > aqHeight / 2 - 0.5) resetBubble(bubble);
-  });
+// What a timeline records on this page
+const timelineChannels = [
+  fishChannel(population),
+  bubbleChannel(bubbles),
+  {
+    // Angle and spring velocity per plant
+    name: 'plants',
+    type: 'f32',
+    capture: () => Float32Array.from(plants.flatMap(plantData => [plantData.angle, plantData.velocity])),
+    apply: data => plants.forEach((plantData, i) => {
+      if (i * 2 + 1 >= data.length) return;
+      plantData.angle    = data[i * 2];
+      plantData.velocity = data[i * 2 + 1];
+      plantData.mesh.rotation.z = plantData.angle;
+      updateStalk(plantData);
+    })
+  },
+  waterChannel(waterSim)
+];
+const timeline = createTimelineControls(gui, timelineChannels, {
+  step: simClock.step,
+  info: { scene: sceneConfig.name, seed: params.seed }
+});
 
-  // 3) Animate water shader
-  waterUniforms.time.value = performance.now() * 0.001;
-  waterUniforms.cameraPos.value.copy(camera.position);
+// The loop (see aquarium.js). Each step also feeds the fish, sways the
+// plants, moves the sand and lets the fish near the top ripple the surface.
+startAquarium({
+  renderer, controls, underwater, caustics, light: dirLight, params, simClock, timeline,
+  flock, population, skinnedFish, bubbles, bubbleMesh, equipmentMesh, currentArrows, waterSim
+}, {
+  ready: () => decorationsReady,
+  step: dt => {
+    food.step(dt);
+
+    // --- Plant physics (spring oscillator, see plants.js) ---
+    plants.forEach(plantData => {
+      stepPlantSpring(plantData, dt, simClock.time, { flock, current: waterAt, random });
+      plantData.mesh.rotation.z = plantData.angle;
+      updateStalk(plantData);
+    });
 
-  fishData.forEach(fish => {
-  if (Math.abs(fish.mesh.position.y - sand.position.y) < 0.5) {
-    deformSandAt(fish.mesh.position.x, fish.mesh.position.z);
+    // Fish swimming low stir up the sand, the sediment settles and drifts
+    fishData.forEach(({ state }) => {
+      const { x, y, z } = state.position;
+      const height = y - sandTerrain.heightAt(x, z);
+      if (height < SAND_STIR_HEIGHT) {
+        const stir = params.sandStir * (1 - Math.max(height, 0) / SAND_STIR_HEIGHT) * state.velocity.length();
+        sediment.dig(x, z, stir * dt, 0.5);
+      }
+    });
+    sediment.step(dt);
+    propSets.forEach(props => props.sync());
+
+    // Fish near the top leave a wake, stronger the higher and faster they are
+    fishData.forEach(({ state }) => {
+      const depth = halfY - state.position.y;
+      if (depth < SURFACE_WAKE_DEPTH) {
+        const strength = params.fishWakeStrength * (1 - depth / SURFACE_WAKE_DEPTH) * state.velocity.length();
+        waterSim.disturb(state.position.x, state.position.z, -strength * dt * 60);
+      }
+    });
+  },
+  sync: () => {
+    pelletMesh.sync(food);
+    sandMesh.sync();
+    updateFeedStats();
+    waterUniforms.cameraPos.value.copy(camera.position);
   }
-  });
-  relaxSand(delta);
-
-  updateWaterPhysics(delta);
-  updateWaterMesh();
-  
-
-  // 4) Update controls, render scene
-  controls.update();
-  composer.render();
 });
-
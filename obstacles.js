@@ -0,0 +1,332 @@
+import * as THREE from 'three';
+import { ConvexHull } from 'three/examples/jsm/math/ConvexHull.js';
+
+// Everything in the tank a fish can swim into, for steering probes: props
+// as spheres, rocks as convex hulls, plants, kelp and arches as chains of
+// capsules along their points, the sand as a heightfield. Shapes hold on to
+// the caller's vectors, so rocks settling into the sand and kelp swaying are
+// seen as they move; call update() once a step to refit the chains' and
+// hulls' bounding spheres.
+//
+// Every query takes a padding that inflates the shapes, usually the radius
+// of whatever is asking, so a ray stands in for a swept sphere.
+
+const GROUND_SAMPLES = 4;    // ray marching steps against the heightfield
+const NORMAL_STEP    = 0.1;  // finite difference for the sand's normal
+
+const _offset  = new THREE.Vector3();
+const _segment = new THREE.Vector3();
+const _point   = new THREE.Vector3();
+const _closest = new THREE.Vector3();
+const _probe   = new THREE.Vector3();
+const _pushed  = new THREE.Vector3();
+const _hit     = { distance: 0, normal: new THREE.Vector3() };
+
+export class ObstacleSet {
+  // groundHeightAt(x, z): optional world Y of the sand surface
+  constructor({ groundHeightAt = null } = {}) {
+    this.spheres = [];
+    this.hulls   = [];
+    this.chains  = [];
+    this.groundHeightAt = groundHeightAt;
+  }
+
+  // center: Vector3, read live
+  addSphere(center, radius) {
+    const sphere = { center, radius };
+    this.spheres.push(sphere);
+    return sphere;
+  }
+
+  // center: Vector3, read live; points: at least four Vector3 offsets from
+  // it, the shape is their convex hull. `bounds` is the hull's bounding
+  // sphere, for things that only deal in spheres.
+  addHull(center, points) {
+    const { faces } = new ConvexHull().setFromPoints(points);
+    const local = new THREE.Sphere().setFromPoints(points);
+    const hull = {
+      center,
+      planes: faces.map(face => new THREE.Plane(face.normal.clone(), -face.constant)),
+      offset: local.center,
+      bounds: new THREE.Sphere(new THREE.Vector3(), local.radius)
+    };
+    this.hulls.push(hull);
+    this.fitHull(hull);
+    return hull;
+  }
+
+  // points: array of Vector3 (e.g. a kelp rope), read live
+  addChain(points, radius) {
+    const chain = { points, radius, bounds: new THREE.Sphere() };
+    this.chains.push(chain);
+    this.fitChain(chain);
+    return chain;
+  }
+
+  remove(shape) {
+    [this.spheres, this.hulls, this.chains].forEach(list => {
+      const i = list.indexOf(shape);
+      if (i !== -1) list.splice(i, 1);
+    });
+  }
+
+  update() {
+    this.hulls.forEach(hull => this.fitHull(hull));
+    this.chains.forEach(chain => this.fitChain(chain));
+  }
+
+  fitHull(hull) {
+    hull.bounds.center.addVectors(hull.center, hull.offset);
+  }
+
+  fitChain(chain) {
+    chain.bounds.setFromPoints(chain.points);
+    chain.bounds.radius += chain.radius;
+  }
+
+  // Nearest hit along origin + direction (unit) * t for t in 0..length:
+  // writes { distance, normal } into hit and returns it, or returns null.
+  // Starting inside a shape is a hit at distance 0.
+  raycast(origin, direction, length, padding, hit = { distance: 0, normal: new THREE.Vector3() }) {
+    let found = false;
+    hit.distance = length;
+
+    this.spheres.forEach(({ center, radius }) => {
+      if (this.raySphere(origin, direction, hit.distance, center, radius + padding, _hit)) {
+        found = true;
+        hit.distance = _hit.distance;
+        hit.normal.copy(_hit.normal);
+      }
+    });
+
+    this.hulls.forEach(hull => {
+      if (!this.rayReaches(origin, direction, hit.distance, hull.bounds, padding)) return;
+      if (this.rayHull(origin, direction, hit.distance, hull, padding, _hit)) {
+        found = true;
+        hit.distance = _hit.distance;
+        hit.normal.copy(_hit.normal);
+      }
+    });
+
+    this.chains.forEach(chain => {
+      // Skip chains the ray can't reach
+      if (!this.rayReaches(origin, direction, hit.distance, chain.bounds, padding)) return;
+
+      const { points } = chain;
+      const radius = chain.radius + padding;
+      for (let i = 1; i < points.length; i++) {
+        if (this.raySegment(origin, direction, hit.distance, points[i - 1], points[i], radius, _hit)) {
+          found = true;
+          hit.distance = _hit.distance;
+          hit.normal.copy(_hit.normal);
+        }
+      }
+    });
+
+    if (this.groundHeightAt && this.rayGround(origin, direction, hit.distance, padding, _hit)) {
+      found = true;
+      hit.distance = _hit.distance;
+      hit.normal.copy(_hit.normal);
+    }
+    return found ? hit : null;
+  }
+
+  // Whether the ray's segment comes within padding of bounds (a Sphere)
+  rayReaches(origin, direction, length, bounds, padding) {
+    const reach = bounds.radius + padding;
+    _offset.subVectors(bounds.center, origin);
+    const along = THREE.MathUtils.clamp(_offset.dot(direction), 0, length);
+    return _offset.addScaledVector(direction, -along).lengthSq() <= reach * reach;
+  }
+
+  raySphere(origin, direction, length, center, radius, hit) {
+    _offset.subVectors(origin, center);
+    const b = _offset.dot(direction);
+    const c = _offset.lengthSq() - radius * radius;
+    if (c < 0) {
+      hit.distance = 0;
+      this.outward(_offset, hit.normal);
+      return true;
+    }
+    const disc = b * b - c;
+    if (b > 0 || disc < 0) return false; // heading away, or missing
+    const t = -b - Math.sqrt(disc);
+    if (t > length) return false;
+    hit.distance = t;
+    hit.normal.copy(origin).addScaledVector(direction, t).sub(center).divideScalar(radius);
+    return true;
+  }
+
+  // Capsule from a to b: closest approach between the ray's segment and the
+  // capsule's axis, then back along the ray to where it enters
+  raySegment(origin, direction, length, a, b, radius, hit) {
+    _segment.subVectors(b, a);
+    _offset.subVectors(origin, a);
+    const segLengthSq = _segment.lengthSq();
+    const dirDotSeg = direction.dot(_segment);
+    const offDotDir = _offset.dot(direction);
+    const offDotSeg = _offset.dot(_segment);
+    const denom = segLengthSq - dirDotSeg * dirDotSeg;
+
+    // t along the ray, s (0..1) along the segment
+    let t = denom > 1e-9 ? (dirDotSeg * offDotSeg - segLengthSq * offDotDir) / denom : 0;
+    t = THREE.MathUtils.clamp(t, 0, length);
+    let s = segLengthSq > 0 ? THREE.MathUtils.clamp((offDotSeg + t * dirDotSeg) / segLengthSq, 0, 1) : 0;
+    t = THREE.MathUtils.clamp(s * dirDotSeg - offDotDir, 0, length);
+    s = segLengthSq > 0 ? THREE.MathUtils.clamp((offDotSeg + t * dirDotSeg) / segLengthSq, 0, 1) : 0;
+
+    _point.copy(origin).addScaledVector(direction, t);
+    _closest.copy(a).addScaledVector(_segment, s);
+    const distSq = _point.distanceToSquared(_closest);
+    if (distSq >= radius * radius) return false;
+
+    hit.distance = Math.max(t - Math.sqrt(radius * radius - distSq), 0);
+    _point.copy(origin).addScaledVector(direction, hit.distance);
+    this.outward(_point.sub(_closest), hit.normal, _segment);
+    return true;
+  }
+
+  // Clips the ray by each face's plane, pushed out by radius: it is inside
+  // past every plane it enters and before every plane it leaves
+  rayHull(origin, direction, length, { center, planes }, radius, hit) {
+    _offset.subVectors(origin, center);
+    let enter = 0;
+    let exit = length;
+    let nearest = -Infinity;
+    for (let i = 0; i < planes.length; i++) {
+      const plane = planes[i];
+      const gap = plane.distanceToPoint(_offset) - radius;
+      const speed = plane.normal.dot(direction);
+      if (gap > nearest) {
+        nearest = gap;
+        _closest.copy(plane.normal); // the face to leave by, if starting inside
+      }
+      if (speed === 0) {
+        if (gap > 0) return false;
+        continue;
+      }
+      const t = -gap / speed;
+      if (speed < 0 && t > enter) {
+        enter = t;
+        hit.normal.copy(plane.normal);
+      } else if (speed > 0 && t < exit) {
+        exit = t;
+      }
+      if (enter > exit) return false;
+    }
+    hit.distance = enter;
+    if (nearest <= 0) hit.normal.copy(_closest);
+    return true;
+  }
+
+  rayGround(origin, direction, length, padding, hit) {
+    let previous = origin.y - this.groundHeightAt(origin.x, origin.z) - padding;
+    if (previous < 0) {
+      hit.distance = 0;
+      this.groundNormal(origin.x, origin.z, hit.normal);
+      return true;
+    }
+    for (let k = 1; k <= GROUND_SAMPLES; k++) {
+      const t = length * k / GROUND_SAMPLES;
+      _point.copy(origin).addScaledVector(direction, t);
+      const gap = _point.y - this.groundHeightAt(_point.x, _point.z) - padding;
+      if (gap < 0) {
+        // Between the last two samples, where the gap crossed zero
+        hit.distance = t - length / GROUND_SAMPLES * gap / (gap - previous);
+        _point.copy(origin).addScaledVector(direction, hit.distance);
+        this.groundNormal(_point.x, _point.z, hit.normal);
+        return true;
+      }
+      previous = gap;
+    }
+    return false;
+  }
+
+  groundNormal(x, z, target) {
+    const h = NORMAL_STEP;
+    return target.set(
+      this.groundHeightAt(x - h, z) - this.groundHeightAt(x + h, z),
+      2 * h,
+      this.groundHeightAt(x, z - h) - this.groundHeightAt(x, z + h)
+    ).normalize();
+  }
+
+  // offset normalized; when it is too short to have a direction, up, or
+  // some direction across axis if given
+  outward(offset, target, axis = null) {
+    if (offset.lengthSq() > 1e-12) return target.copy(offset).normalize();
+    if (!axis || axis.lengthSq() === 0) return target.set(0, 1, 0);
+    const alongX = Math.abs(axis.x) > 0.9 * axis.length();
+    target.set(alongX ? 0 : 1, 0, alongX ? 1 : 0);
+    return target.addScaledVector(axis, -target.dot(axis) / axis.lengthSq()).normalize();
+  }
+
+  // Moves position out of every shape it is inside (padded), adding the
+  // directions it was pushed into normal. Returns whether it moved.
+  resolve(position, padding, normal = new THREE.Vector3()) {
+    let moved = false;
+    this.spheres.forEach(({ center, radius }) => {
+      const reach = radius + padding;
+      _offset.subVectors(position, center);
+      if (_offset.lengthSq() >= reach * reach) return;
+      this.outward(_offset, _point);
+      position.copy(center).addScaledVector(_point, reach);
+      normal.add(_point);
+      moved = true;
+    });
+
+    // Out through the face it is least deep behind
+    this.hulls.forEach(hull => {
+      if (hull.bounds.distanceToPoint(position) > padding) return;
+      _offset.subVectors(position, hull.center);
+      let depth = Infinity;
+      let face = null;
+      hull.planes.forEach(plane => {
+        const gap = padding - plane.distanceToPoint(_offset);
+        if (gap < depth) {
+          depth = gap;
+          face = plane;
+        }
+      });
+      if (depth <= 0) return;
+      position.addScaledVector(face.normal, depth);
+      normal.add(face.normal);
+      moved = true;
+    });
+
+    this.chains.forEach(chain => {
+      const reach = chain.radius + padding;
+      if (chain.bounds.distanceToPoint(position) > padding) return;
+      const { points } = chain;
+      for (let i = 1; i < points.length; i++) {
+        _segment.subVectors(points[i], points[i - 1]);
+        const lengthSq = _segment.lengthSq();
+        const s = lengthSq > 0
+          ? THREE.MathUtils.clamp(_offset.subVectors(position, points[i - 1]).dot(_segment) / lengthSq, 0, 1)
+          : 0;
+        _closest.copy(points[i - 1]).addScaledVector(_segment, s);
+        _offset.subVectors(position, _closest);
+        if (_offset.lengthSq() >= reach * reach) continue;
+        this.outward(_offset, _point, _segment);
+        position.copy(_closest).addScaledVector(_point, reach);
+        normal.add(_point);
+        moved = true;
+      }
+    });
+
+    if (this.groundHeightAt) {
+      const floor = this.groundHeightAt(position.x, position.z) + padding;
+      if (position.y < floor) {
+        position.y = floor;
+        normal.add(this.groundNormal(position.x, position.z, _point));
+        moved = true;
+      }
+    }
+    return moved;
+  }
+
+  // Whether position is inside any shape (padded)
+  contains(position, padding) {
+    return this.resolve(_probe.copy(position), padding, _pushed.set(0, 0, 0));
+  }
+}
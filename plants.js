@@ -0,0 +1,52 @@
+import * as THREE from 'three';
+
+// Stiff plants swaying as damped angular springs: pushed by the water
+// current plus random shoves from fish swimming close. Plain state, the
+// caller copies `angle` onto the mesh rotation (about z, so only the
+// current's x component bends them).
+//
+//   theta'' + 2 * damping * theta' + stiffness * theta = force
+
+const MAX_ANGLE  = Math.PI / 4; // limit to avoid excessive bending
+const FISH_RANGE = 1.0;         // fish this close shove the plant
+const FLOW_PUSH  = 0.35;        // force per m/s of current
+
+const _flow = new THREE.Vector3();
+
+// position: the plant's world position (Vector3), read live
+// random: generator from random.js
+export function createPlantSpring(position, random) {
+  return {
+    position,
+    angle: 0,         // Current angle from vertical (radians)
+    velocity: 0,      // Angular velocity
+    restAngle: 0,     // Target angle (vertical = 0)
+    stiffness: 10 + random.random() * 2, // Spring constant (omega^2)
+    damping: 4.5 + random.random()       // Friction
+  };
+}
+
+// time: simulated seconds, flock: optional FlockSimulation whose fish shove
+// current: optional (position, time, target) => water velocity at position
+export function stepPlantSpring(plant, dt, time, { flock = null, current = null, random }) {
+  // External force: the current (a positive angle leans toward -x) + optional fish proximity
+  let force = current ? -current(plant.position, time, _flow).x * FLOW_PUSH : 0;
+
+  // If a fish is close, add a push
+  if (flock) {
+    flock.queryNeighbors(plant.position, FISH_RANGE, () => {
+      force += random.randFloatSpread(0.5);
+    });
+  }
+
+  // Damped spring physics (Euler integration)
+  plant.velocity += (
+    -2 * plant.damping * plant.velocity
+    - plant.stiffness * (plant.angle - plant.restAngle)
+    + force
+  ) * dt;
+  plant.velocity *= 0.98; // extra friction
+  plant.angle += plant.velocity * dt;
+
+  plant.angle = Math.min(Math.max(plant.angle, -MAX_ANGLE), MAX_ANGLE);
+}
@@ -0,0 +1,61 @@
+import * as THREE from 'three';
+
+// Seeded pseudo-random numbers (mulberry32). Everything random in the tank
+// draws from one generator, so a run started from the same seed and stepped
+// with the same fixed steps replays exactly. The helpers mirror the
+// THREE.MathUtils ones they replace.
+
+// A fresh seed for runs that don't ask for one
+export function randomSeed() {
+  return Math.floor(Math.random() * 2 ** 32);
+}
+
+export function createRandom(seed = randomSeed()) {
+  let state = seed >>> 0;
+
+  // 0 <= x < 1
+  function random() {
+    state = (state + 0x6d2b79f5) >>> 0;
+    let t = state;
+    t = Math.imul(t ^ (t >>> 15), t | 1);
+    t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+    return ((t ^ (t >>> 14)) >>> 0) / 2 ** 32;
+  }
+
+  return {
+    seed: seed >>> 0,
+    random,
+
+    // Where the sequence is up to, to put it back after draws that mustn't
+    // change the run (see fishPopulation.setSpeciesCounts)
+    getState() {
+      return state;
+    },
+
+    setState(saved) {
+      state = saved >>> 0;
+    },
+
+    randFloat(low, high) {
+      return low + random() * (high - low);
+    },
+
+    // -range / 2 .. range / 2
+    randFloatSpread(range) {
+      return range * (0.5 - random());
+    },
+
+    // low .. high inclusive
+    randInt(low, high) {
+      return low + Math.floor(random() * (high - low + 1));
+    },
+
+    // Uniform on the unit sphere, like Vector3.randomDirection()
+    randomDirection(target = new THREE.Vector3()) {
+      const theta = random() * Math.PI * 2;
+      const u = random() * 2 - 1;
+      const c = Math.sqrt(1 - u * u);
+      return target.set(c * Math.cos(theta), u, c * Math.sin(theta));
+    }
+  };
+}
@@ -0,0 +1,258 @@
+import * as THREE from 'three';
+import { SimplexNoise } from 'three/examples/jsm/math/SimplexNoise.js';
+import { mergeVertices } from 'three/examples/jsm/utils/BufferGeometryUtils.js';
+
+// Rocks made up from the seed: no two alike, all from the one generator, so
+// the same seed lays out the same rockwork.
+//
+//   rocks     an icosphere pushed in and out by layered simplex noise,
+//             stretched differently along each axis and cut flat underneath
+//             so it sits on the sand; a vertex-colour mottle of the rock
+//             colour, moss on the parts facing up toward its top
+//   clusters  a big rock with a few smaller ones huddled against it
+//   arches    a noisy tube bent over in a half circle, thicker at the feet,
+//             the feet buried in the sand
+//
+// Every rock sinks a little into the sand where it is placed and gets a
+// convex hull for the fish to steer around; an arch gets a chain of capsules
+// along its middle, so fish can swim through underneath (see obstacles.js).
+//
+// config (scene.js decorations.rocks): count, minScale, maxScale, color,
+// mossColor, moss (0..1 how much of the tops it covers), clusters, arches
+
+const ROCK_DETAIL = 8;    // icosphere subdivisions of the visible rock
+const HULL_DETAIL = 1;    // and of the points its collision hull wraps
+const OCTAVES     = 4;    // noise layers, each twice as fine and half as tall
+const ROUGHNESS   = 0.22; // how far the noise moves the surface, of the radius
+const MOTTLE      = 0.25; // light and dark patches in the rock colour
+const FLAT_BOTTOM = 0.4;  // the bottom is cut off this far below the middle
+const EMBED       = [0.1, 0.25]; // of its height a rock sinks into the sand
+
+const ARCH_RINGS  = 48;   // tube segments along an arch
+const ARCH_SIDES  = 12;
+const ARCH_SPINE  = 9;    // points of the arch's collision chain
+const FOOT_DEPTH  = 1.5;  // the feet reach this many radii under the sand
+const FOOT_FLARE  = 0.5;  // and are this much thicker than the crown
+
+const _p      = new THREE.Vector3();
+const _normal = new THREE.Vector3();
+const _center = new THREE.Vector3();
+const _color  = new THREE.Color();
+const _up     = new THREE.Vector3(0, 1, 0);
+
+// Layered noise from the generator: fractal(x, y, z) roughly -1..1
+function createFractal(random) {
+  const noise = new SimplexNoise(random);
+  const offset = new THREE.Vector3(random.randFloatSpread(100), random.randFloatSpread(100), random.randFloatSpread(100));
+  return (x, y, z) => {
+    let sum = 0;
+    let amount = 1;
+    let total = 0;
+    for (let octave = 0; octave < OCTAVES; octave++) {
+      const f = 2 ** octave;
+      sum += noise.noise3d(x * f + offset.x, y * f + offset.y, z * f + offset.z) * amount;
+      total += amount;
+      amount /= 2;
+    }
+    return sum / total;
+  };
+}
+
+// Rock colour mottled by noise, blended to moss where the surface faces up
+// and is high on the rock. up: how high (0 bottom..1 top), facing: normal.y
+function shadeVertex(colors, mottle, up, facing, target) {
+  const { rock, moss, amount } = colors;
+  target.copy(rock).multiplyScalar(1 + mottle * MOTTLE);
+  const mossy = amount * THREE.MathUtils.smoothstep(facing, 0.35, 0.85) * THREE.MathUtils.smoothstep(up, 1 - amount, 1.1 - amount * 0.5);
+  return target.lerp(moss, mossy);
+}
+
+function paint(geometry, colors, fractal, top) {
+  const position = geometry.attributes.position;
+  const normal = geometry.attributes.normal;
+  const values = new Float32Array(position.count * 3);
+  for (let i = 0; i < position.count; i++) {
+    _p.fromBufferAttribute(position, i);
+    const mottle = fractal(_p.x * 3 + 50, _p.y * 3, _p.z * 3);
+    shadeVertex(colors, mottle, _p.y / top, normal.getY(i), _color).toArray(values, i * 3);
+  }
+  geometry.setAttribute('color', new THREE.BufferAttribute(values, 3));
+}
+
+// A rock about size across, its flat bottom on y = 0. Returns { geometry,
+// hull (Vector3 points its collision hull wraps), height }. colors:
+// { rock, moss (Colors), amount (0..1) }
+export function createRockGeometry(random, { size = 1, colors }) {
+  const fractal = createFractal(random);
+  const stretch = new THREE.Vector3(random.randFloat(0.8, 1.3), random.randFloat(0.5, 0.9), random.randFloat(0.7, 1.1))
+    .multiplyScalar(size / 2);
+  const floor = -FLAT_BOTTOM * stretch.y;
+
+  // Out along the direction by the noise, stretched, the bottom cut flat
+  const shape = p => {
+    p.normalize().multiplyScalar(1 + ROUGHNESS * fractal(p.x, p.y, p.z)).multiply(stretch);
+    p.y = Math.max(p.y, floor) - floor;
+    return p;
+  };
+
+  let geometry = new THREE.IcosahedronGeometry(1, ROCK_DETAIL);
+  geometry.deleteAttribute('normal');
+  geometry.deleteAttribute('uv');
+  geometry = mergeVertices(geometry);
+  const position = geometry.attributes.position;
+  for (let i = 0; i < position.count; i++) {
+    shape(_p.fromBufferAttribute(position, i));
+    position.setXYZ(i, _p.x, _p.y, _p.z);
+  }
+  geometry.computeVertexNormals();
+  geometry.computeBoundingBox();
+  const height = geometry.boundingBox.max.y;
+  paint(geometry, colors, fractal, height);
+
+  const coarse = new THREE.IcosahedronGeometry(1, HULL_DETAIL).attributes.position;
+  const hull = [];
+  for (let i = 0; i < coarse.count; i++) hull.push(shape(new THREE.Vector3().fromBufferAttribute(coarse, i)));
+  return { geometry, hull, height };
+}
+
+// An arch spanning span along x, its crown height above the sand at y = 0
+// and its feet FOOT_DEPTH radii under it. Returns { geometry, spine
+// (Vector3 points along its middle), radius }.
+export function createArchGeometry(random, { span, height, radius, colors }) {
+  const fractal = createFractal(random);
+  const bend = random.randFloatSpread(radius); // a little out of plane
+  const points = [];
+  for (let i = 0; i < ARCH_SPINE; i++) {
+    const angle = Math.PI * i / (ARCH_SPINE - 1);
+    points.push(new THREE.Vector3(
+      -Math.cos(angle) * span / 2,
+      Math.sin(angle) * (height + FOOT_DEPTH * radius) - FOOT_DEPTH * radius,
+      Math.sin(angle) * bend
+    ));
+  }
+  const curve = new THREE.CatmullRomCurve3(points);
+  const geometry = new THREE.TubeGeometry(curve, ARCH_RINGS, radius, ARCH_SIDES, false);
+  geometry.deleteAttribute('uv');
+
+  // Each ring out from its centre by the flare toward the feet and the noise
+  const position = geometry.attributes.position;
+  for (let ring = 0; ring <= ARCH_RINGS; ring++) {
+    const t = ring / ARCH_RINGS;
+    curve.getPointAt(t, _center);
+    const flare = 1 + FOOT_FLARE * (2 * t - 1) ** 2;
+    for (let side = 0; side <= ARCH_SIDES; side++) {
+      const i = ring * (ARCH_SIDES + 1) + side;
+      _p.fromBufferAttribute(position, i);
+      _normal.subVectors(_p, _center);
+      const bump = 1 + 2 * ROUGHNESS * fractal(_p.x / span * 4, _p.y / span * 4, _p.z / span * 4);
+      _p.copy(_center).addScaledVector(_normal, flare * bump);
+      position.setXYZ(i, _p.x, _p.y, _p.z);
+    }
+  }
+  geometry.computeVertexNormals();
+  paint(geometry, colors, fractal, height + radius);
+  return { geometry, spine: curve.getSpacedPoints(ARCH_SPINE - 1), radius };
+}
+
+// Lowest sand under a footprint of radius around (x, z)
+function lowestGround(groundHeightAt, x, z, radius) {
+  return Math.min(
+    groundHeightAt(x, z),
+    groundHeightAt(x - radius, z), groundHeightAt(x + radius, z),
+    groundHeightAt(x, z - radius), groundHeightAt(x, z + radius)
+  );
+}
+
+// Lays out the scene's rocks, clusters and arches at random on the sand and
+// adds their collision shapes to world.obstacles.
+//
+// world: { random (from random.js), area { halfX, halfZ } around the
+// origin, groundHeightAt(x, z), normalAt(x, z, target), obstacles
+// (ObstacleSet, optional), setupMaterial(material) (optional, for caustics) }
+//
+// Returns { mesh (a group of them all), rocks: [{ mesh, size, hull }],
+// arches: [{ mesh, spine, radius }] }; rocks and arches hold the shapes
+// registered with the obstacles.
+export function createRocks(config, world) {
+  const { count, minScale, maxScale, clusters, arches } = config;
+  const { random, area, groundHeightAt, normalAt, obstacles = null, setupMaterial = material => material } = world;
+  const material = setupMaterial(new THREE.MeshStandardMaterial({ vertexColors: true, roughness: 1, metalness: 0 }));
+  const rockColor = new THREE.Color(config.color);
+  const colors = { rock: rockColor.clone(), moss: new THREE.Color(config.mossColor), amount: config.moss };
+  const group = new THREE.Group();
+  const result = { mesh: group, rocks: [], arches: [] };
+
+  function addRock(x, z, size, lean = null) {
+    // Each rock a shade lighter or darker than the next
+    colors.rock.copy(rockColor).offsetHSL(random.randFloatSpread(0.03), 0, random.randFloatSpread(0.08));
+    const { geometry, hull, height } = createRockGeometry(random, { size, colors });
+    const mesh = new THREE.Mesh(geometry, material);
+    const embed = random.randFloat(EMBED[0], EMBED[1]) * height;
+    mesh.position.set(x, lowestGround(groundHeightAt, x, z, size / 2) - embed, z);
+    // Lean with the slope (or as asked), then a random turn about it
+    mesh.quaternion.setFromUnitVectors(_up, lean || normalAt(x, z, _normal));
+    mesh.rotateY(random.random() * Math.PI * 2);
+    mesh.castShadow = true;
+    mesh.receiveShadow = true;
+    group.add(mesh);
+
+    mesh.updateMatrix();
+    hull.forEach(point => point.applyMatrix4(mesh.matrix).sub(mesh.position));
+    const rock = { mesh, size, hull: obstacles ? obstacles.addHull(mesh.position, hull) : null };
+    result.rocks.push(rock);
+    return rock;
+  }
+
+  for (let i = 0; i < count; i++) {
+    addRock(random.randFloatSpread(area.halfX * 2), random.randFloatSpread(area.halfZ * 2), random.randFloat(minScale, maxScale));
+  }
+
+  // A big rock, the smaller ones around it leaning in toward it
+  const lean = new THREE.Vector3();
+  for (let i = 0; i < clusters; i++) {
+    const size = maxScale * random.randFloat(1.2, 1.6);
+    const x = random.randFloatSpread(area.halfX * 2 - size);
+    const z = random.randFloatSpread(area.halfZ * 2 - size);
+    addRock(x, z, size);
+    const around = random.randInt(2, 4);
+    const start = random.random() * Math.PI * 2;
+    for (let j = 0; j < around; j++) {
+      const angle = start + Math.PI * 2 * (j + random.randFloatSpread(0.5)) / around;
+      const small = size * random.randFloat(0.35, 0.6);
+      const reach = (size + small) * 0.4;
+      lean.set(-Math.cos(angle), 3, -Math.sin(angle)).normalize();
+      addRock(x + Math.cos(angle) * reach, z + Math.sin(angle) * reach, small, lean);
+    }
+  }
+
+  for (let i = 0; i < arches; i++) {
+    const span = maxScale * random.randFloat(2, 3);
+    const radius = span * random.randFloat(0.1, 0.14);
+    const { geometry, spine } = createArchGeometry(random, {
+      span, height: span * random.randFloat(0.5, 0.7), radius, colors: { ...colors, rock: rockColor }
+    });
+    const mesh = new THREE.Mesh(geometry, material);
+    const x = random.randFloatSpread(Math.max(area.halfX * 2 - span, 0));
+    const z = random.randFloatSpread(Math.max(area.halfZ * 2 - span, 0));
+    mesh.rotation.y = random.random() * Math.PI * 2;
+    // Sat on the lower of its feet, so neither shows its end
+    mesh.position.set(x, 0, z);
+    mesh.updateMatrix();
+    const feet = [spine[0], spine[spine.length - 1]].map(foot => {
+      _p.copy(foot).applyMatrix4(mesh.matrix);
+      return groundHeightAt(_p.x, _p.z);
+    });
+    mesh.position.y = Math.min(...feet);
+    mesh.updateMatrix();
+    mesh.castShadow = true;
+    mesh.receiveShadow = true;
+    group.add(mesh);
+
+    // Between the crown's thickness and the feet's
+    const reach = radius * (1 + FOOT_FLARE / 2);
+    spine.forEach(point => point.applyMatrix4(mesh.matrix));
+    if (obstacles) obstacles.addChain(spine, reach);
+    result.arches.push({ mesh, spine, radius: reach });
+  }
+  return result;
+}
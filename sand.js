@@ -0,0 +1,203 @@
+import * as THREE from 'three';
+
+// The sand bed as a heightfield: world heights of the top surface on a
+// regular grid centred on the origin, sampled bilinearly in O(1). Whatever
+// reshapes it (see sediment.js) writes `heights` and touch()es the changed
+// grid rectangle, so createSandMesh() re-uploads just that part. Runs
+// without a renderer.
+
+// Grid rectangle { x0, z0, x1, z1 } (inclusive vertex indices) covering a
+// and b. Grows a in place, a may be null.
+export function unionRect(a, b) {
+  if (!a) return { ...b };
+  a.x0 = Math.min(a.x0, b.x0);
+  a.z0 = Math.min(a.z0, b.z0);
+  a.x1 = Math.max(a.x1, b.x1);
+  a.z1 = Math.max(a.z1, b.z1);
+  return a;
+}
+
+export class SandTerrain {
+  // width / depth: world size of the grid, centred on the origin
+  // resX / resZ: vertices along x and z (at least 2)
+  // y: world height of the flat surface before shape() is called
+  constructor({ width, depth, resX, resZ, y = 0 }) {
+    this.width  = width;
+    this.depth  = depth;
+    this.resX   = resX;
+    this.resZ   = resZ;
+    this.cellX  = width / (resX - 1);
+    this.cellZ  = depth / (resZ - 1);
+    // Double precision: sediment.js moves sand in tiny amounts for hours and
+    // float32 rounding would slowly lose some
+    this.heights = new Float64Array(resX * resZ).fill(y);
+    this.dirty   = this.fullRect(); // cells changed since the last takeDirty()
+  }
+
+  fullRect() {
+    return { x0: 0, z0: 0, x1: this.resX - 1, z1: this.resZ - 1 };
+  }
+
+  // World x / z of grid vertex ix / iz
+  vertexX(ix) {
+    return -this.width / 2 + ix * this.cellX;
+  }
+
+  vertexZ(iz) {
+    return -this.depth / 2 + iz * this.cellZ;
+  }
+
+  // Sets the surface from fn(x, z) -> world height, called once per vertex,
+  // row by row
+  shape(fn) {
+    for (let iz = 0; iz < this.resZ; iz++) {
+      for (let ix = 0; ix < this.resX; ix++) {
+        const i = iz * this.resX + ix;
+        this.heights[i] = fn(this.vertexX(ix), this.vertexZ(iz));
+      }
+    }
+    this.dirty = this.fullRect();
+  }
+
+  // Surface height at world x, z, bilinear between the four surrounding
+  // vertices. Points outside the grid get the height at the nearest edge.
+  heightAt(x, z) {
+    const { resX, resZ, heights } = this;
+    const fx = THREE.MathUtils.clamp((x + this.width / 2) / this.cellX, 0, resX - 1);
+    const fz = THREE.MathUtils.clamp((z + this.depth / 2) / this.cellZ, 0, resZ - 1);
+    const ix = Math.min(Math.floor(fx), resX - 2);
+    const iz = Math.min(Math.floor(fz), resZ - 2);
+    const tx = fx - ix;
+    const tz = fz - iz;
+    const i  = iz * resX + ix;
+    const top    = heights[i] + (heights[i + 1] - heights[i]) * tx;
+    const bottom = heights[i + resX] + (heights[i + resX + 1] - heights[i + resX]) * tx;
+    return top + (bottom - top) * tz;
+  }
+
+  // Unit surface normal at world x, z from central differences one cell apart
+  normalAt(x, z, target = new THREE.Vector3()) {
+    const { cellX, cellZ } = this;
+    const slopeX = (this.heightAt(x + cellX, z) - this.heightAt(x - cellX, z)) / (2 * cellX);
+    const slopeZ = (this.heightAt(x, z + cellZ) - this.heightAt(x, z - cellZ)) / (2 * cellZ);
+    return target.set(-slopeX, 1, -slopeZ).normalize();
+  }
+
+  // Vertices within radius of world x, z as a grid rectangle, null if none
+  rectAround(x, z, radius) {
+    const rect = {
+      x0: Math.max(Math.ceil((x - radius + this.width / 2) / this.cellX), 0),
+      z0: Math.max(Math.ceil((z - radius + this.depth / 2) / this.cellZ), 0),
+      x1: Math.min(Math.floor((x + radius + this.width / 2) / this.cellX), this.resX - 1),
+      z1: Math.min(Math.floor((z + radius + this.depth / 2) / this.cellZ), this.resZ - 1)
+    };
+    return rect.x0 > rect.x1 || rect.z0 > rect.z1 ? null : rect;
+  }
+
+  // Marks a grid rectangle as changed, for the next takeDirty()
+  touch(rect) {
+    this.dirty = unionRect(this.dirty, rect);
+  }
+
+  // Rectangle changed since the last call (null if nothing), then forgets it
+  takeDirty() {
+    const rect = this.dirty;
+    this.dirty = null;
+    return rect;
+  }
+}
+
+const _normal = new THREE.Vector3();
+
+// Mesh of a SandTerrain: the top grid with vertical skirts down to bottomY
+// around it, so it reads as a solid slab. UVs run 0..1 across the top like
+// a PlaneGeometry's. Call sync() after the terrain changed.
+export function createSandMesh(terrain, material, { bottomY }) {
+  const { resX, resZ } = terrain;
+  const topCount = resX * resZ;
+
+  // Skirt sides as lists of top vertex indices, ordered so that
+  // (top i, top i + 1, bottom i) faces outward
+  const range = (n, f) => Array.from({ length: n }, (_, k) => f(k));
+  const sides = [
+    { normal: [0, 0, -1], ids: range(resX, k => k) },
+    { normal: [1, 0, 0],  ids: range(resZ, k => k * resX + resX - 1) },
+    { normal: [0, 0, 1],  ids: range(resX, k => (resZ - 1) * resX + resX - 1 - k) },
+    { normal: [-1, 0, 0], ids: range(resZ, k => (resZ - 1 - k) * resX) }
+  ];
+  const skirtCount = sides.reduce((sum, side) => sum + side.ids.length * 2, 0);
+
+  const positions = new Float32Array((topCount + skirtCount) * 3);
+  const normals   = new Float32Array((topCount + skirtCount) * 3);
+  const uvs       = new Float32Array((topCount + skirtCount) * 2);
+  const indices   = [];
+
+  for (let iz = 0; iz < resZ; iz++) {
+    for (let ix = 0; ix < resX; ix++) {
+      const i = iz * resX + ix;
+      positions[i * 3]     = terrain.vertexX(ix);
+      positions[i * 3 + 2] = terrain.vertexZ(iz);
+      uvs[i * 2]     = ix / (resX - 1);
+      uvs[i * 2 + 1] = 1 - iz / (resZ - 1);
+      if (ix < resX - 1 && iz < resZ - 1) {
+        indices.push(i, i + resX, i + 1, i + 1, i + resX, i + resX + 1);
+      }
+    }
+  }
+
+  // Skirt vertices come in (top, bottom) pairs; the tops follow the terrain
+  const skirtTops = [];
+  let v = topCount;
+  sides.forEach(({ normal, ids }) => {
+    const length = normal[0] === 0 ? terrain.width : terrain.depth;
+    ids.forEach((id, k) => {
+      const top = v + k * 2;
+      const bottom = top + 1;
+      skirtTops.push([top, id]);
+      [top, bottom].forEach(n => {
+        positions[n * 3]     = positions[id * 3];
+        positions[n * 3 + 2] = positions[id * 3 + 2];
+        normals.set(normal, n * 3);
+        uvs[n * 2] = k / (ids.length - 1);
+      });
+      positions[bottom * 3 + 1] = bottomY;
+      uvs[top * 2 + 1] = (terrain.heights[id] - bottomY) / length; // same texel size as the top
+      if (k < ids.length - 1) indices.push(top, top + 2, bottom, top + 2, bottom + 2, bottom);
+    });
+    v += ids.length * 2;
+  });
+
+  const geometry = new THREE.BufferGeometry();
+  geometry.setAttribute('position', new THREE.BufferAttribute(positions, 3));
+  geometry.setAttribute('normal', new THREE.BufferAttribute(normals, 3));
+  geometry.setAttribute('uv', new THREE.BufferAttribute(uvs, 2));
+  geometry.setIndex(indices);
+  const mesh = new THREE.Mesh(geometry, material);
+
+  function sync() {
+    const rect = terrain.takeDirty();
+    if (!rect) return;
+    const { heights } = terrain;
+    for (let iz = rect.z0; iz <= rect.z1; iz++) {
+      for (let ix = rect.x0; ix <= rect.x1; ix++) {
+        const i = iz * resX + ix;
+        positions[i * 3 + 1] = heights[i];
+      }
+    }
+    // Normals depend on the neighbours, so one more vertex around the rect
+    for (let iz = Math.max(rect.z0 - 1, 0); iz <= Math.min(rect.z1 + 1, resZ - 1); iz++) {
+      for (let ix = Math.max(rect.x0 - 1, 0); ix <= Math.min(rect.x1 + 1, resX - 1); ix++) {
+        terrain.normalAt(terrain.vertexX(ix), terrain.vertexZ(iz), _normal).toArray(normals, (iz * resX + ix) * 3);
+      }
+    }
+    skirtTops.forEach(([n, id]) => { positions[n * 3 + 1] = heights[id]; });
+    geometry.attributes.position.needsUpdate = true;
+    geometry.attributes.normal.needsUpdate = true;
+  }
+  sync();
+  // Padded, the sand can pile up a little above where it started
+  geometry.computeBoundingSphere();
+  geometry.boundingSphere.radius += 1;
+
+  return { mesh, geometry, sync };
+}
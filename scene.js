@@ -0,0 +1,409 @@
+import * as THREE from 'three';
+import { SPECIES } from './species.js';
+import { EQUIPMENT_KINDS } from './equipment.js';
+import { MATERIAL_IDS, PROP_IDS } from './decorations.js';
+
+// Scene files: a whole aquarium setup as versioned JSON, so tank presets can
+// live in version control (see scenes/). The entry points build the tank from
+// a validated scene at startup; loading another one stores it and reloads.
+//
+//   version       SCENE_VERSION the file was written for
+//   name          shown in the GUI and used as the download file name
+//   tank          width, height, depth of the glass box
+//   substrate     thickness of the sand layer; material (optional) is a
+//                 glTF sand material, see decorations.js; sediment (optional)
+//                 is the shaped sand bed saved from a running tank, see
+//                 sediment.js
+//   decorations   rocks: count, minScale, maxScale, color, mossColor, moss
+//                 (0..1), clusters, arches, made up from the seed, see rocks.js
+//                 props: [{ asset, count, minScale, maxScale }] glTF models
+//                 placed on the sand, see decorations.js
+//   plants        count, segments (kelp joints), minLength, maxLength, color
+//   bubbles       count (most in the water at once)
+//   current       direction (degrees), strength, turbulence (0..1) of the
+//                 water current, see current.js
+//   equipment     [{ kind, position: [x, y, z], heading, tilt, strength,
+//                 enabled, intake: [x, y, z] (filters) }], see equipment.js
+//   fish          count, scale, color (species without their own colour),
+//                 speciesMix { [preyId]: weight }, predators { species, count }
+//   lighting      sun { color, intensity, azimuth, elevation, distance },
+//                 ambient { color, intensity },
+//                 points [{ color, intensity, distance, position: [x, y, z] }]
+//   environment   hdr path, background (show the HDR behind the tank)
+//   settings      any other GUI params by name (flocking, feeding, ...)
+
+export const SCENE_VERSION = 1;
+
+// GUI params that live in a scene section rather than in `settings`
+const PARAM_PATHS = {
+  fishCount:         'fish.count',
+  fishColor:         'fish.color',
+  speciesMix:        'fish.speciesMix',
+  predatorCount:     'fish.predators.count',
+  lightAzimuth:      'lighting.sun.azimuth',
+  lightElevation:    'lighting.sun.elevation',
+  currentDirection:  'current.direction',
+  currentStrength:   'current.strength',
+  currentTurbulence: 'current.turbulence'
+};
+
+// Runtime counters, never saved
+const TRANSIENT_PARAMS = ['caught'];
+
+export class SceneError extends Error {
+  constructor(errors) {
+    super(`Invalid scene:\n  ${errors.join('\n  ')}`);
+    this.name = 'SceneError';
+    this.errors = errors;
+  }
+}
+
+// Field validators: (value, path, errors) => cleaned value
+
+const number = (min, max) => (value, path, errors) => {
+  if (typeof value !== 'number' || !Number.isFinite(value)) {
+    errors.push(`${path}: expected a number`);
+  } else if (value < min || value > max) {
+    errors.push(`${path}: ${value} is outside ${min}..${max}`);
+  }
+  return value;
+};
+
+const integer = (min, max) => (value, path, errors) => {
+  if (!Number.isInteger(value)) {
+    errors.push(`${path}: expected an integer`);
+    return value;
+  }
+  return number(min, max)(value, path, errors);
+};
+
+const string = () => (value, path, errors) => {
+  if (typeof value !== 'string' || value.length === 0) errors.push(`${path}: expected a non-empty string`);
+  return value;
+};
+
+const boolean = () => (value, path, errors) => {
+  if (typeof value !== 'boolean') errors.push(`${path}: expected true or false`);
+  return value;
+};
+
+const color = () => (value, path, errors) => {
+  if (typeof value !== 'string' || !/^#[0-9a-f]{6}$/i.test(value)) errors.push(`${path}: expected a colour like "#88ccee"`);
+  return value;
+};
+
+const oneOf = ids => (value, path, errors) => {
+  if (!ids.includes(value)) errors.push(`${path}: expected one of ${ids.join(', ')}`);
+  return value;
+};
+
+const vec3 = () => (value, path, errors) => {
+  if (!Array.isArray(value) || value.length !== 3 || !value.every(Number.isFinite)) {
+    errors.push(`${path}: expected [x, y, z]`);
+  }
+  return value;
+};
+
+// Field that may be left out (and stays out)
+const optional = check => Object.assign((value, path, errors) => check(value, path, errors), { optional: true });
+
+// Sediment.toJSON(): grid size, base64 float32 heights, sink per body
+const sediment = () => (value, path, errors) => {
+  if (!isObject(value)) {
+    errors.push(`${path}: expected an object`);
+    return value;
+  }
+  integer(2, 4096)(value.resX, `${path}.resX`, errors);
+  integer(2, 4096)(value.resZ, `${path}.resZ`, errors);
+  if (typeof value.heights !== 'string' || !/^[A-Za-z0-9+/]*={0,2}$/.test(value.heights)) {
+    errors.push(`${path}.heights: expected base64 text`);
+  } else if (Number.isInteger(value.resX) && Number.isInteger(value.resZ)) {
+    const bytes = value.heights.length * 3 / 4 - (value.heights.match(/=*$/)[0].length);
+    if (bytes !== value.resX * value.resZ * 4) errors.push(`${path}.heights: expected ${value.resX} x ${value.resZ} heights`);
+  }
+  if (!Array.isArray(value.sink) || !value.sink.every(Number.isFinite)) {
+    errors.push(`${path}.sink: expected a list of numbers`);
+  }
+  return value;
+};
+
+// { [id]: weight } with ids from `ids`
+const weights = ids => (value, path, errors) => {
+  if (!isObject(value)) {
+    errors.push(`${path}: expected an object`);
+    return value;
+  }
+  Object.entries(value).forEach(([id, weight]) => {
+    if (!ids.includes(id)) errors.push(`${path}.${id}: unknown species`);
+    else number(0, 1)(weight, `${path}.${id}`, errors);
+  });
+  return value;
+};
+
+const list = schema => (value, path, errors) => {
+  if (!Array.isArray(value)) {
+    errors.push(`${path}: expected a list`);
+    return value;
+  }
+  return value.map((item, i) => validate(schema, item, undefined, `${path}[${i}]`, errors));
+};
+
+const preyIds     = Object.keys(SPECIES).filter(id => SPECIES[id].role !== 'predator');
+const predatorIds = Object.keys(SPECIES).filter(id => SPECIES[id].role === 'predator');
+
+const SCHEMA = {
+  version: integer(1, SCENE_VERSION),
+  name: string(),
+  tank: {
+    width:  number(2, 100),
+    height: number(2, 50),
+    depth:  number(2, 100)
+  },
+  substrate: {
+    thickness: number(0.1, 5),
+    material:  optional(oneOf(MATERIAL_IDS)),
+    sediment:  optional(sediment())
+  },
+  decorations: {
+    rocks: {
+      count:     integer(0, 200),
+      minScale:  number(0.05, 5),
+      maxScale:  number(0.05, 5),
+      color:     color(),
+      mossColor: color(),
+      moss:      number(0, 1),
+      clusters:  integer(0, 50),
+      arches:    integer(0, 20)
+    },
+    props: list({
+      asset:    oneOf(PROP_IDS),
+      count:    integer(0, 200),
+      minScale: number(0.05, 5),
+      maxScale: number(0.05, 5)
+    })
+  },
+  plants: {
+    count:     integer(0, 200),
+    segments:  integer(2, 64),
+    minLength: number(0.1, 20),
+    maxLength: number(0.1, 20),
+    color:     color()
+  },
+  bubbles: {
+    count: integer(0, 1000)
+  },
+  current: {
+    direction:  number(0, 360),
+    strength:   number(0, 1),
+    turbulence: number(0, 1)
+  },
+  equipment: list({
+    kind:     oneOf(Object.keys(EQUIPMENT_KINDS)),
+    position: vec3(),
+    heading:  number(0, 360),
+    tilt:     number(-90, 90),
+    strength: number(0, 5),
+    enabled:  boolean(),
+    intake:   optional(vec3())
+  }),
+  fish: {
+    count:      integer(0, 3000),
+    scale:      number(0.01, 2),
+    color:      color(),
+    speciesMix: weights(preyIds),
+    predators: {
+      species: oneOf(predatorIds),
+      count:   integer(0, 20)
+    }
+  },
+  lighting: {
+    sun: {
+      color:     color(),
+      intensity: number(0, 20),
+      azimuth:   number(0, 360),
+      elevation: number(0, 90),
+      distance:  number(1, 100)
+    },
+    ambient: {
+      color:     color(),
+      intensity: number(0, 20)
+    },
+    points: list({
+      color:     color(),
+      intensity: number(0, 100),
+      distance:  number(0, 1000),
+      position:  vec3()
+    })
+  },
+  environment: {
+    hdr:        string(),
+    background: boolean()
+  },
+  settings: (value, path, errors) => {
+    if (!isObject(value)) errors.push(`${path}: expected an object`);
+    return value;
+  }
+};
+
+function isObject(value) {
+  return value !== null && typeof value === 'object' && !Array.isArray(value);
+}
+
+// Walks schema and value together; missing fields come from defaults
+function validate(schema, value, defaults, path, errors) {
+  if (value === undefined) value = defaults;
+  if (typeof schema === 'function') {
+    if (value === undefined) {
+      if (!schema.optional) errors.push(`${path}: missing`);
+      return value;
+    }
+    return schema(value, path, errors);
+  }
+
+  if (!isObject(value)) {
+    errors.push(`${path || 'scene'}: expected an object`);
+    return value;
+  }
+  Object.keys(value).forEach(key => {
+    if (!(key in schema)) errors.push(`${path ? `${path}.` : ''}${key}: unknown field`);
+  });
+  const result = {};
+  Object.keys(schema).forEach(key => {
+    result[key] = validate(schema[key], value[key], defaults && defaults[key], path ? `${path}.${key}` : key, errors);
+  });
+  return result;
+}
+
+// Parses (if given text) and validates a scene, filling gaps from defaults.
+// Throws a SceneError listing every problem found.
+export function parseScene(source, defaults) {
+  let json = source;
+  if (typeof source === 'string') {
+    try {
+      json = JSON.parse(source);
+    } catch (err) {
+      throw new SceneError([`not valid JSON: ${err.message}`]);
+    }
+  }
+  if (isObject(json) && Number.isInteger(json.version) && json.version > SCENE_VERSION) {
+    throw new SceneError([`version: ${json.version} is newer than this app (${SCENE_VERSION})`]);
+  }
+
+  const errors = [];
+  const scene = validate(SCHEMA, json, defaults, '', errors);
+  if (errors.length === 0) {
+    const { rocks } = scene.decorations;
+    if (rocks.minScale > rocks.maxScale) errors.push('decorations.rocks: minScale is larger than maxScale');
+    scene.decorations.props.forEach((prop, i) => {
+      if (prop.minScale > prop.maxScale) errors.push(`decorations.props[${i}]: minScale is larger than maxScale`);
+    });
+    if (scene.plants.minLength > scene.plants.maxLength) errors.push('plants: minLength is larger than maxLength');
+    scene.equipment.forEach((item, i) => {
+      if (item.kind === 'filter' && !item.intake) errors.push(`equipment[${i}]: a filter needs an intake`);
+    });
+  }
+  if (errors.length > 0) throw new SceneError(errors);
+  return structuredClone(scene);
+}
+
+function getPath(object, path) {
+  return path.split('.').reduce((o, key) => o[key], object);
+}
+
+function setPath(object, path, value) {
+  const keys = path.split('.');
+  const last = keys.pop();
+  keys.reduce((o, key) => o[key], object)[last] = value;
+}
+
+// Copies the scene's values onto the GUI params. Settings the entry point
+// doesn't have (saved from the other page, say) are skipped with a warning.
+export function applySceneToParams(scene, params) {
+  Object.entries(PARAM_PATHS).forEach(([key, path]) => {
+    if (!(key in params)) return;
+    const value = structuredClone(getPath(scene, path));
+    // Weights the scene leaves out are zero, the GUI keeps a slider for each
+    params[key] = isObject(value)
+      ? { ...Object.fromEntries(Object.keys(params[key]).map(id => [id, 0])), ...value }
+      : value;
+  });
+  Object.entries(scene.settings).forEach(([key, value]) => {
+    if (!(key in params) || key in PARAM_PATHS || TRANSIENT_PARAMS.includes(key)) {
+      console.warn(`Scene: ignoring unknown setting "${key}"`);
+    } else if (typeof value !== typeof params[key]) {
+      console.warn(`Scene: ignoring setting "${key}", expected a ${typeof params[key]}`);
+    } else {
+      params[key] = structuredClone(value);
+    }
+  });
+}
+
+// The scene with the current GUI params written back into it
+export function sceneFromParams(scene, params) {
+  const result = structuredClone(scene);
+  result.version = SCENE_VERSION;
+  result.settings = {};
+  Object.entries(params).forEach(([key, value]) => {
+    if (TRANSIENT_PARAMS.includes(key)) return;
+    if (key in PARAM_PATHS) setPath(result, PARAM_PATHS[key], structuredClone(value));
+    else result.settings[key] = structuredClone(value);
+  });
+  return result;
+}
+
+// Where the sun sits for lighting.sun, around target
+export function sunPosition(sun, target = new THREE.Vector3()) {
+  return new THREE.Vector3().setFromSphericalCoords(
+    sun.distance,
+    THREE.MathUtils.degToRad(90 - sun.elevation),
+    THREE.MathUtils.degToRad(sun.azimuth)
+  ).add(target);
+}
+
+// Scene saved with storeScene(), or null. A stored scene that no longer
+// validates is dropped so the page still starts.
+export function loadStoredScene(key, defaults) {
+  const text = localStorage.getItem(key);
+  if (text === null) return null;
+  try {
+    return parseScene(text, defaults);
+  } catch (err) {
+    console.warn('Scene: discarding stored scene.', err);
+    localStorage.removeItem(key);
+    return null;
+  }
+}
+
+export function storeScene(key, scene) {
+  localStorage.setItem(key, JSON.stringify(scene));
+}
+
+export function clearStoredScene(key) {
+  localStorage.removeItem(key);
+}
+
+export function downloadScene(scene) {
+  const blob = new Blob([JSON.stringify(scene, null, 2)], { type: 'application/json' });
+  const link = document.createElement('a');
+  link.href = URL.createObjectURL(blob);
+  link.download = `${scene.name.replace(/[^\w-]+/g, '_')}.json`;
+  link.click();
+  setTimeout(() => URL.revokeObjectURL(link.href), 0);
+}
+
+// Lets the user pick a .json file, resolves with its text, or with null if
+// the dialog was cancelled
+export function pickSceneFile() {
+  return new Promise((resolve, reject) => {
+    const input = document.createElement('input');
+    input.type = 'file';
+    input.accept = '.json,application/json';
+    input.addEventListener('cancel', () => resolve(null));
+    input.addEventListener('change', () => {
+      const file = input.files[0];
+      if (!file) return resolve(null);
+      file.text().then(resolve, reject);
+    });
+    input.click();
+  });
+}
@@ -0,0 +1,304 @@
+import * as THREE from 'three';
+import { unionRect } from './sand.js';
+
+// Granular sediment on a SandTerrain. Sand is only ever moved, never made or
+// lost, so the shape of the bed is the history of the tank:
+//
+//   dig()     fish wakes scoop sand out of a dent and pile it on a rim
+//   erosion   slopes steeper than the angle of repose slide down until
+//             they are back at it (thermal erosion)
+//   ripples   the current lifts sand and drops it a hop downstream; faces
+//             rising into the flow lose more than sheltered lee faces,
+//             which slowly grows ripples across it
+//   bodies    decorations ride the surface and settle into it over time
+//
+// toJSON() / restore() carry all of that through a scene file.
+//
+// params (read live): currentDirection (degrees, 0 flows along +x, 90 along
+// +z), currentStrength (0..1), rippleRate (sand lifted per second in full
+// current), reposeAngle (degrees), sinkRate (per second)
+
+const RIM         = 1.6;  // dug sand lands between radius and RIM * radius
+const EROSION     = 0.25; // share of the excess slope moved per step
+const SETTLED     = 1e-4; // excess height below this doesn't slide
+const HOP         = 0.3;  // how far the current carries lifted sand
+const EXPOSURE    = 3;    // how much facing the current adds to lifting
+const RIPPLE_STEP = 0.25; // seconds between ripple updates
+const MAX_RISE    = 0.1;  // steeper faces lift no more (or less) than this
+
+const _rect = { x0: 0, z0: 0, x1: 0, z1: 0 };
+
+export class Sediment {
+  // terrain: the SandTerrain to reshape
+  // floorY: bottom of the sand layer, nothing digs or erodes below it
+  constructor(terrain, params, { floorY }) {
+    this.terrain = terrain;
+    this.params  = params;
+    this.floorY  = floorY;
+    this.bodies  = [];
+    this.restoredSink = []; // per body, from restore()
+    this.unstable    = terrain.fullRect(); // cells erosion still has to look at
+    this.delta       = new Float64Array(terrain.heights.length);
+    this.rippleTimer = 0;
+  }
+
+  // Scoops up to `depth` (at the centre) out of a cone at world x, z and
+  // piles all of it around the dent
+  dig(x, z, depth, radius) {
+    const terrain = this.terrain;
+    const rect = terrain.rectAround(x, z, radius * RIM);
+    if (!rect) return;
+    const { heights } = terrain;
+    const mid  = radius * (1 + RIM) / 2;
+    const half = radius * (RIM - 1) / 2;
+
+    let rimWeight = 0;
+    this.forEachCell(rect, x, z, (i, dist) => {
+      if (dist >= radius && dist < radius * RIM) rimWeight += 1 - Math.abs(dist - mid) / half;
+    });
+    if (rimWeight === 0) return; // nowhere to put it
+
+    let removed = 0;
+    this.forEachCell(rect, x, z, (i, dist) => {
+      if (dist >= radius) return;
+      const amount = Math.min(depth * (1 - dist / radius), Math.max(heights[i] - this.floorY, 0));
+      heights[i] -= amount;
+      removed += amount;
+    });
+    this.forEachCell(rect, x, z, (i, dist) => {
+      if (dist >= radius && dist < radius * RIM) heights[i] += removed * (1 - Math.abs(dist - mid) / half) / rimWeight;
+    });
+
+    terrain.touch(rect);
+    this.unstable = unionRect(this.unstable, this.grow(rect));
+  }
+
+  // callback(index, distance from x, z) for every cell of rect
+  forEachCell(rect, x, z, callback) {
+    const terrain = this.terrain;
+    for (let iz = rect.z0; iz <= rect.z1; iz++) {
+      for (let ix = rect.x0; ix <= rect.x1; ix++) {
+        callback(iz * terrain.resX + ix, Math.hypot(terrain.vertexX(ix) - x, terrain.vertexZ(iz) - z));
+      }
+    }
+  }
+
+  // rect one cell larger on every side, clamped to the grid
+  grow(rect) {
+    const { resX, resZ } = this.terrain;
+    return {
+      x0: Math.max(rect.x0 - 1, 0),
+      z0: Math.max(rect.z0 - 1, 0),
+      x1: Math.min(rect.x1 + 1, resX - 1),
+      z1: Math.min(rect.z1 + 1, resZ - 1)
+    };
+  }
+
+  // Keeps position (a Vector3, e.g. a mesh's) on the sand at its current
+  // height above it, sinking up to maxSink into it over time
+  addBody(position, { maxSink = 0 } = {}) {
+    const body = {
+      position,
+      offset: position.y - this.terrain.heightAt(position.x, position.z),
+      maxSink,
+      sink: Math.min(this.restoredSink[this.bodies.length] || 0, maxSink)
+    };
+    this.bodies.push(body);
+    return body;
+  }
+
+  step(dt) {
+    const params = this.params;
+    if (params.currentStrength > 0 && params.rippleRate > 0) {
+      this.rippleTimer += dt;
+      while (this.rippleTimer >= RIPPLE_STEP) {
+        this.rippleTimer -= RIPPLE_STEP;
+        this.ripple(RIPPLE_STEP);
+      }
+    }
+    if (this.unstable) this.erode();
+
+    this.bodies.forEach(body => {
+      body.sink += (body.maxSink - body.sink) * Math.min(params.sinkRate * dt, 1);
+      const { position } = body;
+      position.y = this.terrain.heightAt(position.x, position.z) + body.offset - body.sink;
+    });
+  }
+
+  // One pass of thermal erosion over the unstable cells: each cell steeper
+  // than the angle of repose toward some neighbours sheds part of the excess
+  // to them, in proportion. Leaves only the cells that moved unstable.
+  erode() {
+    const terrain = this.terrain;
+    const { heights, resX, resZ } = terrain;
+    const { delta } = this;
+    const rect = this.unstable;
+    const slope = Math.tan(THREE.MathUtils.degToRad(this.params.reposeAngle));
+    const talusX = slope * terrain.cellX;
+    const talusZ = slope * terrain.cellZ;
+    const neighbours = [[-1, 0, talusX], [1, 0, talusX], [0, -1, talusZ], [0, 1, talusZ]];
+    const excess = [0, 0, 0, 0];
+
+    let moved = null;
+    for (let iz = rect.z0; iz <= rect.z1; iz++) {
+      for (let ix = rect.x0; ix <= rect.x1; ix++) {
+        const i = iz * resX + ix;
+        let total = 0, most = 0;
+        neighbours.forEach(([dx, dz, talus], n) => {
+          const jx = ix + dx, jz = iz + dz;
+          excess[n] = jx < 0 || jx >= resX || jz < 0 || jz >= resZ
+            ? 0
+            : heights[i] - heights[jz * resX + jx] - talus;
+          if (excess[n] < SETTLED) excess[n] = 0;
+          total += excess[n];
+          most = Math.max(most, excess[n]);
+        });
+        if (total === 0) continue;
+
+        const amount = Math.min(most * EROSION, Math.max(heights[i] - this.floorY, 0));
+        if (amount <= 0) continue;
+        delta[i] -= amount;
+        neighbours.forEach(([dx, dz], n) => {
+          if (excess[n] > 0) delta[(iz + dz) * resX + ix + dx] += amount * excess[n] / total;
+        });
+        _rect.x0 = _rect.x1 = ix;
+        _rect.z0 = _rect.z1 = iz;
+        moved = unionRect(moved, _rect);
+      }
+    }
+
+    this.unstable = null;
+    if (!moved) return;
+    moved = this.grow(moved);
+    this.applyDelta(moved);
+    this.unstable = this.grow(moved);
+  }
+
+  // Adds delta into heights over rect and clears it there
+  applyDelta(rect) {
+    const { heights, resX } = this.terrain;
+    const { delta } = this;
+    for (let iz = rect.z0; iz <= rect.z1; iz++) {
+      for (let i = iz * resX + rect.x0, end = iz * resX + rect.x1; i <= end; i++) {
+        heights[i] += delta[i];
+        delta[i] = 0;
+      }
+    }
+    this.terrain.touch(rect);
+  }
+
+  // Moves dt worth of sand along the current over the whole bed. The tank
+  // is treated as wrapping around, so sand carried out of one side comes
+  // back in on the other and none is lost.
+  ripple(dt) {
+    const terrain = this.terrain;
+    const { heights, resX, resZ, cellX, cellZ } = terrain;
+    const { delta, params } = this;
+    const angle = THREE.MathUtils.degToRad(params.currentDirection);
+    const dirX = Math.cos(angle), dirZ = Math.sin(angle);
+    const lift = params.rippleRate * params.currentStrength * dt;
+
+    // Landing spot a hop downstream, split over the four cells around it
+    const hopX = dirX * HOP / cellX, hopZ = dirZ * HOP / cellZ;
+    const ox = Math.floor(hopX), oz = Math.floor(hopZ);
+    const tx = hopX - ox, tz = hopZ - oz;
+    const shares = [[0, 0, (1 - tx) * (1 - tz)], [1, 0, tx * (1 - tz)], [0, 1, (1 - tx) * tz], [1, 1, tx * tz]];
+    const wrap = (n, size) => ((n % size) + size) % size;
+
+    for (let iz = 0; iz < resZ; iz++) {
+      for (let ix = 0; ix < resX; ix++) {
+        const i = iz * resX + ix;
+        // Rise of the bed along the current: positive on faces the flow hits
+        const left  = heights[iz * resX + Math.max(ix - 1, 0)];
+        const right = heights[iz * resX + Math.min(ix + 1, resX - 1)];
+        const back  = heights[Math.max(iz - 1, 0) * resX + ix];
+        const front = heights[Math.min(iz + 1, resZ - 1) * resX + ix];
+        const rise = dirX * (right - left) / (2 * cellX) + dirZ * (front - back) / (2 * cellZ);
+        const amount = Math.min(
+          lift * (1 + EXPOSURE * THREE.MathUtils.clamp(rise, -MAX_RISE, MAX_RISE)),
+          Math.max(heights[i] - this.floorY, 0)
+        );
+        if (amount <= 0) continue;
+        delta[i] -= amount;
+        shares.forEach(([dx, dz, share]) => {
+          delta[wrap(iz + oz + dz, resZ) * resX + wrap(ix + ox + dx, resX)] += amount * share;
+        });
+      }
+    }
+
+    // Creep: a little diffusion keeps the ripples from breaking up into
+    // grid-sized noise (sized for the fastest growing wavelength, ~3 hops)
+    const creep = lift * EXPOSURE * HOP / 4;
+    // (capped where an explicit step would overshoot)
+    const cx = Math.min(creep / (cellX * cellX), 0.125), cz = Math.min(creep / (cellZ * cellZ), 0.125);
+    for (let iz = 0; iz < resZ; iz++) {
+      for (let ix = 0; ix < resX; ix++) {
+        const i = iz * resX + ix;
+        if (ix < resX - 1) {
+          const flow = (heights[i + 1] - heights[i]) * cx;
+          delta[i] += flow;
+          delta[i + 1] -= flow;
+        }
+        if (iz < resZ - 1) {
+          const flow = (heights[i + resX] - heights[i]) * cz;
+          delta[i] += flow;
+          delta[i + resX] -= flow;
+        }
+      }
+    }
+
+    // Only cells that moved need another look from erosion; the rest of the
+    // bed (bare floor, say) stays settled
+    let changed = null;
+    for (let iz = 0; iz < resZ; iz++) {
+      for (let ix = 0; ix < resX; ix++) {
+        if (delta[iz * resX + ix] === 0) continue;
+        _rect.x0 = _rect.x1 = ix;
+        _rect.z0 = _rect.z1 = iz;
+        changed = unionRect(changed, _rect);
+      }
+    }
+    if (!changed) return;
+    this.applyDelta(changed);
+    this.unstable = unionRect(this.unstable, this.grow(changed));
+  }
+
+  // The bed and how far each body has sunk, as plain JSON
+  toJSON() {
+    const { resX, resZ } = this.terrain;
+    const heights = Float32Array.from(this.terrain.heights);
+    const bytes = new Uint8Array(heights.buffer);
+    let binary = '';
+    for (let i = 0; i < bytes.length; i += 0x8000) {
+      binary += String.fromCharCode.apply(null, bytes.subarray(i, i + 0x8000));
+    }
+    return {
+      resX,
+      resZ,
+      heights: btoa(binary), // little-endian float32, row by row
+      sink: this.bodies.map(body => Math.round(body.sink * 1e4) / 1e4)
+    };
+  }
+
+  // Puts back what toJSON() saved. Returns false (changing nothing) when it
+  // was saved for a differently sized bed.
+  restore(data) {
+    const terrain = this.terrain;
+    if (data.resX !== terrain.resX || data.resZ !== terrain.resZ) return false;
+    const binary = atob(data.heights);
+    const heights = new Float32Array(terrain.heights.length);
+    if (binary.length !== heights.byteLength) return false;
+    const bytes = new Uint8Array(heights.buffer);
+    for (let i = 0; i < binary.length; i++) bytes[i] = binary.charCodeAt(i);
+    terrain.heights.set(heights);
+
+    this.bodies.forEach((body, i) => {
+      body.sink = Math.min(data.sink[i] || 0, body.maxSink);
+    });
+    // Bodies added later (props loading after the bed) pick theirs up here
+    this.restoredSink = data.sink;
+    terrain.touch(terrain.fullRect());
+    this.unstable = terrain.fullRect();
+    return true;
+  }
+}
@@ -0,0 +1,35 @@
+// Fixed-timestep simulation clock. Frame deltas go into an accumulator and
+// the simulation advances in whole steps of `step` seconds, so its state
+// only depends on the number of steps taken, not on the frame rate.
+//
+//   simClock.tick(clock.getDelta(), dt => simulate(dt));
+
+export const SIM_STEP = 1 / 60;
+
+export class SimulationClock {
+  // maxSteps: most steps per tick, a long stall (hidden tab) is dropped
+  constructor({ step = SIM_STEP, maxSteps = 4 } = {}) {
+    this.step     = step;
+    this.maxSteps = maxSteps;
+    this.accumulator = 0;
+    this.frame = 0; // steps taken so far
+  }
+
+  // Simulated seconds, a whole number of steps
+  get time() {
+    return this.frame * this.step;
+  }
+
+  // Calls simulate(step) once per whole step due this frame, `time` is the
+  // start of the step during the call. Returns the number of steps.
+  tick(delta, simulate) {
+    this.accumulator = Math.min(this.accumulator + delta, this.step * this.maxSteps);
+    const steps = Math.floor(this.accumulator / this.step);
+    this.accumulator -= steps * this.step;
+    for (let i = 0; i < steps; i++) {
+      simulate(this.step);
+      this.frame++;
+    }
+    return steps;
+  }
+}
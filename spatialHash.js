@@ -0,0 +1,112 @@
+// Uniform grid over the aquarium bounds for "everything within r" queries.
+// Rebuilt from scratch every step with a counting sort into flat typed arrays,
+// so a frame costs O(n) and allocates nothing once the arrays have grown.
+// Points outside the bounds are clamped into the border cells, which keeps
+// queries correct for things that live outside the fish box (plants, pellets).
+
+const MAX_CELLS_PER_AXIS = 64;
+
+export class SpatialHash {
+  // bounds: { halfX, halfY, halfZ } half extents of the box to cover
+  constructor(bounds, cellSize = 1) {
+    this.bounds    = bounds;
+    this.items     = [];
+    this.cellSize  = 0;
+    this.cellStart = new Int32Array(1);
+    this.cellItems = new Int32Array(0);
+    this.itemCell  = new Int32Array(0);
+    this.setCellSize(cellSize);
+  }
+
+  // Cells are never smaller than the box / MAX_CELLS_PER_AXIS on each axis
+  setCellSize(size) {
+    const { halfX, halfY, halfZ } = this.bounds;
+    const minSize = Math.max(halfX, halfY, halfZ) * 2 / MAX_CELLS_PER_AXIS;
+    size = Math.max(size, minSize);
+    if (size === this.cellSize) return;
+
+    this.cellSize = size;
+    this.nx = Math.max(1, Math.ceil(halfX * 2 / size));
+    this.ny = Math.max(1, Math.ceil(halfY * 2 / size));
+    this.nz = Math.max(1, Math.ceil(halfZ * 2 / size));
+    this.cellStart = new Int32Array(this.nx * this.ny * this.nz + 1);
+  }
+
+  cellCoord(v, half, n) {
+    const c = Math.floor((v + half) / this.cellSize);
+    return c < 0 ? 0 : (c >= n ? n - 1 : c);
+  }
+
+  cellIndex(x, y, z) {
+    const { halfX, halfY, halfZ } = this.bounds;
+    const cx = this.cellCoord(x, halfX, this.nx);
+    const cy = this.cellCoord(y, halfY, this.ny);
+    const cz = this.cellCoord(z, halfZ, this.nz);
+    return (cz * this.ny + cy) * this.nx + cx;
+  }
+
+  // items: anything with a Vector3-like .position (or use getPosition)
+  build(items, getPosition = item => item.position) {
+    const n = items.length;
+    this.items = items;
+    if (this.cellItems.length < n) {
+      this.cellItems = new Int32Array(n * 2);
+      this.itemCell  = new Int32Array(n * 2);
+    }
+
+    const start = this.cellStart;
+    start.fill(0);
+    for (let i = 0; i < n; i++) {
+      const p = getPosition(items[i]);
+      const c = this.cellIndex(p.x, p.y, p.z);
+      this.itemCell[i] = c;
+      start[c + 1]++;
+    }
+    // Prefix sum: start[c]..start[c + 1] is the slice of cell c
+    for (let c = 1; c < start.length; c++) start[c] += start[c - 1];
+
+    // Scatter, using start[c] as the write cursor, then shift back
+    for (let i = 0; i < n; i++) this.cellItems[start[this.itemCell[i]]++] = i;
+    for (let c = start.length - 1; c > 0; c--) start[c] = start[c - 1];
+    start[0] = 0;
+
+    this.getPosition = getPosition;
+  }
+
+  // Calls callback(item, distSq) for every item within radius of position.
+  // The cell containing position is visited first; returning true from the
+  // callback stops the query early (used to cap neighbor counts).
+  query(position, radius, callback) {
+    const { halfX, halfY, halfZ } = this.bounds;
+    const { x, y, z } = position;
+    const r2 = radius * radius;
+
+    const x0 = this.cellCoord(x - radius, halfX, this.nx), x1 = this.cellCoord(x + radius, halfX, this.nx);
+    const y0 = this.cellCoord(y - radius, halfY, this.ny), y1 = this.cellCoord(y + radius, halfY, this.ny);
+    const z0 = this.cellCoord(z - radius, halfZ, this.nz), z1 = this.cellCoord(z + radius, halfZ, this.nz);
+
+    const home = this.cellIndex(x, y, z);
+    if (this.queryCell(home, x, y, z, r2, callback)) return;
+
+    for (let cz = z0; cz <= z1; cz++) {
+      for (let cy = y0; cy <= y1; cy++) {
+        const row = (cz * this.ny + cy) * this.nx;
+        for (let cx = x0; cx <= x1; cx++) {
+          const c = row + cx;
+          if (c !== home && this.queryCell(c, x, y, z, r2, callback)) return;
+        }
+      }
+    }
+  }
+
+  queryCell(c, x, y, z, r2, callback) {
+    for (let k = this.cellStart[c]; k < this.cellStart[c + 1]; k++) {
+      const item = this.items[this.cellItems[k]];
+      const p = this.getPosition(item);
+      const dx = p.x - x, dy = p.y - y, dz = p.z - z;
+      const d2 = dx * dx + dy * dy + dz * dz;
+      if (d2 <= r2 && callback(item, d2) === true) return true;
+    }
+    return false;
+  }
+}
@@ -0,0 +1,133 @@
+// Built-in fish species. Every descriptor is plain JSON so species can be
+// saved, loaded and tweaked without touching code.
+//
+//   length        body length along +x (head at 0, tail root at `length`)
+//   profile       control points of the body curves, in body units:
+//                   top / bottom: [x, y] silhouette seen from the side
+//                   side:         [x, y, z] half-width seen from above
+//   fins          [x, y] control points, any of them may be null:
+//                   tail   (from the tail root outwards, drawn top to bottom)
+//                   dorsal (on top), rect (anal fin), pelvic (mirrored pair)
+//   size          scale relative to the entry point's base fish scale
+//   color         base colour, or null to follow the GUI "Fish Color"
+//   pattern       stripes: band count along the body, stripeStrength: 0..1
+//   waveAmplitude tail wave amplitude in body units
+//   swim          multipliers on the GUI speed and flocking weights
+//   role          'prey' (default) or 'predator'; predators are not part of
+//                 the species mix and have their own count
+
+export const DEFAULT_SPECIES = 'goldfish';
+
+export const SPECIES = {
+  goldfish: {
+    name: 'Goldfish',
+    length: 10,
+    profile: {
+      top:    [[0, 0], [0.1, 0.15], [1, 0.75], [3.5, 1.5], [9, 0.5], [9.5, 0.45], [10, 0.55]],
+      bottom: [[0, 0], [0.1, -0.15], [0.5, -0.35], [4.5, -1], [8, -0.6], [9.5, -0.45], [10, -0.55]],
+      side:   [[0, 0, 0], [0.1, 0, 0.125], [1, 0, 0.375], [4, -0.25, 0.6], [8, 0, 0.25], [10, 0, 0.05]]
+    },
+    fins: {
+      tail:   [[11, -1], [12.5, -1.5], [12, 0], [12.5, 1.5], [11, 1]],
+      dorsal: [[3, 1.45], [3.25, 2.25], [3.75, 3], [6, 2], [7, 1]],
+      rect:   [[6, -0.9], [7.25, -1.5], [7.5, -0.75]],
+      pelvic: [[2.25, -0.7], [3.75, -2], [4, -1]]
+    },
+    size: 1,
+    color: null,
+    pattern: { stripes: 6, stripeStrength: 1 },
+    waveAmplitude: 0.375,
+    swim: { speed: 1, separation: 1, alignment: 1, cohesion: 1 }
+  },
+
+  eel: {
+    name: 'Eel',
+    length: 10,
+    profile: {
+      top:    [[0, 0], [0.1, 0.08], [1, 0.35], [4, 0.45], [9, 0.3], [9.5, 0.25], [10, 0.28]],
+      bottom: [[0, 0], [0.1, -0.08], [1, -0.3], [4, -0.4], [9, -0.28], [9.5, -0.25], [10, -0.28]],
+      side:   [[0, 0, 0], [0.1, 0, 0.08], [1, 0, 0.3], [4, 0, 0.35], [8, 0, 0.2], [10, 0, 0.05]]
+    },
+    fins: {
+      tail:   [[10.5, -0.4], [11.5, -0.6], [11.2, 0], [11.5, 0.6], [10.5, 0.4]],
+      dorsal: [[1.5, 0.38], [2, 0.75], [5, 0.8], [8.5, 0.6], [9.5, 0.27]],
+      rect:   [[4, -0.4], [6, -0.8], [9.5, -0.27]],
+      pelvic: null
+    },
+    size: 1.5,
+    color: '#6b7a3a',
+    pattern: { stripes: 14, stripeStrength: 0.4 },
+    waveAmplitude: 0.9,
+    swim: { speed: 0.7, separation: 1.5, alignment: 0.3, cohesion: 0.3 }
+  },
+
+  discus: {
+    name: 'Discus',
+    length: 8,
+    profile: {
+      top:    [[0, 0], [0.1, 0.3], [1, 1.6], [3.5, 2.8], [6.5, 1.8], [7.6, 0.5], [8, 0.55]],
+      bottom: [[0, 0], [0.1, -0.3], [1, -1.6], [3.5, -2.8], [6.5, -1.8], [7.6, -0.5], [8, -0.55]],
+      side:   [[0, 0, 0], [0.1, 0, 0.1], [1, 0, 0.35], [3.5, 0, 0.55], [6.5, 0, 0.3], [8, 0, 0.05]]
+    },
+    fins: {
+      tail:   [[8.8, -0.9], [10, -1.3], [9.6, 0], [10, 1.3], [8.8, 0.9]],
+      dorsal: [[1.5, 2.1], [2.5, 3.2], [5, 3], [7, 1.8], [7.5, 0.7]],
+      rect:   [[2, -2.3], [3, -3.3], [5.5, -3], [7, -1.8], [7.5, -0.7]],
+      pelvic: [[2, -1.4], [3, -2.4], [3.3, -1.6]]
+    },
+    size: 0.9,
+    color: '#3a8fd0',
+    pattern: { stripes: 9, stripeStrength: 0.8 },
+    waveAmplitude: 0.2,
+    swim: { speed: 0.6, separation: 1.2, alignment: 1.2, cohesion: 1.5 }
+  },
+
+  tetra: {
+    name: 'Tetra',
+    length: 10,
+    profile: {
+      top:    [[0, 0], [0.1, 0.15], [1, 0.6], [3.5, 1.1], [8, 0.4], [9.5, 0.35], [10, 0.45]],
+      bottom: [[0, 0], [0.1, -0.15], [0.5, -0.3], [4, -0.85], [8, -0.45], [9.5, -0.35], [10, -0.45]],
+      side:   [[0, 0, 0], [0.1, 0, 0.1], [1, 0, 0.3], [4, -0.1, 0.45], [8, 0, 0.2], [10, 0, 0.05]]
+    },
+    fins: {
+      tail:   [[10.8, -0.9], [12.3, -1.4], [11.8, 0], [12.3, 1.4], [10.8, 0.9]],
+      dorsal: [[4, 1.05], [4.3, 1.8], [4.8, 2.1], [5.8, 1.3], [6.3, 0.8]],
+      rect:   [[5.5, -0.7], [6.5, -1.4], [8, -0.5]],
+      pelvic: [[3, -0.75], [3.8, -1.5], [4.1, -0.85]]
+    },
+    size: 0.45,
+    color: '#d8323c',
+    pattern: { stripes: 3, stripeStrength: 0.5 },
+    waveAmplitude: 0.45,
+    swim: { speed: 1.4, separation: 0.6, alignment: 2, cohesion: 2 }
+  },
+
+  shark: {
+    name: 'Shark',
+    role: 'predator',
+    length: 10,
+    profile: {
+      top:    [[0, 0], [0.1, 0.1], [1, 0.55], [3.5, 1], [8, 0.45], [9.5, 0.3], [10, 0.35]],
+      bottom: [[0, 0], [0.1, -0.12], [0.6, -0.35], [4, -0.8], [8, -0.4], [9.5, -0.3], [10, -0.35]],
+      side:   [[0, 0, 0], [0.1, 0, 0.12], [1, 0, 0.4], [4, -0.1, 0.55], [8, 0, 0.22], [10, 0, 0.06]]
+    },
+    fins: {
+      tail:   [[10.8, -0.6], [12, -1.4], [11.5, 0], [12.8, 2.2], [10.8, 0.8]],
+      dorsal: [[3, 0.95], [3.6, 2.2], [4.1, 2.6], [4.8, 1.4], [5.5, 0.85]],
+      rect:   [[7, -0.5], [7.5, -0.9], [8, -0.45]],
+      pelvic: [[2.2, -0.6], [3.8, -2], [4.2, -0.75]]
+    },
+    size: 2.2,
+    color: '#7d8a96',
+    pattern: { stripes: 2, stripeStrength: 0.2 },
+    waveAmplitude: 0.3,
+    swim: { speed: 1.1, separation: 1, alignment: 0, cohesion: 0 }
+  }
+};
+
+export const PREDATOR_SPECIES = 'shark';
+
+export function getSpecies(id) {
+  return SPECIES[id] || SPECIES[DEFAULT_SPECIES];
+}
@@ -0,0 +1,111 @@
+import { describe, it, expect } from 'vitest';
+import * as THREE from 'three';
+import { WaterCurrent, createCurrentArrows } from '../current.js';
+import { createRandom } from '../random.js';
+
+const BOUNDS = new THREE.Box3(new THREE.Vector3(-10, -5, -8), new THREE.Vector3(10, 5, 8));
+
+function makeCurrent(params = {}, equipment = []) {
+  return new WaterCurrent({
+    currentDirection: 0, currentStrength: 0, currentTurbulence: 0,
+    ...params
+  }, { bounds: BOUNDS, equipment, random: createRandom(4) });
+}
+
+describe('WaterCurrent', () => {
+  it('flows along currentDirection at currentStrength', () => {
+    const current = makeCurrent({ currentDirection: 90, currentStrength: 0.5 });
+    const flow = current.sample(new THREE.Vector3(1, 2, -3), 7);
+    expect(flow.x).toBeCloseTo(0, 9);
+    expect(flow.y).toBe(0);
+    expect(flow.z).toBeCloseTo(0.2, 9);
+    expect(makeCurrent().sample(new THREE.Vector3(), 0).length()).toBe(0);
+  });
+
+  it('swirls without making or losing water', () => {
+    const current = makeCurrent({ currentStrength: 0.3, currentTurbulence: 1 });
+    const random = createRandom(9);
+    const h = 1e-4;
+    const a = new THREE.Vector3(), b = new THREE.Vector3();
+    let speed = 0;
+    for (let n = 0; n < 20; n++) {
+      const p = new THREE.Vector3(random.randFloatSpread(16), random.randFloatSpread(6), random.randFloatSpread(12));
+      const time = random.random() * 100;
+      let divergence = 0;
+      ['x', 'y', 'z'].forEach(axis => {
+        const q = p.clone();
+        q[axis] += h;
+        current.sample(q, time, a);
+        q[axis] -= 2 * h;
+        current.sample(q, time, b);
+        divergence += (a[axis] - b[axis]) / (2 * h);
+      });
+      expect(Math.abs(divergence)).toBeLessThan(1e-5);
+      speed += current.sample(p, time, a).sub(current.baseFlow()).length() / 20;
+    }
+    // and the eddies are there, at about TURBULENCE_SPEED
+    expect(speed).toBeGreaterThan(0.1);
+    expect(speed).toBeLessThan(1);
+  });
+
+  it('blows a widening, slowing jet out of each pump', () => {
+    const pump = { kind: 'pump', position: [-5, 0, 0], heading: 0, tilt: 0, strength: 1, enabled: true };
+    const current = makeCurrent({}, [pump]);
+    const at = (x, y, z) => current.sample(new THREE.Vector3(x, y, z), 0);
+
+    expect(at(-4.9, 0, 0).x).toBeGreaterThan(0.5);
+    expect(at(-4, 0, 0).x).toBeGreaterThan(at(0, 0, 0).x);
+    expect(at(0, 0, 0).x).toBeGreaterThan(0);
+    expect(at(-4, 0.5, 0).x).toBeLessThan(at(-4, 0, 0).x * 0.1); // outside the cone
+    expect(at(-6, 0, 0).length()).toBe(0);                       // behind the nozzle
+
+    // Momentum stays in the jet as it widens: speed * width is about constant
+    const flux = x => at(x, 0, 0).x * (0.1 + (x + 5) * 0.2);
+    expect(flux(3)).toBeCloseTo(flux(-3), 6);
+
+    pump.heading = 90;
+    pump.tilt = 30;
+    const aimed = at(-5, Math.sin(Math.PI / 6), Math.cos(Math.PI / 6)).normalize();
+    expect(aimed.distanceTo(new THREE.Vector3(0, 0.5, Math.cos(Math.PI / 6)))).toBeLessThan(1e-9);
+
+    pump.enabled = false;
+    expect(at(-4, 0, 0).length()).toBe(0);
+  });
+
+  it('draws the filtered water back in at the intake', () => {
+    const filter = {
+      kind: 'filter', position: [-9, 4, 0], heading: 0, tilt: 0, strength: 1, enabled: true, intake: [-9, -3, 0]
+    };
+    const current = makeCurrent({}, [filter]);
+    const pull = current.sample(new THREE.Vector3(-8, -3, 0), 0);
+    expect(pull.x).toBeLessThan(0);
+    expect(pull.y).toBeCloseTo(0, 9);
+    // Falls off with the distance squared
+    const far = current.sample(new THREE.Vector3(-7, -3, 0), 0);
+    expect(pull.x / far.x).toBeCloseTo(4, 6);
+    // and stays finite right at the intake
+    expect(Number.isFinite(current.sample(new THREE.Vector3(-9, -3, 0), 0).length())).toBe(true);
+  });
+
+  it('does not push into the glass', () => {
+    const current = makeCurrent({ currentStrength: 1 });
+    expect(current.sample(new THREE.Vector3(10, 0, 0), 0).x).toBe(0);
+    expect(current.sample(new THREE.Vector3(9.75, 0, 0), 0).x).toBeCloseTo(0.2, 9);
+    // but flows away from it freely
+    const reverse = makeCurrent({ currentStrength: 1, currentDirection: 180 });
+    expect(reverse.sample(new THREE.Vector3(10, 0, 0), 0).x).toBeCloseTo(-0.4, 9);
+  });
+
+  it('draws an arrow per grid point along the flow', () => {
+    const current = makeCurrent({ currentStrength: 1, currentDirection: 90 });
+    const { geometry, sync } = createCurrentArrows(current, BOUNDS, { counts: [2, 1, 2] });
+    sync(0);
+    const position = geometry.attributes.position;
+    expect(position.count).toBe(4 * 6);
+    const origin = new THREE.Vector3().fromBufferAttribute(position, 0);
+    const tip    = new THREE.Vector3().fromBufferAttribute(position, 1);
+    expect(origin.toArray()).toEqual([-5, 0, -4]);
+    expect(tip.x).toBeCloseTo(-5, 6);
+    expect(tip.z).toBeCloseTo(-4 + 0.8, 6);
+  });
+});
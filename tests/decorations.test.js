@@ -0,0 +1,230 @@
+import { describe, it, expect, vi } from 'vitest';
+import * as THREE from 'three';
+import { ASSETS, sceneAssets, loadAssets, assetMaterial, createProps } from '../decorations.js';
+import { ObstacleSet } from '../obstacles.js';
+import { SandTerrain } from '../sand.js';
+import { Sediment } from '../sediment.js';
+import { parseScene } from '../scene.js';
+import { createRandom } from '../random.js';
+import defaultScene from '../scenes/default.json';
+
+const SAND = -4;
+const UP = new THREE.Vector3(0, 1, 0);
+
+// Like a loaded file: a 2 x 1 x 2 box off the origin, optionally with a
+// collider empty just above its top
+function fakeGltf({ collider = false } = {}) {
+  const material = new THREE.MeshStandardMaterial({ name: 'stone', map: new THREE.Texture() });
+  const box = new THREE.Mesh(new THREE.BoxGeometry(2, 1, 2), material);
+  box.name = 'rock';
+  box.position.set(5, 3, 0);
+  const scene = new THREE.Group();
+  scene.add(box);
+  if (collider) {
+    const empty = new THREE.Object3D();
+    empty.name = 'Collider.top';
+    empty.position.set(5, 4, 0);
+    empty.scale.setScalar(0.25);
+    scene.add(empty);
+  }
+  return { scene };
+}
+
+// A minimal glTF file holding one empty node per name, as a data: URL
+function gltfUrl(...names) {
+  const json = {
+    asset: { version: '2.0' },
+    scene: 0,
+    scenes: [{ nodes: names.map((name, i) => i) }],
+    nodes: names.map(name => ({ name }))
+  };
+  return `data:model/gltf+json;base64,${Buffer.from(JSON.stringify(json)).toString('base64')}`;
+}
+
+function makeWorld(overrides = {}) {
+  return {
+    random: createRandom(7),
+    area: { halfX: 5, halfZ: 4 },
+    groundHeightAt: () => SAND,
+    normalAt: (x, z, target) => target.copy(UP),
+    obstacles: new ObstacleSet({ groundHeightAt: () => SAND }),
+    ...overrides
+  };
+}
+
+const asset = { url: 'rock.gltf', size: 1, sink: 0.2, collision: 'sphere' };
+
+describe('decorations', () => {
+  it('stands props on the sand, sunk and casting shadows, with a bounding sphere each', () => {
+    const world = makeWorld();
+    const { mesh, props } = createProps(fakeGltf(), asset, { count: 5, minScale: 2, maxScale: 2 }, world);
+    expect(props.length).toBe(5);
+    expect(mesh.children.length).toBe(5);
+
+    props.forEach(({ object, colliders }) => {
+      // Largest side 2 -> size 1 at scale 1, so 1 tall at scale 2, a fifth sunk
+      const bounds = new THREE.Box3().setFromObject(object);
+      expect(bounds.min.y).toBeCloseTo(SAND - 0.2);
+      expect(bounds.max.y).toBeCloseTo(SAND + 0.8);
+      expect(Math.abs(object.position.x)).toBeLessThanOrEqual(5);
+      expect(Math.abs(object.position.z)).toBeLessThanOrEqual(4);
+      object.traverse(child => {
+        if (child.isMesh) expect(child.castShadow && child.receiveShadow).toBe(true);
+      });
+
+      expect(colliders.length).toBe(1);
+      expect(colliders[0].radius).toBeCloseTo(1.5); // half the box's diagonal
+      expect(colliders[0].center.y).toBeCloseTo(SAND + 0.3);
+    });
+    expect(world.obstacles.spheres.length).toBe(5);
+    expect(world.obstacles.spheres[0].center).toBe(props[0].colliders[0].center);
+  });
+
+  it('uses collider nodes instead of the bounding sphere and hides them', () => {
+    const world = makeWorld();
+    const { props } = createProps(fakeGltf({ collider: true }), { ...asset, sink: 0 }, { count: 2, minScale: 1, maxScale: 1 }, world);
+    props.forEach(({ object, colliders }) => {
+      expect(object.getObjectByName('Collider.top').visible).toBe(false);
+      // The collider doesn't count toward the size
+      expect(new THREE.Box3().setFromObject(object, true).max.y).toBeCloseTo(SAND + 0.5);
+      expect(colliders.length).toBe(1);
+      expect(colliders[0].radius).toBeCloseTo(0.125);
+      expect(colliders[0].center.x).toBeCloseTo(object.position.x);
+      expect(colliders[0].center.y).toBeCloseTo(SAND + 0.75);
+    });
+    expect(world.obstacles.spheres.length).toBe(2);
+  });
+
+  it('places only the named node of a file holding several models', () => {
+    const gltf = fakeGltf();
+    const log = new THREE.Mesh(new THREE.BoxGeometry(4, 0.5, 1), new THREE.MeshStandardMaterial());
+    log.name = 'log';
+    log.position.set(-5, 1, 2);
+    gltf.scene.add(log);
+
+    const { props } = createProps(gltf, { ...asset, node: 'log', sink: 0 }, { count: 2, minScale: 2, maxScale: 2 }, makeWorld());
+    props.forEach(({ object }) => {
+      expect(object.getObjectByName('rock')).toBeUndefined();
+      // Largest side 4 -> size 1 at scale 1, so 0.25 tall at scale 2
+      const bounds = new THREE.Box3().setFromObject(object);
+      expect(bounds.min.y).toBeCloseTo(SAND);
+      expect(bounds.max.y).toBeCloseTo(SAND + 0.25);
+    });
+    expect(() => createProps(gltf, { ...asset, node: 'castle' }, { count: 1, minScale: 1, maxScale: 1 }, makeWorld()))
+      .toThrow(/rock\.gltf: no node named "castle"/);
+  });
+
+  it('registers nothing for props without collision', () => {
+    const world = makeWorld();
+    createProps(fakeGltf(), { ...asset, collision: 'none' }, { count: 3, minScale: 1, maxScale: 1 }, world);
+    expect(world.obstacles.spheres.length).toBe(0);
+  });
+
+  it('settles props into the sand, their colliders going along', () => {
+    const terrain = new SandTerrain({ width: 12, depth: 10, resX: 25, resZ: 21, y: SAND });
+    const sediment = new Sediment(terrain, {
+      currentDirection: 0, currentStrength: 0, rippleRate: 0, reposeAngle: 32, sinkRate: 1
+    }, { floorY: SAND - 1 });
+    const world = makeWorld({ sediment });
+    const { props, sync } = createProps(fakeGltf(), asset, { count: 3, minScale: 2, maxScale: 2 }, world);
+    expect(sediment.bodies.length).toBe(3);
+
+    for (let i = 0; i < 600; i++) {
+      sediment.step(1 / 60);
+      sync();
+    }
+    props.forEach(({ object, colliders }) => {
+      // A fifth of its height (1) further down, the collider as high above it
+      expect(object.position.y).toBeCloseTo(SAND - 0.2 - 0.2, 2);
+      expect(colliders[0].center.y - object.position.y).toBeCloseTo(0.5, 5);
+    });
+    expect(world.obstacles.spheres[0].center).toBe(props[0].colliders[0].center);
+  });
+
+  it('keeps clear of obstacles already in the tank', () => {
+    const world = makeWorld();
+    world.obstacles.addSphere(new THREE.Vector3(0, SAND, 0), 3);
+    const { props } = createProps(fakeGltf(), asset, { count: 10, minScale: 0.5, maxScale: 0.5 }, world);
+    props.forEach(({ object }) => {
+      expect(Math.hypot(object.position.x, object.position.z)).toBeGreaterThan(3);
+    });
+  });
+
+  it('sets up each material once, for every copy, leaving the file alone', () => {
+    const gltf = fakeGltf();
+    const original = gltf.scene.children[0].material;
+    let calls = 0;
+    const setupMaterial = material => {
+      calls++;
+      material.userData.setUp = true;
+      return material;
+    };
+    const { props } = createProps(gltf, asset, { count: 3, minScale: 1, maxScale: 1 }, makeWorld({ setupMaterial }));
+    expect(calls).toBe(1);
+    const materials = props.map(({ object }) => object.getObjectByName('rock').material);
+    expect(materials[0].userData.setUp).toBe(true);
+    expect(materials[1]).toBe(materials[0]);
+    expect(original.userData.setUp).toBeUndefined();
+  });
+
+  it('takes a tiling copy of a material from its file', () => {
+    const gltf = fakeGltf();
+    const original = gltf.scene.children[0].material;
+    const material = assetMaterial(gltf, { url: 'rock.gltf', material: 'stone', repeat: [4, 2] });
+    expect(material).not.toBe(original);
+    expect(material.map).not.toBe(original.map);
+    expect(material.map.wrapS).toBe(THREE.RepeatWrapping);
+    expect(material.map.repeat.toArray()).toEqual([4, 2]);
+    expect(original.map.repeat.toArray()).toEqual([1, 1]);
+    expect(() => assetMaterial(gltf, { url: 'rock.gltf', material: 'marble' })).toThrow(/no material named "marble"/);
+  });
+
+  it('loads assets from several files, each file once', async () => {
+    // Node has fetch but not the ProgressEvent three's FileLoader reports with
+    vi.stubGlobal('ProgressEvent', class extends Event {
+      constructor(type, { lengthComputable = false, loaded = 0, total = 0 } = {}) {
+        super(type);
+        Object.assign(this, { lengthComputable, loaded, total });
+      }
+    });
+    const fetch = vi.spyOn(globalThis, 'fetch');
+    const progress = [];
+    Object.assign(ASSETS, {
+      testRock:   { name: 'Rock', url: gltfUrl('rock', 'log'), node: 'rock' },
+      testLog:    { name: 'Log', url: gltfUrl('rock', 'log'), node: 'log' },
+      testCastle: { name: 'Castle', url: gltfUrl('castle') }
+    });
+    try {
+      const assets = await loadAssets(['testRock', 'testLog', 'testCastle'], {
+        onProgress: (loaded, total) => progress.push([loaded, total])
+      });
+      expect(fetch).toHaveBeenCalledTimes(2);
+      expect(assets.testLog).toBe(assets.testRock);
+      expect(assets.testLog.scene.getObjectByName('log')).toBeDefined();
+      expect(assets.testCastle.scene.getObjectByName('castle')).toBeDefined();
+      const [loaded, total] = progress.at(-1);
+      expect(loaded).toBe(total);
+    } finally {
+      ['testRock', 'testLog', 'testCastle'].forEach(id => delete ASSETS[id]);
+      fetch.mockRestore();
+      vi.unstubAllGlobals();
+    }
+  });
+
+  it('checks scene props and materials against the manifest', () => {
+    const scene = structuredClone(defaultScene);
+    expect(sceneAssets(parseScene(scene, defaultScene))).toEqual(['gravellySand', 'sandBoulder']);
+
+    scene.decorations.props = [{ asset: 'castle', count: 1, minScale: 1, maxScale: 1 }];
+    expect(() => parseScene(scene, defaultScene)).toThrow(/decorations\.props\[0\]\.asset: expected one of/);
+    scene.decorations.props = [{ asset: 'sandBoulder', count: 1, minScale: 2, maxScale: 1 }];
+    expect(() => parseScene(scene, defaultScene)).toThrow(/minScale is larger than maxScale/);
+    scene.decorations.props = [];
+    scene.substrate.material = 'sandBoulder';
+    expect(() => parseScene(scene, defaultScene)).toThrow(/substrate\.material/);
+    // Plain sand, as long as no defaults fill the material in
+    delete scene.substrate.material;
+    expect(sceneAssets(parseScene(scene))).toEqual([]);
+    expect(ASSETS.gravellySand.material).toBe('gravelly_sand');
+  });
+});
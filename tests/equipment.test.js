@@ -0,0 +1,81 @@
+import { describe, it, expect } from 'vitest';
+import * as THREE from 'three';
+import { createEquipment, snapEquipment, BubbleStreams } from '../equipment.js';
+import { parseScene } from '../scene.js';
+import { createRandom } from '../random.js';
+import defaultScene from '../scenes/default.json';
+
+const BOUNDS = new THREE.Box3(new THREE.Vector3(-10, -5, -8), new THREE.Vector3(10, 5, 8));
+const SAND = -4.2;
+const world = { bounds: BOUNDS, groundHeightAt: x => SAND + x * 0.05 };
+
+const airStone = (x, z, strength = 2) => (
+  { kind: 'airStone', position: [x, 0, z], heading: 0, tilt: 0, strength, enabled: true }
+);
+
+describe('equipment', () => {
+  it('snaps onto the sand or the nearest wall', () => {
+    // Air stones always go down onto the sand
+    const stone = snapEquipment(airStone(9.95, 3), world);
+    expect(stone.position[0]).toBeCloseTo(9.9);
+    expect(stone.position[1]).toBeCloseTo(SAND + 9.9 * 0.05 + 0.1);
+    expect(stone.position[2]).toBe(3);
+
+    // Pumps go to whichever surface is closest
+    const pump = { kind: 'pump', position: [2, 0, 7.5], heading: 0, tilt: 0, strength: 1, enabled: true };
+    expect(snapEquipment(pump, world).position).toEqual([2, 0, 7.9]);
+    pump.position = [2, -3.9, 0];
+    expect(snapEquipment(pump, world).position[1]).toBeCloseTo(SAND + 0.1 + 0.1);
+    pump.position = [40, -40, 0];
+    expect(snapEquipment(pump, world).position[0]).toBeCloseTo(9.9);
+    expect(pump.position[1]).toBeGreaterThan(SAND);
+
+    // New filters hang on the -x wall, intake below the outlet
+    const filter = createEquipment('filter', world);
+    expect(filter.position[0]).toBeCloseTo(-9.9);
+    expect(filter.intake[0]).toBeCloseTo(-9.9);
+    expect(filter.intake[1]).toBeLessThan(filter.position[1]);
+    expect(filter.intake[1]).toBeGreaterThan(world.groundHeightAt(-9.9));
+  });
+
+  it('only bubbles from enabled air stones, at their strength', () => {
+    const stones = [airStone(-2, 0, 2), airStone(3, 1, 0.5)];
+    const off = { ...airStone(0, 0, 5), enabled: false };
+    const pump = { kind: 'pump', position: [0, 0, 0], heading: 0, tilt: 0, strength: 5, enabled: true };
+    const streams = new BubbleStreams([...stones, off, pump], { max: 1000, surfaceY: 100, random: createRandom(1) });
+    for (let i = 0; i <= 60 * 4; i++) streams.step(1 / 60); // just over 4 s
+    const near = ([x, , z]) => streams.bubbles.filter(b => Math.hypot(b.position.x - x, b.position.z - z) < 0.1).length;
+    expect(near(stones[0].position)).toBe(8);
+    expect(near(stones[1].position)).toBe(2);
+    expect(streams.bubbles).toHaveLength(10);
+  });
+
+  it('rises, drifts with the current and pops at the surface', () => {
+    const stone = airStone(0, 0, 1);
+    stone.position[1] = -4;
+    const streams = new BubbleStreams([stone], {
+      max: 3,
+      surfaceY: 0,
+      current: (position, target) => target.set(0.2, 0, 0),
+      random: createRandom(2)
+    });
+    const pops = [];
+    for (let i = 0; i < 60 * 40; i++) {
+      streams.step(1 / 60, position => pops.push(position.clone()));
+      expect(streams.bubbles.length).toBeLessThanOrEqual(3);
+    }
+    expect(pops.length).toBeGreaterThan(3);
+    pops.forEach(position => {
+      expect(position.y).toBeGreaterThanOrEqual(0);
+      expect(position.x).toBeGreaterThan(1); // carried downstream on the way up
+    });
+  });
+
+  it('needs an intake on every filter in a scene', () => {
+    const scene = structuredClone(defaultScene);
+    scene.equipment = [{ kind: 'filter', position: [0, 0, 0], heading: 0, tilt: 0, strength: 1, enabled: true }];
+    expect(() => parseScene(scene, defaultScene)).toThrow(/filter needs an intake/);
+    scene.equipment[0].intake = [0, -3, 0];
+    expect(parseScene(scene, defaultScene).equipment[0].intake).toEqual([0, -3, 0]);
+  });
+});
@@ -0,0 +1,86 @@
+import { describe, it, expect } from 'vitest';
+import * as THREE from 'three';
+import { createFishPopulation } from '../fishPopulation.js';
+import { FlockSimulation } from '../flock.js';
+import { createRandom } from '../random.js';
+
+const DT = 1 / 60;
+const UP = new THREE.Vector3(0, 1, 0);
+
+function makePopulation(count) {
+  const params = { fishSpeed: 2, flockRadius: 3, separationDist: 1, fishColor: '#ff8800', speciesMix: { goldfish: 1 } };
+  const flock = new FlockSimulation(params, { halfX: 9, halfY: 4, halfZ: 7 }, { random: createRandom(1) });
+  const population = createFishPopulation(new THREE.Scene(), flock, params, { maxFish: 10, scale: 0.2 });
+  population.setCount(count);
+  return population;
+}
+
+// Drives every fish with velocity(fish index, seconds) for `seconds`
+function swim(population, seconds, velocity) {
+  for (let i = 1; i <= Math.round(seconds / DT); i++) {
+    population.fishData.forEach((fish, k) => fish.state.velocity.copy(velocity(k, i * DT)));
+    population.sync(DT);
+  }
+}
+
+describe('fish locomotion', () => {
+  it('beats the tail faster the faster a fish swims', () => {
+    const population = makePopulation(2);
+    const speeds = [0.5, 3];
+    swim(population, 1, k => new THREE.Vector3(-speeds[k], 0, 0));
+    const beats = population.fishData.map(({ swim: s }) => {
+      const before = s.phase;
+      population.sync(DT);
+      // IDLE_BEAT + STRIDE * speed / body length
+      return (((s.phase - before + Math.PI * 2) % (Math.PI * 2)) / DT / s.beatScale - 2) * s.bodyLength / 4;
+    });
+    expect(beats[0]).toBeCloseTo(speeds[0], 5);
+    expect(beats[1]).toBeCloseTo(speeds[1], 5);
+
+    const [fish] = population.fishData;
+    const swimAttr = fish.school.mesh.geometry.attributes.fishSwim;
+    expect(swimAttr.getX(fish.index)).toBeCloseTo(fish.swim.phase, 5);
+  });
+
+  it('sweeps the tail wider while speeding up than while cruising', () => {
+    const population = makePopulation(2);
+    swim(population, 2, (k, t) => new THREE.Vector3(k === 0 ? -1 : -1 - 3 * t, 0, 0));
+    const [cruising, sprinting] = population.fishData.map(fish => fish.swim.amplitude);
+    expect(cruising).toBeCloseTo(0.7, 2);
+    expect(sprinting).toBeGreaterThan(cruising + 0.15);
+  });
+
+  it('bends and banks into a turn', () => {
+    const population = makePopulation(2);
+    // Circling left (counter-clockwise from above) and right at 1 rad/s
+    swim(population, 2, (k, t) => {
+      const angle = (k === 0 ? 1 : -1) * t;
+      return new THREE.Vector3(-Math.cos(angle), 0, Math.sin(angle)).multiplyScalar(2);
+    });
+    const [left, right] = population.fishData;
+    expect(left.swim.yawRate).toBeCloseTo(1, 2);
+    expect(left.swim.bend).toBeGreaterThan(0);
+    expect(right.swim.bend).toBeCloseTo(-left.swim.bend, 5);
+
+    // The fish's back leans toward the centre of the circle
+    [left, right].forEach(fish => {
+      const heading = fish.state.velocity.clone().normalize();
+      const inside = new THREE.Vector3().crossVectors(UP, heading).multiplyScalar(Math.sign(fish.swim.yawRate));
+      const back = UP.clone().applyQuaternion(fish.quaternion);
+      expect(back.dot(inside)).toBeGreaterThan(0.2);
+      expect(back.dot(heading)).toBeCloseTo(0, 1);
+    });
+  });
+
+  it('swims straight and level without bending', () => {
+    const population = makePopulation(1);
+    swim(population, 2, () => new THREE.Vector3(1, 0, 1));
+    const [fish] = population.fishData;
+    expect(fish.swim.bend).toBeCloseTo(0, 3);
+    expect(fish.swim.bank).toBeCloseTo(0, 3);
+    expect(UP.clone().applyQuaternion(fish.quaternion).y).toBeCloseTo(1, 2);
+    // Head first: the body's -x follows the velocity
+    const nose = new THREE.Vector3(-1, 0, 0).applyQuaternion(fish.quaternion);
+    expect(nose.dot(new THREE.Vector3(1, 0, 1).normalize())).toBeCloseTo(1, 2);
+  });
+});
@@ -0,0 +1,124 @@
+import { describe, it, expect } from 'vitest';
+import * as THREE from 'three';
+import { createFishRig, createRiggedSchool } from '../fishRig.js';
+import { FlockSimulation } from '../flock.js';
+import { createRandom } from '../random.js';
+import { SPECIES } from '../species.js';
+import { MAX_AMPLITUDE } from '../locomotion.js';
+
+const DT = 1 / 60;
+
+// The rig posed by one clip at `time` (seconds into it)
+function pose(rig, name, time) {
+  const mixer = new THREE.AnimationMixer(rig.scene);
+  const action = mixer.clipAction(rig.animations.find(clip => clip.name === name)).play();
+  action.time = time;
+  mixer.update(0);
+  rig.scene.updateMatrixWorld(true);
+  return rig.skeleton.bones.map(bone => bone.getWorldPosition(new THREE.Vector3()));
+}
+
+function makeFlock(count) {
+  const params = {
+    fishSpeed: 2, turnSpeed: 1.5, separationDist: 1, separationStrength: 2,
+    alignmentStrength: 1, cohesionStrength: 1, flockRadius: 3
+  };
+  const flock = new FlockSimulation(params, { halfX: 9, halfY: 4, halfZ: 7 }, { random: createRandom(3) });
+  for (let i = 0; i < count; i++) flock.respawnFish(flock.addFish({ radius: 0.5 + i * 0.1 }));
+  return flock;
+}
+
+describe('fish rig', () => {
+  it('skins the procedural body to a chain of bones from head to tail', () => {
+    const rig = createFishRig(SPECIES.goldfish, { bones: 10 });
+    const { geometry } = rig.mesh;
+    const { bones } = rig.skeleton;
+    expect(bones).toHaveLength(10);
+    expect(geometry.attributes.parts).toBeUndefined();
+
+    rig.scene.updateMatrixWorld(true);
+    expect(bones[0].getWorldPosition(new THREE.Vector3()).x).toBe(0);
+    expect(bones[9].getWorldPosition(new THREE.Vector3()).x).toBeCloseTo(geometry.boundingBox.max.x, 5);
+
+    const { skinIndex, skinWeight } = geometry.attributes;
+    for (let i = 0; i < skinIndex.count; i++) {
+      expect(skinWeight.getX(i) + skinWeight.getY(i)).toBeCloseTo(1, 6);
+      expect(skinIndex.getY(i)).toBeLessThan(10);
+    }
+  });
+
+  it('bakes the shader tail wave into the swim clip', () => {
+    const species = SPECIES.goldfish;
+    const rig = createFishRig(species);
+    const length = rig.mesh.geometry.boundingBox.max.x;
+    const step = length / (rig.skeleton.bones.length - 1);
+    [0, 0.25, 0.6].forEach(time => {
+      const phase = time * Math.PI * 2;
+      pose(rig, 'swim', time).forEach((joint, j) => {
+        const x = j * step;
+        const expected = Math.sin(x - phase) * species.waveAmplitude * MAX_AMPLITUDE * (x / length) ** 2;
+        expect(joint.z).toBeCloseTo(expected, 1);
+      });
+    });
+  });
+
+  it('bends the tail to the left for turnLeft and right for turnRight', () => {
+    const rig = createFishRig(SPECIES.tetra);
+    const left  = pose(rig, 'turnLeft', 0);
+    const right = pose(rig, 'turnRight', 0);
+    const tip = left.length - 1;
+    // The fish faces -x with its back up, so its left is +z
+    expect(left[tip].z).toBeGreaterThan(0.5);
+    expect(right[tip].z).toBeCloseTo(-left[tip].z, 5);
+    expect(left[0].z).toBe(0);
+  });
+
+  it('swims a skinned fish for every fish in the flock', () => {
+    const flock = makeFlock(3);
+    const rig = createFishRig(SPECIES.goldfish);
+    const school = createRiggedSchool(flock, () => rig);
+    for (let i = 0; i < 60; i++) {
+      flock.step(DT);
+      school.sync(DT);
+    }
+    expect(school.group.children).toHaveLength(3);
+    flock.fish.forEach(state => {
+      const { object, actions } = school.fishes.get(state);
+      expect(object.position.toArray()).toEqual(state.position.toArray());
+      // Scaled to the fish's radius
+      const radius = new THREE.Box3().setFromBufferAttribute(rig.mesh.geometry.attributes.position)
+        .getBoundingSphere(new THREE.Sphere()).radius;
+      expect(object.scale.x * radius).toBeCloseTo(state.radius, 5);
+      expect(Object.keys(actions).sort()).toEqual(['idle', 'swim', 'turnLeft', 'turnRight']);
+    });
+
+    // Turned along its velocity after a while
+    const [state] = flock.fish;
+    const { object } = school.fishes.get(state);
+    const nose = new THREE.Vector3(-1, 0, 0).applyQuaternion(object.quaternion);
+    expect(nose.dot(state.velocity.clone().normalize())).toBeGreaterThan(0.8);
+
+    flock.removeFish(state);
+    school.sync(DT);
+    expect(school.group.children).toHaveLength(2);
+    expect(school.fishes.has(state)).toBe(false);
+  });
+
+  it('swims any skinned model with its first clip and its own forward axis', () => {
+    const flock = makeFlock(1);
+    // A +z facing model whose only clip has some other name
+    const rig = createFishRig(SPECIES.eel);
+    rig.scene.rotation.y = -Math.PI / 2;
+    const model = { scene: new THREE.Group().add(rig.scene), animations: [rig.animations[0].clone()] };
+    model.animations[0].name = 'Armature|Swim';
+    const school = createRiggedSchool(flock, () => model, { forward: new THREE.Vector3(0, 0, 1) });
+    school.sync(DT);
+    const [state] = flock.fish;
+    const { object, actions } = school.fishes.get(state);
+    expect(Object.keys(actions)).toEqual(['swim']);
+    // The model's +z ends up along the fish's -x
+    const inner = object.children[0];
+    const head = new THREE.Vector3(0, 0, 1).applyQuaternion(inner.quaternion);
+    expect(head.x).toBeCloseTo(-1, 5);
+  });
+});
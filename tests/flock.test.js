@@ -0,0 +1,242 @@
+import { describe, it, expect } from 'vitest';
+import * as THREE from 'three';
+import { FlockSimulation } from '../flock.js';
+import { FoodSystem } from '../food.js';
+import { createRandom } from '../random.js';
+import { SandTerrain } from '../sand.js';
+import { ObstacleSet } from '../obstacles.js';
+
+const BOUNDS = { halfX: 9, halfY: 4, halfZ: 7 };
+const DT = 1 / 60;
+
+function makeParams(overrides = {}) {
+  return {
+    fishSpeed: 2, turnSpeed: 1.5, separationDist: 1, separationStrength: 2,
+    alignmentStrength: 1, cohesionStrength: 1, flockRadius: 3,
+    viewDistance: 6, viewAngle: 120, chaseStrength: 3, chaseSpeed: 1.6,
+    catchDistance: 0.5, digestTime: 3, fleeRadius: 4, fleeStrength: 6, panicBoost: 1,
+    pelletsPerDrop: 8, autoFeedRate: 0, pelletNutrition: 0.25, pelletSight: 5,
+    eatDistance: 0.35, hungerRate: 0.03, hungerThreshold: 0.4, energyDrain: 0.02,
+    minEnergySpeed: 0.4, avoidStrength: 8, avoidDistance: 2,
+    ...overrides
+  };
+}
+
+function makeFlock(seed, { fish = 60, predators = 2, params = makeParams() } = {}) {
+  const random = createRandom(seed);
+  const flock = new FlockSimulation(params, BOUNDS, { random });
+  for (let i = 0; i < fish + predators; i++) {
+    const predator = i < predators;
+    flock.respawnFish(flock.addFish({ group: predator ? 'shark' : 'goldfish', role: predator ? 'predator' : 'prey' }));
+  }
+  return flock;
+}
+
+// bottom: lowest y allowed, feeding fish go below the box down to the sand
+function expectInside(flock, bottom = -BOUNDS.halfY) {
+  flock.fish.forEach(({ position }) => {
+    expect(Math.abs(position.x)).toBeLessThanOrEqual(BOUNDS.halfX);
+    expect(position.y).toBeLessThanOrEqual(BOUNDS.halfY);
+    expect(position.y).toBeGreaterThanOrEqual(bottom);
+    expect(Math.abs(position.z)).toBeLessThanOrEqual(BOUNDS.halfZ);
+  });
+}
+
+describe('FlockSimulation', () => {
+  it('keeps every fish inside halfX / halfY / halfZ', () => {
+    const flock = makeFlock(1);
+    for (let i = 0; i < 600; i++) {
+      flock.step(DT);
+      expectInside(flock);
+    }
+  });
+
+  it('keeps fish inside at high speed and with large steps', () => {
+    const flock = makeFlock(2, { params: makeParams({ fishSpeed: 10, panicBoost: 3 }) });
+    for (let i = 0; i < 200; i++) {
+      flock.step(0.1);
+      expectInside(flock);
+    }
+  });
+
+  it('keeps fish apart in a school denser than the neighbour cap', () => {
+    // Fish 0 in the middle of a ring of 40 schoolmates, all in one grid cell,
+    // and a fish of another species half a body length away, found last
+    const centre = new THREE.Vector3(1.5, 0.5, 0.5);
+    const accelerationOf = close => {
+      const flock = new FlockSimulation(makeParams(), BOUNDS, { random: createRandom(4) });
+      flock.addFish({ mass: 1, group: 'goldfish' }).position.copy(centre);
+      for (let i = 0; i < 40; i++) {
+        const angle = i / 40 * Math.PI * 2;
+        const fish = flock.addFish({ mass: 1, group: 'goldfish' });
+        fish.position.set(Math.cos(angle), 0, Math.sin(angle)).multiplyScalar(1.2).add(centre);
+      }
+      if (close) flock.addFish({ mass: 1, group: 'tetra' }).position.set(0.5, 0, 0).add(centre);
+      flock.step(DT);
+      return flock.fish[0].acceleration.clone();
+    };
+    // separationStrength * (separationDist - 0.5), away from it
+    expect(accelerationOf(true).x - accelerationOf(false).x).toBeCloseTo(-1, 5);
+  });
+
+  it('keeps hungry fish chasing food inside', () => {
+    const params = makeParams({ autoFeedRate: 120, hungerRate: 1 });
+    const flock = makeFlock(3, { params });
+    flock.food = new FoodSystem(params, {
+      bounds: BOUNDS,
+      dropArea: { halfX: BOUNDS.halfX, halfZ: BOUNDS.halfZ },
+      surfaceY: BOUNDS.halfY + 1,
+      groundHeightAt: () => -BOUNDS.halfY - 0.5,
+      random: flock.random
+    });
+    for (let i = 0; i < 600; i++) {
+      flock.food.step(DT);
+      flock.step(DT);
+      expectInside(flock);
+    }
+    expect(flock.food.eaten).toBeGreaterThan(0);
+  });
+
+  it('picks pellets settled on sand below the box off its bottom', () => {
+    const params = makeParams({ hungerRate: 0 });
+    const flock = makeFlock(5, { fish: 20, predators: 0, params });
+    const sand = -BOUNDS.halfY - 0.8;
+    flock.food = new FoodSystem(params, {
+      bounds: BOUNDS,
+      dropArea: { halfX: BOUNDS.halfX, halfZ: BOUNDS.halfZ },
+      surfaceY: BOUNDS.halfY,
+      groundHeightAt: () => sand,
+      random: flock.random
+    });
+    flock.food.drop(new THREE.Vector3(2, BOUNDS.halfY, 1), 6);
+    while (!flock.food.pellets.every(pellet => pellet.settled)) flock.food.step(DT);
+    expect(flock.food.visible.length).toBe(6);
+
+    flock.fish.forEach(fish => { fish.hunger = 1; });
+    for (let i = 0; i < 60 * 20 && flock.food.pellets.length > 0; i++) {
+      flock.food.step(DT);
+      flock.step(DT);
+      expectInside(flock);
+    }
+    expect(flock.food.eaten).toBe(6);
+  });
+
+  it('dives for pellets settled on sand below the box, then rises back in', () => {
+    const params = makeParams({ hungerRate: 0 });
+    const flock = makeFlock(5, { fish: 20, predators: 0, params });
+    const sand = -BOUNDS.halfY - 0.8;
+    flock.groundHeightAt = () => sand;
+    flock.obstacles = new ObstacleSet({ groundHeightAt: () => sand });
+    flock.food = new FoodSystem(params, {
+      bounds: BOUNDS,
+      dropArea: { halfX: BOUNDS.halfX, halfZ: BOUNDS.halfZ },
+      surfaceY: BOUNDS.halfY,
+      groundHeightAt: () => sand,
+      random: flock.random
+    });
+    flock.food.drop(new THREE.Vector3(2, BOUNDS.halfY, 1), 6);
+    while (!flock.food.pellets.every(pellet => pellet.settled)) flock.food.step(DT);
+
+    flock.fish.forEach(fish => { fish.hunger = 1; });
+    let lowest = Infinity;
+    for (let i = 0; i < 60 * 20 && flock.food.pellets.length > 0; i++) {
+      flock.food.step(DT);
+      flock.step(DT);
+      expectInside(flock, sand);
+      flock.fish.forEach(({ position }) => { lowest = Math.min(lowest, position.y); });
+    }
+    expect(flock.food.eaten).toBe(6);
+    expect(lowest).toBeLessThan(-BOUNDS.halfY);
+
+    // Fed, they leave the sand for the box again
+    flock.fish.forEach(fish => { fish.hunger = 0; });
+    for (let i = 0; i < 60 * 5; i++) flock.step(DT);
+    expectInside(flock);
+  });
+
+  it('keeps fish above the ground', () => {
+    const flock = makeFlock(4);
+    // Sand sloping up from below the box to half its height
+    const sand = new SandTerrain({ width: 2 * BOUNDS.halfX, depth: 2 * BOUNDS.halfZ, resX: 19, resZ: 15 });
+    sand.shape((x, z) => -BOUNDS.halfY - 1 + (x + BOUNDS.halfX) * 0.3 + Math.sin(z) * 0.3);
+    flock.groundHeightAt = (x, z) => sand.heightAt(x, z);
+    flock.fish.forEach(fish => flock.respawnFish(fish));
+    for (let i = 0; i < 600; i++) {
+      flock.step(DT);
+      expectInside(flock);
+      flock.fish.forEach(({ position }) => expect(position.y).toBeGreaterThan(sand.heightAt(position.x, position.z)));
+    }
+  });
+
+  it('lets the current carry fish and pellets along', () => {
+    const flow = (position, target) => target.set(0.5, 0, 0);
+    const swim = current => {
+      const flock = makeFlock(5, { fish: 1, predators: 0 });
+      const [fish] = flock.fish;
+      fish.position.set(0, 0, 0);
+      fish.target.set(0, 0, 6);
+      fish.velocity.set(0, 0, 2);
+      flock.current = current;
+      for (let i = 0; i < 30; i++) flock.step(DT);
+      return fish.position;
+    };
+    expect(swim(flow).x - swim(null).x).toBeCloseTo(0.25, 2);
+
+    const food = new FoodSystem(makeParams(), {
+      bounds: BOUNDS,
+      dropArea: { halfX: 1, halfZ: 1 },
+      surfaceY: BOUNDS.halfY,
+      groundHeightAt: () => -BOUNDS.halfY,
+      current: flow,
+      random: createRandom(6)
+    });
+    food.drop(new THREE.Vector3(0, 0, 0));
+    for (let i = 0; i < 60 * 20; i++) food.step(DT);
+    // Sinking at 0.4 m/s from 4 m up takes about 10 s
+    food.pellets.forEach(pellet => {
+      expect(pellet.settled).toBe(true);
+      expect(pellet.position.x).toBeGreaterThan(4);
+    });
+  });
+
+  it('steers around a rock in its way instead of bumping into it', () => {
+    const flock = makeFlock(9, { fish: 1, predators: 0 });
+    const rock = new THREE.Vector3(0, 0, 0);
+    flock.obstacles = new ObstacleSet();
+    flock.obstacles.addSphere(rock, 1);
+    const [fish] = flock.fish;
+    fish.position.set(-6, 0, 0);
+    fish.target.set(6, 0, 0);
+    fish.velocity.set(2, 0, 0);
+    let closest = Infinity;
+    for (let i = 0; i < 60 * 10 && fish.position.x < 4; i++) {
+      flock.step(DT);
+      closest = Math.min(closest, fish.position.distanceTo(rock));
+    }
+    // Clear of the rock, not just pushed back onto its surface
+    expect(closest).toBeGreaterThan(1.05);
+    expect(fish.position.x).toBeGreaterThan(4);
+  });
+
+  it('picks targets outside obstacles', () => {
+    const flock = makeFlock(10, { fish: 20, predators: 0 });
+    flock.obstacles = new ObstacleSet();
+    const rock = flock.obstacles.addSphere(new THREE.Vector3(0, 0, 0), 3);
+    flock.fish.forEach(fish => {
+      for (let i = 0; i < 10; i++) {
+        flock.pickNewTarget(fish);
+        expect(fish.target.distanceTo(rock.center)).toBeGreaterThan(3);
+      }
+    });
+  });
+
+  it('replays exactly from the same seed', () => {
+    const run = seed => {
+      const flock = makeFlock(seed);
+      for (let i = 0; i < 300; i++) flock.step(DT);
+      return flock.fish.map(fish => fish.position.toArray());
+    };
+    expect(run(7)).toEqual(run(7));
+    expect(run(7)).not.toEqual(run(8));
+  });
+});
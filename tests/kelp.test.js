@@ -0,0 +1,183 @@
+import { describe, it, expect } from 'vitest';
+import * as THREE from 'three';
+import { createKelp, stepKelp, createKelpMesh } from '../kelp.js';
+
+const DT = 1 / 60;
+
+// Stands in for FlockSimulation: a few fish sweeping through the kelp
+function fakeFlock(fish) {
+  return {
+    queryNeighbors(position, radius, callback) {
+      fish.forEach(f => {
+        const distSq = f.position.distanceToSquared(position);
+        if (distSq <= radius * radius) callback(f, distSq);
+      });
+    }
+  };
+}
+
+function segmentLengths(plant) {
+  return plant.points.slice(1).map((p, i) => p.distanceTo(plant.points[i]));
+}
+
+const steadyCurrent = (x, z) => (position, time, target) => target.set(x, 0, z);
+
+describe('kelp rope', () => {
+  it('starts straight up with jointLength segments', () => {
+    const plant = createKelp(new THREE.Vector3(1, -4, 2), 2.5, 12);
+    expect(plant.points).toHaveLength(12);
+    expect(plant.jointLength).toBeCloseTo(2.5 / 11);
+    segmentLengths(plant).forEach(length => expect(length).toBeCloseTo(plant.jointLength, 6));
+    expect(plant.points[11].y).toBeCloseTo(-1.5);
+  });
+
+  it('keeps every segment at jointLength while fish push it around', () => {
+    const plant = createKelp(new THREE.Vector3(0, -4, 0), 2.5, 12);
+    const fish = [
+      { position: new THREE.Vector3(0.2, -3.5, 0), radius: 0.3 },
+      { position: new THREE.Vector3(-0.1, -2.5, 0.3) }
+    ];
+    const flock = fakeFlock(fish);
+    for (let i = 0; i < 600; i++) {
+      fish.forEach((f, k) => f.position.set(Math.sin(i * 0.05 + k) * 0.5, -4 + ((i * 0.01 + k) % 2.5), 0.1));
+      stepKelp(plant, DT, { time: i * DT, flock, current: steadyCurrent(0.3, 0) });
+      segmentLengths(plant).forEach(length => expect(length).toBeCloseTo(plant.jointLength, 5));
+      plant.points.forEach(p => expect(Number.isFinite(p.x + p.y + p.z)).toBe(true));
+    }
+  });
+
+  it('keeps the base fixed', () => {
+    const plant = createKelp(new THREE.Vector3(3, -4, -2), 2, 8);
+    plant.points[0].set(10, 10, 10);
+    for (let i = 0; i < 60; i++) stepKelp(plant, DT, { time: i * DT });
+    expect(plant.points[0].toArray()).toEqual([3, -4, -2]);
+  });
+
+  it('floats upright in still water and leans downstream in a current', () => {
+    const plant = createKelp(new THREE.Vector3(0, -4, 0), 2, 10);
+    plant.points.forEach((p, j) => p.set(j * 0.2, -4, 0)); // lying flat
+    plant.previous.forEach((p, j) => p.copy(plant.points[j]));
+    for (let i = 0; i < 600; i++) stepKelp(plant, DT);
+    expect(plant.points[9].y).toBeCloseTo(-2, 1);
+
+    for (let i = 0; i < 600; i++) stepKelp(plant, DT, { current: steadyCurrent(0, 1) });
+    const tip = plant.points[9];
+    expect(tip.z).toBeGreaterThan(0.5);
+    expect(tip.y).toBeGreaterThan(-4);
+  });
+
+  it('stays out of rocks, the floor and the walls', () => {
+    const plant = createKelp(new THREE.Vector3(0, -4, 0), 3, 12);
+    const rock = { center: new THREE.Vector3(0.8, -3, 0), radius: 0.5 };
+    const bounds = new THREE.Box3(new THREE.Vector3(-5, -4.5, -1.2), new THREE.Vector3(5, 5, 1.2));
+    const world = { obstacles: [rock], bounds, groundHeightAt: () => -4, current: steadyCurrent(2, 1.5) };
+    for (let i = 0; i < 600; i++) {
+      stepKelp(plant, DT, world);
+      plant.points.slice(1).forEach(p => {
+        expect(p.distanceTo(rock.center)).toBeGreaterThan(rock.radius - 0.02);
+        expect(p.y).toBeGreaterThanOrEqual(-4 - 1e-9);
+        expect(Math.abs(p.z)).toBeLessThanOrEqual(1.2);
+      });
+    }
+  });
+
+  it('stays out of arches', () => {
+    const plant = createKelp(new THREE.Vector3(0, -4, 0), 3, 12);
+    // A bar across the current, like the span of an arch
+    const points = [new THREE.Vector3(0.8, -3, -2), new THREE.Vector3(0.8, -3, 0), new THREE.Vector3(0.8, -3, 2)];
+    const arch = { points, radius: 0.3, bounds: new THREE.Sphere().setFromPoints(points) };
+    arch.bounds.radius += arch.radius;
+    const line = new THREE.Line3(points[0], points[2]);
+    const closest = new THREE.Vector3();
+    for (let i = 0; i < 600; i++) {
+      stepKelp(plant, DT, { chains: [arch], current: steadyCurrent(2, 0) });
+      plant.points.slice(1).forEach(p => {
+        expect(p.distanceTo(line.closestPointToPoint(p, true, closest))).toBeGreaterThan(arch.radius - 0.02);
+      });
+    }
+  });
+
+  it('gives the same rope whatever the frame rate', () => {
+    const run = (steps, dt) => {
+      const plant = createKelp(new THREE.Vector3(0, -4, 0), 2, 8);
+      for (let i = 0; i < steps; i++) stepKelp(plant, dt, { time: i * dt, current: steadyCurrent(0.5, 0) });
+      return plant.points[7];
+    };
+    // Substeps keep a 30 fps run within reach of a 120 fps one
+    expect(run(300, 1 / 30).distanceTo(run(1200, 1 / 120))).toBeLessThan(0.05);
+  });
+
+  it('updates the ribbon in place', () => {
+    const plant = createKelp(new THREE.Vector3(0, -4, 0), 2, 8);
+    const { geometry, sync } = createKelpMesh(plant, new THREE.MeshBasicMaterial());
+    const array = geometry.attributes.position.array;
+    for (let i = 0; i < 30; i++) stepKelp(plant, DT, { current: steadyCurrent(1, 0) });
+    sync();
+    expect(geometry.attributes.position.array).toBe(array);
+    // Each pair of vertices straddles its rope point
+    plant.points.forEach((p, j) => {
+      const left  = new THREE.Vector3().fromArray(array, j * 6);
+      const right = new THREE.Vector3().fromArray(array, j * 6 + 3);
+      expect(left.add(right).multiplyScalar(0.5).distanceTo(p)).toBeLessThan(1e-5);
+    });
+  });
+
+  it('carries the blade frame up a bent rope without flipping', () => {
+    const plant = createKelp(new THREE.Vector3(0, -4, 0), 2, 16);
+    // A rope curling over in a spiral
+    plant.points.forEach((p, j) => p.set(Math.sin(j * 0.3) * 0.4, -4 + j * 0.1, 1 - Math.cos(j * 0.3) * 0.4));
+    const { geometry } = createKelpMesh(plant, new THREE.MeshBasicMaterial());
+    const normal = geometry.attributes.normal;
+    for (let j = 0; j < 16; j++) {
+      const face = new THREE.Vector3().fromBufferAttribute(normal, j * 2);
+      const tangent = plant.points[Math.min(j + 1, 15)].clone().sub(plant.points[Math.max(j - 1, 0)]).normalize();
+      expect(face.length()).toBeCloseTo(1, 5);
+      expect(Math.abs(face.dot(tangent))).toBeLessThan(1e-5);
+      if (j > 0) expect(face.dot(new THREE.Vector3().fromBufferAttribute(normal, j * 2 - 2))).toBeGreaterThan(0.9);
+    }
+  });
+
+  it('faces the prevailing current and twists toward the tip', () => {
+    const plant = createKelp(new THREE.Vector3(0, -4, 0), 2, 8);
+    plant.flow.set(0, 0, -0.4);
+    const { geometry, sync } = createKelpMesh(plant, new THREE.MeshBasicMaterial(), { twist: Math.PI / 2 });
+    const normal = geometry.attributes.normal;
+    expect(Math.abs(normal.getZ(0))).toBeCloseTo(1, 5);
+    expect(Math.abs(normal.getX(7 * 2))).toBeCloseTo(1, 5);
+
+    // Turning the current turns the base, without flipping it over
+    const before = new THREE.Vector3().fromBufferAttribute(normal, 0);
+    plant.flow.set(0.3, 0, -0.3);
+    sync();
+    const after = new THREE.Vector3().fromBufferAttribute(normal, 0);
+    expect(after.dot(before)).toBeCloseTo(Math.SQRT1_2, 5);
+  });
+
+  it('learns the prevailing current while stepping', () => {
+    const plant = createKelp(new THREE.Vector3(0, -4, 0), 2, 8);
+    for (let i = 0; i < 60 * 20; i++) stepKelp(plant, DT, { current: steadyCurrent(0.5, 0) });
+    expect(plant.flow.x).toBeCloseTo(0.5, 2);
+  });
+
+  it('adds leaves in their own half of the texture', () => {
+    const plant = createKelp(new THREE.Vector3(0, -4, 0), 2, 10);
+    const { geometry } = createKelpMesh(plant, new THREE.MeshBasicMaterial(), { leaves: 3 });
+    const { uv, translucency, position } = geometry.attributes;
+    const bladeVertices = 10 * 2;
+    expect(position.count).toBe(bladeVertices + 3 * 5 * 2);
+    for (let i = 0; i < position.count; i++) {
+      if (i < bladeVertices) expect(uv.getX(i)).toBeLessThanOrEqual(0.5);
+      else expect(uv.getX(i)).toBeGreaterThanOrEqual(0.5);
+      expect(translucency.getX(i)).toBeGreaterThan(0);
+      expect(translucency.getX(i)).toBeLessThanOrEqual(1);
+    }
+    // The tip is part of the blade, with the thinnest stalk letting the most light through
+    expect(uv.getY(bladeVertices - 1)).toBe(1);
+    expect(translucency.getX(bladeVertices - 1)).toBeGreaterThan(translucency.getX(0));
+    // Leaves start at the blade's edge
+    const leafRoot = new THREE.Vector3().fromBufferAttribute(position, bladeVertices)
+      .add(new THREE.Vector3().fromBufferAttribute(position, bladeVertices + 1)).multiplyScalar(0.5);
+    const joint = plant.points.findIndex(p => Math.abs(p.y - leafRoot.y) < 0.01);
+    expect(joint).toBeGreaterThan(0);
+  });
+});
@@ -0,0 +1,111 @@
+import { describe, it, expect } from 'vitest';
+import * as THREE from 'three';
+import { ObstacleSet } from '../obstacles.js';
+
+const X = new THREE.Vector3(1, 0, 0);
+
+describe('ObstacleSet', () => {
+  it('hits padded spheres where the ray enters them', () => {
+    const obstacles = new ObstacleSet();
+    obstacles.addSphere(new THREE.Vector3(5, 0, 0), 1);
+    const hit = obstacles.raycast(new THREE.Vector3(0, 0, 0), X, 10, 0.5);
+    expect(hit.distance).toBeCloseTo(3.5);
+    expect(hit.normal.toArray()).toEqual([-1, 0, 0]);
+    expect(obstacles.raycast(new THREE.Vector3(0, 0, 0), X, 3, 0.5)).toBeNull();
+    expect(obstacles.raycast(new THREE.Vector3(0, 1.6, 0), X, 10, 0.5)).toBeNull();
+    // Starting inside is a hit right away
+    expect(obstacles.raycast(new THREE.Vector3(4.5, 0, 0), X, 10, 0).distance).toBe(0);
+  });
+
+  it('hits chains of capsules and follows them as they move', () => {
+    const obstacles = new ObstacleSet();
+    const points = [new THREE.Vector3(3, -2, 0), new THREE.Vector3(3, 0, 0), new THREE.Vector3(3, 2, 0)];
+    obstacles.addChain(points, 0.2);
+    const hit = obstacles.raycast(new THREE.Vector3(0, 1, 0), X, 10, 0.1);
+    expect(hit.distance).toBeCloseTo(2.7);
+    expect(hit.normal.x).toBeCloseTo(-1);
+
+    // Past the capsule's rounded top
+    expect(obstacles.raycast(new THREE.Vector3(0, 2.4, 0), X, 10, 0.1)).toBeNull();
+    expect(obstacles.raycast(new THREE.Vector3(0, 2.2, 0), X, 10, 0.1)).not.toBeNull();
+
+    // Swaying out of the way
+    points.forEach(p => { p.z = 2; });
+    obstacles.update();
+    expect(obstacles.raycast(new THREE.Vector3(0, 1, 0), X, 10, 0.1)).toBeNull();
+  });
+
+  it('hits padded convex hulls on the face the ray enters by', () => {
+    const obstacles = new ObstacleSet();
+    const center = new THREE.Vector3(5, 0, 0);
+    // A 2 x 2 x 2 box
+    const corners = [];
+    [-1, 1].forEach(x => [-1, 1].forEach(y => [-1, 1].forEach(z => corners.push(new THREE.Vector3(x, y, z)))));
+    const hull = obstacles.addHull(center, corners);
+    expect(hull.bounds.radius).toBeCloseTo(Math.sqrt(3));
+
+    const hit = obstacles.raycast(new THREE.Vector3(0, 0.5, 0), X, 10, 0.5);
+    expect(hit.distance).toBeCloseTo(3.5);
+    expect(hit.normal.x).toBeCloseTo(-1);
+    expect(obstacles.raycast(new THREE.Vector3(0, 1.6, 0), X, 10, 0.5)).toBeNull();
+    expect(obstacles.raycast(new THREE.Vector3(0, 0, 0), X, 3, 0.5)).toBeNull();
+    // Starting inside, out through the nearest face
+    const inside = obstacles.raycast(new THREE.Vector3(5, 0.8, 0), X, 10, 0);
+    expect(inside.distance).toBe(0);
+    expect(inside.normal.y).toBeCloseTo(1);
+
+    // Pushed out the shortest way, and following the hull as it sinks
+    const point = new THREE.Vector3(5.2, 0.7, 0.1);
+    const normal = new THREE.Vector3();
+    expect(obstacles.resolve(point, 0.1, normal)).toBe(true);
+    expect(point.y).toBeCloseTo(1.1);
+    expect(normal.y).toBeCloseTo(1);
+    center.y = -1;
+    obstacles.update();
+    expect(obstacles.contains(new THREE.Vector3(5, 0.5, 0), 0)).toBe(false);
+    expect(obstacles.contains(new THREE.Vector3(5, -1.5, 0), 0)).toBe(true);
+  });
+
+  it('hits the sand and faces its normal up the slope', () => {
+    // Rising 0.5 per unit along x from y = -2
+    const obstacles = new ObstacleSet({ groundHeightAt: x => -2 + 0.5 * x });
+    const hit = obstacles.raycast(new THREE.Vector3(0, 0, 0), X, 10, 0);
+    expect(hit.distance).toBeCloseTo(4, 1);
+    expect(hit.normal.x).toBeCloseTo(-0.5 / Math.sqrt(1.25));
+    expect(hit.normal.y).toBeCloseTo(1 / Math.sqrt(1.25));
+    expect(obstacles.raycast(new THREE.Vector3(0, 0, 0), X, 3, 0)).toBeNull();
+  });
+
+  it('reports the nearest of several hits', () => {
+    const obstacles = new ObstacleSet({ groundHeightAt: () => -10 });
+    obstacles.addSphere(new THREE.Vector3(8, 0, 0), 1);
+    obstacles.addChain([new THREE.Vector3(4, -1, 0), new THREE.Vector3(4, 1, 0)], 0.5);
+    expect(obstacles.raycast(new THREE.Vector3(0, 0, 0), X, 20, 0).distance).toBeCloseTo(3.5);
+  });
+
+  it('pushes points out of every shape onto its padded surface', () => {
+    const obstacles = new ObstacleSet({ groundHeightAt: () => 0 });
+    const center = new THREE.Vector3(0, 2, 0);
+    obstacles.addSphere(center, 1);
+    obstacles.addChain([new THREE.Vector3(5, 0, 0), new THREE.Vector3(5, 3, 0)], 0.5);
+
+    const inSphere = new THREE.Vector3(0.2, 2, 0);
+    const normal = new THREE.Vector3();
+    expect(obstacles.resolve(inSphere, 0.1, normal)).toBe(true);
+    expect(inSphere.distanceTo(center)).toBeCloseTo(1.1);
+    expect(normal.toArray()).toEqual([1, 0, 0]);
+
+    const inStalk = new THREE.Vector3(4.8, 1, 0);
+    obstacles.resolve(inStalk, 0.1);
+    expect(inStalk.x).toBeCloseTo(4.4);
+
+    const underground = new THREE.Vector3(10, -1, 0);
+    obstacles.resolve(underground, 0.1);
+    expect(underground.y).toBeCloseTo(0.1);
+
+    const clear = new THREE.Vector3(10, 3, 0);
+    expect(obstacles.resolve(clear, 0.1)).toBe(false);
+    expect(obstacles.contains(clear, 0.1)).toBe(false);
+    expect(obstacles.contains(new THREE.Vector3(0, 2.5, 0), 0)).toBe(true);
+  });
+});
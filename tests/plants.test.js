@@ -0,0 +1,45 @@
+import { describe, it, expect } from 'vitest';
+import * as THREE from 'three';
+import { createPlantSpring, stepPlantSpring } from '../plants.js';
+import { createRandom } from '../random.js';
+
+const DT = 1 / 60;
+
+describe('plant spring oscillator', () => {
+  it('leans away from the current and sways with it', () => {
+    const random = createRandom(1);
+    const plant = createPlantSpring(new THREE.Vector3(2, -4, 1), random);
+    for (let i = 0; i < 600; i++) {
+      stepPlantSpring(plant, DT, i * DT, { random, current: (position, time, target) => target.set(0.3, 0, 0) });
+      expect(Number.isFinite(plant.angle)).toBe(true);
+    }
+    // Flow along +x tips the top toward +x, a negative angle: 0.3 * 0.35 against stiffness >= 10
+    expect(plant.angle).toBeLessThan(0);
+    expect(plant.angle).toBeCloseTo(-0.3 * 0.35 / plant.stiffness, 3);
+
+    const swaying = (position, time, target) => target.set(Math.sin(time) * 0.2, 0, 0);
+    const other = createPlantSpring(new THREE.Vector3(), random);
+    for (let i = 0; i < 1200; i++) {
+      stepPlantSpring(other, DT, i * DT, { random, current: swaying });
+      expect(Math.abs(other.angle)).toBeLessThan(0.2 * 0.35 / 10 + 1e-3);
+    }
+  });
+
+  it('never bends past 45 degrees however hard fish shove', () => {
+    const random = createRandom(2);
+    const plant = createPlantSpring(new THREE.Vector3(), random);
+    const crowd = { queryNeighbors: (position, radius, callback) => { for (let k = 0; k < 200; k++) callback(); } };
+    for (let i = 0; i < 600; i++) {
+      stepPlantSpring(plant, DT, i * DT, { flock: crowd, random });
+      expect(Math.abs(plant.angle)).toBeLessThanOrEqual(Math.PI / 4);
+    }
+  });
+
+  it('settles back toward rest once the shoving stops', () => {
+    const random = createRandom(3);
+    const plant = createPlantSpring(new THREE.Vector3(), random);
+    plant.angle = 0.5;
+    for (let i = 0; i < 600; i++) stepPlantSpring(plant, DT, i * DT, { random });
+    expect(Math.abs(plant.angle)).toBeLessThan(0.01);
+  });
+});
@@ -0,0 +1,118 @@
+import { describe, it, expect } from 'vitest';
+import * as THREE from 'three';
+import { createRockGeometry, createRocks } from '../rocks.js';
+import { ObstacleSet } from '../obstacles.js';
+import { createRandom } from '../random.js';
+
+const SAND = -4;
+const UP = new THREE.Vector3(0, 1, 0);
+const colors = { rock: new THREE.Color(0.5, 0.4, 0.3), moss: new THREE.Color(0, 1, 0), amount: 0.8 };
+const config = {
+  count: 6, minScale: 0.3, maxScale: 1, color: '#776655', mossColor: '#00ff00', moss: 0.8, clusters: 0, arches: 0
+};
+
+function makeWorld(overrides = {}) {
+  return {
+    random: createRandom(3),
+    area: { halfX: 6, halfZ: 5 },
+    groundHeightAt: () => SAND,
+    normalAt: (x, z, target) => target.copy(UP),
+    obstacles: new ObstacleSet(),
+    ...overrides
+  };
+}
+
+function extent(geometry) {
+  geometry.computeBoundingBox();
+  return geometry.boundingBox.getSize(new THREE.Vector3());
+}
+
+describe('rocks', () => {
+  it('makes every rock a different shape, flat underneath, from the seed', () => {
+    const a = createRockGeometry(createRandom(1), { size: 1, colors });
+    const b = createRockGeometry(createRandom(2), { size: 1, colors });
+    const again = createRockGeometry(createRandom(1), { size: 1, colors });
+    expect(Array.from(again.geometry.attributes.position.array)).toEqual(Array.from(a.geometry.attributes.position.array));
+
+    const sizeA = extent(a.geometry);
+    const sizeB = extent(b.geometry);
+    expect(sizeA.x / sizeA.y).not.toBeCloseTo(sizeB.x / sizeB.y);
+    // Lower than it is wide
+    expect(sizeA.y).toBeLessThan(Math.max(sizeA.x, sizeA.z));
+
+    // Many vertices on the cut, none under it
+    const position = a.geometry.attributes.position;
+    let flat = 0;
+    for (let i = 0; i < position.count; i++) {
+      expect(position.getY(i)).toBeGreaterThanOrEqual(0);
+      if (position.getY(i) === 0) flat++;
+    }
+    expect(flat).toBeGreaterThan(position.count / 20);
+    expect(a.hull.length).toBeGreaterThanOrEqual(4);
+  });
+
+  it('grows moss on the top and leaves the sides bare', () => {
+    const { geometry, height } = createRockGeometry(createRandom(4), { size: 1, colors });
+    const position = geometry.attributes.position;
+    const color = geometry.attributes.color;
+    const green = i => color.getY(i) - color.getX(i);
+    let top = 0;
+    for (let i = 0; i < position.count; i++) {
+      if (position.getY(i) > position.getY(top)) top = i;
+      // Moss reaches down to 1 - amount of the height
+      if (position.getY(i) < height * (1 - colors.amount)) expect(green(i)).toBeLessThan(0);
+    }
+    expect(position.getY(top)).toBeCloseTo(height);
+    expect(green(top)).toBeGreaterThan(0.5);
+  });
+
+  it('sinks rocks partly into the sand and wraps each in a hull', () => {
+    const world = makeWorld();
+    const { rocks } = createRocks(config, world);
+    expect(rocks.length).toBe(6);
+    expect(world.obstacles.hulls.length).toBe(6);
+    rocks.forEach(({ mesh, hull }) => {
+      const bounds = new THREE.Box3().setFromObject(mesh);
+      expect(bounds.min.y).toBeLessThan(SAND);
+      expect(bounds.max.y).toBeGreaterThan(SAND);
+      expect(hull.center).toBe(mesh.position);
+
+      // The hull wraps the rock closely
+      const middle = bounds.getCenter(new THREE.Vector3());
+      expect(world.obstacles.contains(middle, 0)).toBe(true);
+      expect(world.obstacles.contains(middle.setY(bounds.max.y + 0.1), 0)).toBe(false);
+    });
+  });
+
+  it('huddles smaller rocks around the big one of a cluster', () => {
+    const { rocks } = createRocks({ ...config, count: 0, clusters: 1 }, makeWorld());
+    expect(rocks.length).toBeGreaterThanOrEqual(3);
+    const [big, ...small] = rocks;
+    small.forEach(rock => {
+      expect(rock.size).toBeLessThan(big.size);
+      const apart = Math.hypot(rock.mesh.position.x - big.mesh.position.x, rock.mesh.position.z - big.mesh.position.z);
+      expect(apart).toBeLessThan(big.size);
+    });
+  });
+
+  it('lets fish through under an arch but not through its legs', () => {
+    const world = makeWorld();
+    const { arches } = createRocks({ ...config, count: 0, arches: 1 }, world);
+    expect(world.obstacles.chains.length).toBe(1);
+    const { spine } = arches[0];
+    const first = spine[0];
+    const last = spine[spine.length - 1];
+    const crown = spine[Math.floor(spine.length / 2)];
+    // Feet under the sand, crown well above it
+    expect(Math.max(first.y, last.y)).toBeLessThan(SAND);
+    expect(crown.y).toBeGreaterThan(SAND + 1);
+
+    const across = new THREE.Vector3().subVectors(last, first).cross(UP).normalize();
+    const under = new THREE.Vector3().addVectors(first, last).multiplyScalar(0.5).lerp(crown, 0.4);
+    expect(under.y).toBeGreaterThan(SAND);
+    const start = under.clone().addScaledVector(across, -3);
+    expect(world.obstacles.raycast(start, across, 6, 0.1)).toBeNull();
+    const leg = spine[1].clone().addScaledVector(across, -3);
+    expect(world.obstacles.raycast(leg, across, 6, 0.1)).not.toBeNull();
+  });
+});
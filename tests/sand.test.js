@@ -0,0 +1,68 @@
+import { describe, it, expect } from 'vitest';
+import * as THREE from 'three';
+import { SandTerrain, createSandMesh } from '../sand.js';
+
+const WIDTH = 10, DEPTH = 8, FLOOR = -4.2;
+
+// A mound on top, like the entry points build
+function makeSand() {
+  const sand = new SandTerrain({ width: WIDTH, depth: DEPTH, resX: 21, resZ: 17 });
+  sand.shape((x, z) => FLOOR + Math.exp(-(x * x + z * z) / 10) * 0.3);
+  return sand;
+}
+
+describe('SandTerrain', () => {
+  it('matches the grid at vertices and interpolates between them', () => {
+    const sand = makeSand();
+    expect(sand.heightAt(0, 0)).toBeCloseTo(FLOOR + 0.3);
+    expect(sand.heightAt(WIDTH, DEPTH)).toBeCloseTo(sand.heightAt(WIDTH / 2, DEPTH / 2));
+
+    // A tilted plane is reproduced exactly anywhere
+    const plane = new SandTerrain({ width: WIDTH, depth: DEPTH, resX: 6, resZ: 5 });
+    plane.shape((x, z) => 0.2 * x - 0.1 * z);
+    for (const [x, z] of [[0.3, -1.7], [-4.9, 3.3], [2.25, 0.01]]) {
+      expect(plane.heightAt(x, z)).toBeCloseTo(0.2 * x - 0.1 * z, 5);
+    }
+    // and its normal is the plane's
+    const normal = plane.normalAt(0.5, 0.5);
+    expect(normal.distanceTo(new THREE.Vector3(-0.2, 1, 0.1).normalize())).toBeLessThan(1e-5);
+  });
+
+  it('points straight up on flat sand', () => {
+    const sand = new SandTerrain({ width: WIDTH, depth: DEPTH, resX: 5, resZ: 5, y: FLOOR });
+    expect(sand.normalAt(1.3, -2.2).distanceTo(new THREE.Vector3(0, 1, 0))).toBe(0);
+    expect(sand.heightAt(100, -100)).toBeCloseTo(FLOOR);
+  });
+
+  it('reports only touched cells as dirty', () => {
+    const sand = makeSand();
+    expect(sand.takeDirty()).toEqual(sand.fullRect());
+    expect(sand.takeDirty()).toBe(null);
+    sand.touch({ x0: 2, z0: 3, x1: 4, z1: 3 });
+    sand.touch({ x0: 1, z0: 5, x1: 2, z1: 6 });
+    expect(sand.takeDirty()).toEqual({ x0: 1, z0: 3, x1: 4, z1: 6 });
+    expect(sand.rectAround(1, 1, 0.5)).toEqual({ x0: 11, z0: 9, x1: 13, z1: 11 });
+    expect(sand.rectAround(100, 0, 0.5)).toBe(null);
+  });
+
+  it('keeps the mesh top in step with the heights', () => {
+    const sand = makeSand();
+    const { geometry, sync } = createSandMesh(sand, new THREE.MeshBasicMaterial(), { bottomY: -5 });
+    sync();
+    sand.heights[5 * sand.resX + 7] -= 0.3;
+    sand.touch({ x0: 7, z0: 5, x1: 7, z1: 5 });
+    sync();
+    const position = geometry.attributes.position;
+    sand.heights.forEach((h, i) => expect(position.getY(i)).toBe(Math.fround(h)));
+    // Skirts reach the bottom and all faces point out of the slab
+    const box = new THREE.Box3().setFromBufferAttribute(position);
+    expect(box.min.y).toBe(-5);
+    const given = geometry.attributes.normal.clone();
+    geometry.computeVertexNormals();
+    const normal = geometry.attributes.normal;
+    for (let i = 0; i < normal.count; i++) {
+      const dot = normal.getX(i) * given.getX(i) + normal.getY(i) * given.getY(i) + normal.getZ(i) * given.getZ(i);
+      expect(dot).toBeGreaterThan(0.5);
+    }
+  });
+});
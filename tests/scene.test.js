@@ -0,0 +1,140 @@
+import { describe, it, expect, vi } from 'vitest';
+import { SceneError, SCENE_VERSION, parseScene, applySceneToParams, sceneFromParams } from '../scene.js';
+import { SPECIES } from '../species.js';
+import defaultScene from '../scenes/default.json';
+import kelpForestScene from '../scenes/kelp-forest.json';
+
+// GUI params the way an entry point declares them, before any scene is applied
+function makeParams() {
+  const preyIds = Object.keys(SPECIES).filter(id => SPECIES[id].role !== 'predator');
+  return {
+    fishCount: 0,
+    fishColor: '#000000',
+    speciesMix: Object.fromEntries(preyIds.map(id => [id, 0])),
+    predatorCount: 0,
+    lightAzimuth: 0,
+    lightElevation: 0,
+    fishSpeed: 2,
+    separationDist: 1,
+    showStats: false,
+    caught: 0
+  };
+}
+
+function withChange(scene, path, value) {
+  const result = structuredClone(scene);
+  const keys = path.split('.');
+  const last = keys.pop();
+  const parent = keys.reduce((o, key) => o[key], result);
+  if (value === undefined) delete parent[last];
+  else parent[last] = value;
+  return result;
+}
+
+function errorsOf(source, defaults) {
+  try {
+    parseScene(source, defaults);
+  } catch (err) {
+    expect(err).toBeInstanceOf(SceneError);
+    return err.errors;
+  }
+  throw new Error('expected a SceneError');
+}
+
+describe('parseScene', () => {
+  it('accepts the shipped presets as they are', () => {
+    expect(parseScene(defaultScene)).toEqual(defaultScene);
+    expect(parseScene(JSON.stringify(kelpForestScene))).toEqual(kelpForestScene);
+  });
+
+  it('rejects versions it does not know', () => {
+    expect(errorsOf(withChange(defaultScene, 'version', SCENE_VERSION + 1))).toEqual([
+      `version: ${SCENE_VERSION + 1} is newer than this app (${SCENE_VERSION})`
+    ]);
+    expect(errorsOf(withChange(defaultScene, 'version', 0))).toEqual([`version: 0 is outside 1..${SCENE_VERSION}`]);
+    expect(errorsOf(withChange(defaultScene, 'version', '1'))).toEqual(['version: expected an integer']);
+  });
+
+  it('lists every missing, ill-typed and unknown field', () => {
+    let scene = withChange(defaultScene, 'tank.width', undefined);
+    scene = withChange(scene, 'fish.color', 'orange');
+    scene = withChange(scene, 'environment.background', 'yes');
+    scene = withChange(scene, 'lighting.points', [{ color: '#ffffff', intensity: 1, distance: 5, position: [0, 1] }]);
+    scene = withChange(scene, 'fish.speciesMix', { goldfish: 1, nemo: 1 });
+    scene = withChange(scene, 'plants.height', 2);
+    expect(errorsOf(scene)).toEqual([
+      'tank.width: missing',
+      'plants.height: unknown field',
+      'fish.color: expected a colour like "#88ccee"',
+      'fish.speciesMix.nemo: unknown species',
+      'lighting.points[0].position: expected [x, y, z]',
+      'environment.background: expected true or false'
+    ]);
+    expect(errorsOf('{ "version": 1,')[0]).toMatch(/^not valid JSON/);
+    expect(errorsOf([])).toEqual(['scene: expected an object']);
+  });
+
+  it('rejects values out of range', () => {
+    let scene = withChange(defaultScene, 'fish.count', 5000);
+    scene = withChange(scene, 'lighting.sun.elevation', -10);
+    scene = withChange(scene, 'fish.predators.species', 'goldfish');
+    expect(errorsOf(scene)).toEqual([
+      'fish.count: 5000 is outside 0..3000',
+      'fish.predators.species: expected one of shark',
+      'lighting.sun.elevation: -10 is outside 0..90'
+    ]);
+    expect(errorsOf(withChange(defaultScene, 'plants.minLength', 5))).toEqual(['plants: minLength is larger than maxLength']);
+  });
+
+  it('fills missing fields from the defaults without sharing them', () => {
+    const scene = parseScene({ version: 1, name: 'Sparse', tank: { width: 8 }, fish: { count: 40 } }, defaultScene);
+    expect(scene.name).toBe('Sparse');
+    expect(scene.tank).toEqual({ ...defaultScene.tank, width: 8 });
+    expect(scene.fish).toEqual({ ...defaultScene.fish, count: 40 });
+    expect(scene.lighting).toEqual(defaultScene.lighting);
+
+    scene.lighting.sun.azimuth = 180;
+    expect(defaultScene.lighting.sun.azimuth).not.toBe(180);
+  });
+});
+
+describe('scene params', () => {
+  it('skips settings the page does not have', () => {
+    const warn = vi.spyOn(console, 'warn').mockImplementation(() => {});
+    const params = makeParams();
+    const scene = withChange(defaultScene, 'settings', { fishSpeed: 3, kelpSway: 1, showStats: 'yes', caught: 9 });
+    applySceneToParams(parseScene(scene), params);
+    expect(params.fishSpeed).toBe(3);
+    expect(params.showStats).toBe(false);
+    expect(params.caught).toBe(0);
+    expect('kelpSway' in params).toBe(false);
+    expect(warn).toHaveBeenCalledTimes(3);
+    warn.mockRestore();
+  });
+
+  it.each([
+    ['default', defaultScene],
+    ['kelp forest', kelpForestScene]
+  ])('round-trips the %s preset through a saved file', (name, preset) => {
+    const scene = parseScene(preset, preset);
+    const params = makeParams();
+    applySceneToParams(scene, params);
+    expect(params.fishCount).toBe(preset.fish.count);
+    expect(params.lightAzimuth).toBe(preset.lighting.sun.azimuth);
+    expect(params.speciesMix).toMatchObject(preset.fish.speciesMix);
+
+    const saved = sceneFromParams(scene, params);
+    expect(saved.settings).not.toHaveProperty('caught');
+    expect(saved.settings).not.toHaveProperty('fishCount');
+
+    const loaded = parseScene(JSON.stringify(saved), preset);
+    expect(loaded).toEqual(saved);
+    const reloaded = makeParams();
+    applySceneToParams(loaded, reloaded);
+    expect(reloaded).toEqual(params);
+
+    // Only the settings section grows; everything else is the preset again
+    expect({ ...loaded, settings: {}, fish: { ...loaded.fish, speciesMix: {} } })
+      .toEqual({ ...preset, settings: {}, fish: { ...preset.fish, speciesMix: {} } });
+  });
+});
@@ -0,0 +1,158 @@
+import { describe, it, expect } from 'vitest';
+import * as THREE from 'three';
+import { SandTerrain } from '../sand.js';
+import { Sediment } from '../sediment.js';
+import { parseScene } from '../scene.js';
+import { createRandom } from '../random.js';
+import defaultScene from '../scenes/default.json';
+
+const FLOOR = -5, TOP = -4.2;
+
+function makeSediment(params = {}, { bumps = 0 } = {}) {
+  const random = createRandom(3);
+  const terrain = new SandTerrain({ width: 8, depth: 6, resX: 54, resZ: 41 });
+  terrain.shape(() => TOP + random.randFloatSpread(bumps));
+  const sediment = new Sediment(terrain, {
+    currentDirection: 0, currentStrength: 0, rippleRate: 0, reposeAngle: 32, sinkRate: 0,
+    ...params
+  }, { floorY: FLOOR });
+  return { terrain, sediment };
+}
+
+const mass = terrain => terrain.heights.reduce((sum, h) => sum + h, 0);
+
+// Steepest drop between grid neighbours, as a slope
+function steepest(terrain) {
+  const { heights, resX, resZ, cellX, cellZ } = terrain;
+  let max = 0;
+  for (let iz = 0; iz < resZ; iz++) {
+    for (let ix = 0; ix < resX; ix++) {
+      const i = iz * resX + ix;
+      if (ix < resX - 1) max = Math.max(max, Math.abs(heights[i + 1] - heights[i]) / cellX);
+      if (iz < resZ - 1) max = Math.max(max, Math.abs(heights[i + resX] - heights[i]) / cellZ);
+    }
+  }
+  return max;
+}
+
+describe('Sediment', () => {
+  it('piles dug sand around the dent', () => {
+    const { terrain, sediment } = makeSediment();
+    const before = mass(terrain);
+    sediment.dig(0.5, -0.3, 0.2, 0.6);
+    expect(mass(terrain)).toBeCloseTo(before, 9);
+    expect(terrain.heightAt(0.5, -0.3)).toBeCloseTo(TOP - 0.2, 1);
+    expect(terrain.heightAt(0.5 + 0.78, -0.3)).toBeGreaterThan(TOP);
+    expect(terrain.heightAt(-3, 2)).toBe(TOP);
+  });
+
+  it('never digs below the floor', () => {
+    const { terrain, sediment } = makeSediment();
+    for (let i = 0; i < 50; i++) sediment.dig(0, 0, 0.5, 0.6);
+    expect(Math.min(...terrain.heights)).toBeGreaterThanOrEqual(FLOOR);
+  });
+
+  it('slides back to the angle of repose and keeps the mass', () => {
+    const { terrain, sediment } = makeSediment();
+    for (let i = 0; i < 20; i++) sediment.dig(0, 0, 0.1, 0.4);
+    const before = mass(terrain);
+    expect(steepest(terrain)).toBeGreaterThan(Math.tan(THREE.MathUtils.degToRad(32)));
+    for (let i = 0; i < 600; i++) sediment.step(1 / 60);
+    expect(mass(terrain)).toBeCloseTo(before, 9);
+    expect(steepest(terrain)).toBeLessThan(Math.tan(THREE.MathUtils.degToRad(32)) + 0.01);
+    // and stops working once settled
+    expect(sediment.unstable).toBe(null);
+  });
+
+  it('grows ripples across the current without losing sand', () => {
+    const { terrain, sediment } = makeSediment(
+      { currentStrength: 1, rippleRate: 0.05 },
+      { bumps: 0.01 }
+    );
+    const before = mass(terrain);
+    const roughness = () => {
+      let sum = 0;
+      terrain.heights.forEach(h => { sum += (h - before / terrain.heights.length) ** 2; });
+      return Math.sqrt(sum / terrain.heights.length);
+    };
+    const start = roughness();
+    for (let i = 0; i < 60 * 120; i++) sediment.step(1 / 60);
+    expect(mass(terrain)).toBeCloseTo(before, 6);
+    expect(roughness()).toBeGreaterThan(start * 3);
+
+    // Crests run across the flow (along z): rows vary far less than columns
+    const { heights, resX, resZ } = terrain;
+    let alongFlow = 0, acrossFlow = 0;
+    for (let iz = 0; iz < resZ - 1; iz++) {
+      for (let ix = 0; ix < resX - 1; ix++) {
+        const i = iz * resX + ix;
+        alongFlow  += Math.abs(heights[i + 1] - heights[i]);
+        acrossFlow += Math.abs(heights[i + resX] - heights[i]);
+      }
+    }
+    expect(alongFlow).toBeGreaterThan(acrossFlow * 2);
+  });
+
+  it('only asks erosion to revisit the sand the current moved', () => {
+    const { terrain, sediment } = makeSediment({ currentStrength: 1, rippleRate: 0.05 });
+    // Bare floor but for a patch of sand in the middle
+    terrain.shape((x, z) => (Math.abs(x) < 0.5 && Math.abs(z) < 0.5 ? FLOOR + 0.1 : FLOOR));
+    sediment.unstable = null;
+    sediment.ripple(0.25);
+
+    const { x0, x1, z0, z1 } = sediment.unstable;
+    const cellsX = Math.ceil((1 + 0.3) / terrain.cellX) + 4; // patch, a hop downstream, margins
+    const cellsZ = Math.ceil(1 / terrain.cellZ) + 4;
+    expect(x1 - x0).toBeLessThanOrEqual(cellsX);
+    expect(z1 - z0).toBeLessThanOrEqual(cellsZ);
+    expect(terrain.vertexX(x0)).toBeLessThan(-0.5);
+    expect(terrain.vertexX(x1)).toBeGreaterThan(0.5 + 0.3);
+  });
+
+  it('lets bodies ride the surface and sink into it', () => {
+    const { terrain, sediment } = makeSediment({ sinkRate: 0.5 });
+    const rock = new THREE.Vector3(1, TOP + 0.01, 1);
+    const plant = new THREE.Vector3(-1, TOP + 1, 0);
+    sediment.addBody(rock, { maxSink: 0.1 });
+    sediment.addBody(plant);
+    for (let i = 0; i < 60 * 20; i++) sediment.step(1 / 60);
+    expect(rock.y).toBeCloseTo(TOP + 0.01 - 0.1, 3);
+    expect(plant.y).toBeCloseTo(TOP + 1);
+
+    sediment.dig(-1, 0, 0.1, 0.5);
+    sediment.step(1 / 60);
+    expect(plant.y).toBeCloseTo(terrain.heightAt(-1, 0) + 1);
+  });
+
+  it('saves the bed into a scene and restores it', () => {
+    const { terrain, sediment } = makeSediment({ sinkRate: 0.5 });
+    const rock = new THREE.Vector3(1, TOP, 1);
+    sediment.addBody(rock, { maxSink: 0.1 });
+    sediment.dig(1, 1, 0.3, 0.8);
+    for (let i = 0; i < 120; i++) sediment.step(1 / 60);
+
+    const scene = structuredClone(defaultScene);
+    scene.substrate.sediment = sediment.toJSON();
+    const parsed = parseScene(JSON.stringify(scene), defaultScene);
+
+    const copy = makeSediment();
+    copy.sediment.addBody(new THREE.Vector3(1, TOP, 1), { maxSink: 0.1 });
+    expect(copy.sediment.restore(parsed.substrate.sediment)).toBe(true);
+    copy.terrain.heights.forEach((h, i) => expect(h).toBe(Math.fround(terrain.heights[i])));
+    expect(copy.sediment.bodies[0].sink).toBeCloseTo(sediment.bodies[0].sink, 4);
+    // Bodies added after the bed (props still loading) get theirs too
+    const late = makeSediment();
+    expect(late.sediment.restore(parsed.substrate.sediment)).toBe(true);
+    late.sediment.addBody(new THREE.Vector3(1, TOP, 1), { maxSink: 0.1 });
+    expect(late.sediment.bodies[0].sink).toBeCloseTo(sediment.bodies[0].sink, 4);
+
+    const other = new Sediment(new SandTerrain({ width: 8, depth: 6, resX: 10, resZ: 8 }), {}, { floorY: FLOOR });
+    expect(other.restore(parsed.substrate.sediment)).toBe(false);
+  });
+
+  it('rejects a damaged bed in a scene file', () => {
+    const scene = structuredClone(defaultScene);
+    scene.substrate.sediment = { resX: 4, resZ: 4, heights: 'AAAA', sink: [] };
+    expect(() => parseScene(scene, defaultScene)).toThrow(/4 x 4 heights/);
+  });
+});
@@ -0,0 +1,195 @@
+import { describe, it, expect } from 'vitest';
+import * as THREE from 'three';
+import { Timeline, TimelinePlayer, TimelineError, TIMELINE_VERSION, fishChannel, positionsChannel } from '../timeline.js';
+import { createFishPopulation } from '../fishPopulation.js';
+import { FlockSimulation } from '../flock.js';
+import { createRandom } from '../random.js';
+
+const STEP = 1 / 60;
+
+// A counter and some Vector3s, so frames differ and both element types show up
+function makeChannels() {
+  const state = { count: 0, points: [new THREE.Vector3(), new THREE.Vector3()] };
+  const channels = [
+    {
+      name: 'count',
+      type: 'i16',
+      meta: { unit: 'frames' },
+      capture: () => Int16Array.of(state.count, 100 - state.count),
+      apply: data => { state.count = data[0]; }
+    },
+    positionsChannel('points', () => state.points)
+  ];
+  return { state, channels };
+}
+
+function recordFrames(frames) {
+  const { state, channels } = makeChannels();
+  const timeline = new Timeline(channels, { step: STEP, info: { seed: 42 } });
+  for (let i = 0; i < frames; i++) {
+    state.count = i;
+    state.points.forEach((point, k) => point.set(i, k, -i * 0.5));
+    timeline.record(i * STEP);
+  }
+  return timeline;
+}
+
+function makePopulation(random) {
+  const params = {
+    fishSpeed: 2, flockRadius: 3, separationDist: 1, fishColor: '#ff8800',
+    speciesMix: { goldfish: 1, tetra: 1 }, fishCount: 0, predatorCount: 0
+  };
+  const flock = new FlockSimulation(params, { halfX: 9, halfY: 4, halfZ: 7 }, { random });
+  const population = createFishPopulation(new THREE.Scene(), flock, params, { maxFish: 20, scale: 0.2 });
+  return { flock, population };
+}
+
+describe('Timeline', () => {
+  it('reads back what it wrote', () => {
+    const timeline = recordFrames(5);
+    const buffer = timeline.encode();
+    expect(new TextDecoder().decode(new Uint8Array(buffer, 0, 4))).toBe('AQTL');
+    expect(buffer.byteLength % 4).toBe(0);
+
+    const { state, channels } = makeChannels();
+    const loaded = Timeline.decode(buffer, channels);
+    expect(loaded.length).toBe(5);
+    expect(loaded.step).toBe(STEP);
+    expect(loaded.info).toEqual({ seed: 42 });
+    expect(loaded.meta).toEqual([{ unit: 'frames' }, null]);
+    loaded.frames.forEach((frame, i) => {
+      expect(frame.time).toBe(timeline.frames[i].time);
+      expect(Array.from(frame.data[0])).toEqual([i, 100 - i]);
+      expect(frame.data[1]).toBeInstanceOf(Float32Array);
+      expect(Array.from(frame.data[1])).toEqual(Array.from(timeline.frames[i].data[1]));
+    });
+    expect(loaded.bytes).toBe(timeline.bytes);
+
+    loaded.apply(3);
+    expect(state.count).toBe(3);
+    expect(state.points[1].toArray()).toEqual([3, 1, -1.5]);
+  });
+
+  it('refuses files it cannot read', () => {
+    const buffer = recordFrames(3).encode();
+    const { channels } = makeChannels();
+
+    expect(() => Timeline.decode(new ArrayBuffer(16), channels)).toThrow(TimelineError);
+    expect(() => Timeline.decode(buffer, channels.slice(1))).toThrow(/don't match this page/);
+    expect(() => Timeline.decode(buffer.slice(0, buffer.byteLength - 8), channels)).toThrow(/truncated at frame 2/);
+
+    // Bump the version in the header, keeping its length
+    const bytes = new Uint8Array(buffer.slice(0));
+    const headerLength = new DataView(bytes.buffer).getUint32(4, true);
+    const header = new TextDecoder().decode(bytes.subarray(8, 8 + headerLength));
+    bytes.set(new TextEncoder().encode(header.replace(`"version":${TIMELINE_VERSION}`, `"version":${TIMELINE_VERSION + 1}`)), 8);
+    expect(() => Timeline.decode(bytes.buffer, channels)).toThrow(/is newer than this app/);
+  });
+
+  it('drops the oldest frames past maxBytes', () => {
+    const timeline = recordFrames(1);
+    timeline.maxBytes = timeline.bytes * 3;
+    for (let i = 1; i < 10; i++) timeline.record(i * STEP);
+    expect(timeline.length).toBe(3);
+    expect(timeline.frames[0].time).toBe(7 * STEP);
+  });
+});
+
+describe('TimelinePlayer', () => {
+  it('seeks and steps within the recording, pausing on a step', () => {
+    const player = new TimelinePlayer(recordFrames(10));
+    player.seek(25);
+    expect(player.frame).toBe(9);
+    player.seek(-3);
+    expect(player.frame).toBe(0);
+
+    player.playing = true;
+    player.stepBy(4);
+    expect(player.playing).toBe(false);
+    expect(player.frame).toBe(4);
+    player.stepBy(-6);
+    expect(player.frame).toBe(0);
+  });
+
+  it('plays at its speed and loops at the end', () => {
+    const timeline = recordFrames(10);
+    const player = new TimelinePlayer(timeline);
+    player.playing = true;
+    player.speed = 2;
+    expect(player.update(3 * STEP)).toBe(timeline.frames[6]);
+    player.speed = 0.5;
+    player.update(2 * STEP);
+    expect(player.frame).toBe(7);
+    player.speed = 1;
+    player.update(5 * STEP); // 12 -> 2
+    expect(player.frame).toBe(2);
+
+    // Paused, update only re-applies the frame
+    player.playing = false;
+    expect(player.update(1)).toBe(timeline.frames[2]);
+    expect(new TimelinePlayer(recordFrames(0)).update(1)).toBe(null);
+  });
+});
+
+describe('fishChannel', () => {
+  it('brings back the fish of a frame and what the solver knows of them', () => {
+    const { flock, population } = makePopulation(createRandom(5));
+    population.setCount(6);
+    population.setPredatorCount(1);
+    population.fishData.forEach(({ state: fish }, i) => {
+      fish.position.set(i, -i * 0.5, 1);
+      fish.velocity.set(0, 1, i);
+      fish.target.set(-i, 2, 0);
+      fish.hunger = 0.1 * i;
+      fish.energy = 1 - 0.1 * i;
+      fish.panic  = 0.05 * i;
+      fish.rest   = i;
+    });
+    const channel = fishChannel(population);
+    const data = channel.capture();
+    const recorded = population.fishData.map(({ species, state: fish }) => ({
+      species,
+      position: fish.position.clone(), velocity: fish.velocity.clone(), target: fish.target.clone(),
+      hunger: fish.hunger, energy: fish.energy, panic: fish.panic, rest: fish.rest
+    }));
+
+    // Fewer fish, another mix, changed state
+    population.setCount(2);
+    population.setPredatorCount(0);
+    flock.fish.forEach(fish => {
+      fish.hunger = 1;
+      fish.pellet = {};
+    });
+
+    channel.apply(data, channel.meta);
+    expect(population.fishData.length).toBe(7);
+    expect(population.fishData.filter(fish => fish.species === 'shark').length).toBe(1);
+    // The n-th recorded fish of a species drives the n-th live one
+    const bySpecies = list => list.slice().sort((x, y) => x.species.localeCompare(y.species));
+    const live = bySpecies(population.fishData).map(({ state }) => state);
+    bySpecies(recorded).forEach((fish, i) => {
+      expect(live[i].position.toArray()).toEqual(fish.position.toArray());
+      expect(live[i].velocity.toArray()).toEqual(fish.velocity.toArray());
+      expect(live[i].target.toArray()).toEqual(fish.target.toArray());
+      expect(live[i].hunger).toBeCloseTo(fish.hunger, 6);
+      expect(live[i].energy).toBeCloseTo(fish.energy, 6);
+      expect(live[i].panic).toBeCloseTo(fish.panic, 6);
+      expect(live[i].rest).toBe(fish.rest);
+      expect(live[i].pellet).toBe(null);
+    });
+  });
+
+  it('adds playback fish without using up the run\'s random numbers', () => {
+    const random = createRandom(9);
+    const { population } = makePopulation(random);
+    const { population: recording } = makePopulation(createRandom(1));
+    recording.setCount(12);
+    const channel = fishChannel(population);
+    const data = fishChannel(recording).capture();
+
+    const expected = createRandom(9);
+    channel.apply(data, channel.meta);
+    expect(population.fishData.length).toBe(12);
+    expect(random.random()).toBe(expected.random());
+  });
+});
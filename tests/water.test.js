@@ -0,0 +1,86 @@
+import { describe, it, expect } from 'vitest';
+import { WaterHeightField, WaterGPU, DAMPING } from '../water.js';
+
+const STEP = 1 / 60;
+
+function makeWater(res = 64) {
+  return new WaterHeightField({ width: 20, depth: 16, resX: res, resZ: res });
+}
+
+function maxHeight(water) {
+  return water.heights.reduce((max, h) => Math.max(max, Math.abs(h)), 0);
+}
+
+describe('WaterHeightField', () => {
+  it('loses energy under DAMPING', () => {
+    const water = makeWater();
+    water.disturb(0, 0, 1, 1);
+    water.step(STEP);
+    let previous = water.energy();
+    const start = previous;
+    for (let second = 1; second <= 10; second++) {
+      for (let i = 0; i < 60; i++) water.step(STEP);
+      const energy = water.energy();
+      expect(energy).toBeLessThan(previous);
+      previous = energy;
+    }
+    // Damping takes kinetic energy down by DAMPING^2 per step; energy swings
+    // between kinetic and potential, so the total falls at least by DAMPING
+    expect(previous).toBeLessThan(start * DAMPING ** 600);
+  });
+
+  it('keeps energy without damping', () => {
+    const water = new WaterHeightField({ width: 20, depth: 16, resX: 64, resZ: 64, damping: 1 });
+    water.disturb(0, 0, 1, 1);
+    for (let i = 0; i < 600; i++) water.step(STEP);
+    expect(maxHeight(water)).toBeGreaterThan(1e-3);
+    expect(maxHeight(water)).toBeLessThan(10);
+  });
+
+  it('stays stable on a fine grid by substepping', () => {
+    const water = makeWater(256);
+    expect(water.substeps).toBeGreaterThan(1);
+    water.disturb(2, -1, 1, 0.5);
+    for (let i = 0; i < 120; i++) water.step(STEP);
+    expect(water.heights.every(Number.isFinite)).toBe(true);
+    expect(maxHeight(water)).toBeLessThan(1);
+  });
+
+  it('keeps the border flat', () => {
+    const water = makeWater(32);
+    water.disturb(-9.5, 7.5, 1, 2);
+    for (let i = 0; i < 60; i++) water.step(STEP);
+    for (let x = 0; x < 32; x++) {
+      expect(water.heights[x]).toBe(0);
+      expect(water.heights[31 * 32 + x]).toBe(0);
+    }
+  });
+
+  it('reads heights on a coarser grid', () => {
+    const water = makeWater(65);
+    water.heights[32 * 65 + 32] = 0.5;
+    const coarse = water.readHeights(9, 9);
+    expect(coarse[4 * 9 + 4]).toBe(0.5);
+    expect(coarse.reduce((sum, h) => sum + h, 0)).toBe(0.5);
+  });
+});
+
+describe('WaterGPU', () => {
+  it('takes every disturbance of a frame, as the CPU solver does', () => {
+    // No float targets: nothing runs on the GPU, but disturbances still queue
+    const renderer = { extensions: { has: () => false } };
+    const options = { width: 20, depth: 16, resX: 32, resZ: 32 };
+    const gpu = new WaterGPU(renderer, options);
+    const cpu = new WaterHeightField(options);
+    for (let i = 0; i < 300; i++) {
+      const x = (i % 20) - 9.5, z = Math.floor(i / 20) - 7.5;
+      gpu.disturb(x, z, 0.1, 0.5);
+      cpu.disturb(x, z, 0.1, 0.5);
+    }
+    expect(gpu.disturbed).toBe(true);
+    expect(Array.from(gpu.impulses)).toEqual(Array.from(cpu.velocities));
+    // The last one, at (9.5, 6.5), lands too
+    const row = Math.round((6.5 + 8) / (16 / 31)), column = Math.round((9.5 + 10) / (20 / 31));
+    expect(gpu.impulses[row * 32 + column]).toBeGreaterThan(0);
+  });
+});
@@ -0,0 +1,387 @@
+import * as THREE from 'three';
+import { SPECIES } from './species.js';
+
+// Timelines: the simulation state at every fixed step, recorded so a run can
+// be scrubbed frame by frame or shared as a file. What gets recorded is a
+// list of channels, each turning one part of the tank into a typed array and
+// back:
+//
+//   name, type   'f32' or 'i16' elements
+//   meta         saved once with the timeline (layout, quantisation)
+//   capture()    live state -> typed array
+//   apply(data, meta, time)  drives the objects from a recorded frame
+//   release()    optional, hands control back to the simulation
+//
+// fishChannel, positionsChannel, bubbleChannel and waterChannel cover the
+// fish, any list of Vector3s (plant chains), the bubbles in the water and the
+// water surface.
+//
+// File (little-endian): 'AQTL', u32 header length, header JSON, then per
+// frame an f64 time and per channel a u32 element count and the elements.
+// Every block is padded to 4 bytes.
+
+export const TIMELINE_VERSION = 1;
+
+const MAGIC  = 'AQTL';
+const ARRAYS = { f32: Float32Array, i16: Int16Array };
+
+// species, position, velocity, target, hunger, energy, panic, rest
+const FISH_STRIDE = 14;
+
+export class TimelineError extends Error {
+  constructor(message) {
+    super(`Invalid timeline: ${message}`);
+    this.name = 'TimelineError';
+  }
+}
+
+const pad4 = n => (n + 3) & ~3;
+
+export class Timeline {
+  // step: seconds between frames. Above maxBytes the oldest frames are
+  // dropped, so recording can stay on and still hold the last minute or so.
+  // info: anything worth keeping with the file (seed, scene name)
+  constructor(channels, { step, maxBytes = 64 * 1024 * 1024, info = {} }) {
+    this.channels = channels;
+    this.step     = step;
+    this.maxBytes = maxBytes;
+    this.info     = info;
+    this.meta     = channels.map(channel => channel.meta || null);
+    this.frames   = []; // { time, data: [one typed array per channel], bytes }
+    this.bytes    = 0;
+  }
+
+  get length() {
+    return this.frames.length;
+  }
+
+  // Captures every channel as the frame at `time` (simulated seconds)
+  record(time) {
+    const data  = this.channels.map(channel => channel.capture());
+    const bytes = data.reduce((sum, array) => sum + array.byteLength, 0);
+    this.frames.push({ time, data, bytes });
+    this.bytes += bytes;
+    while (this.bytes > this.maxBytes && this.frames.length > 1) {
+      this.bytes -= this.frames.shift().bytes;
+    }
+  }
+
+  // Drives everything from frame `index`, returns the frame
+  apply(index) {
+    const frame = this.frames[index];
+    this.channels.forEach((channel, i) => channel.apply(frame.data[i], this.meta[i], frame.time));
+    return frame;
+  }
+
+  release() {
+    this.channels.forEach(channel => channel.release && channel.release());
+  }
+
+  clear() {
+    this.frames = [];
+    this.bytes  = 0;
+  }
+
+  encode() {
+    const header = new TextEncoder().encode(JSON.stringify({
+      version:  TIMELINE_VERSION,
+      step:     this.step,
+      info:     this.info,
+      frames:   this.frames.length,
+      channels: this.channels.map((channel, i) => ({ name: channel.name, type: channel.type, meta: this.meta[i] }))
+    }));
+
+    let size = 8 + pad4(header.byteLength);
+    this.frames.forEach(frame => {
+      size += 8;
+      frame.data.forEach(array => { size += 4 + pad4(array.byteLength); });
+    });
+
+    const buffer = new ArrayBuffer(size);
+    const bytes  = new Uint8Array(buffer);
+    const view   = new DataView(buffer);
+    bytes.set(new TextEncoder().encode(MAGIC), 0);
+    view.setUint32(4, header.byteLength, true);
+    bytes.set(header, 8);
+
+    let offset = 8 + pad4(header.byteLength);
+    this.frames.forEach(frame => {
+      view.setFloat64(offset, frame.time, true);
+      offset += 8;
+      frame.data.forEach(array => {
+        view.setUint32(offset, array.length, true);
+        bytes.set(new Uint8Array(array.buffer, array.byteOffset, array.byteLength), offset + 4);
+        offset += 4 + pad4(array.byteLength);
+      });
+    });
+    return buffer;
+  }
+
+  // Reads a file written by encode(). `channels` are the page's own and must
+  // match the recorded ones by name and type; the recorded meta is kept.
+  static decode(buffer, channels, options = {}) {
+    const view = new DataView(buffer);
+    if (buffer.byteLength < 8 || new TextDecoder().decode(new Uint8Array(buffer, 0, 4)) !== MAGIC) {
+      throw new TimelineError('not a timeline file');
+    }
+    const headerLength = view.getUint32(4, true);
+    let header;
+    try {
+      header = JSON.parse(new TextDecoder().decode(new Uint8Array(buffer, 8, headerLength)));
+    } catch (err) {
+      throw new TimelineError(`unreadable header (${err.message})`);
+    }
+    if (header.version > TIMELINE_VERSION) {
+      throw new TimelineError(`version ${header.version} is newer than this app (${TIMELINE_VERSION})`);
+    }
+    const recorded = header.channels.map(({ name, type }) => `${name}:${type}`).join(', ');
+    const expected = channels.map(({ name, type }) => `${name}:${type}`).join(', ');
+    if (recorded !== expected) {
+      throw new TimelineError(`recorded channels (${recorded}) don't match this page (${expected})`);
+    }
+
+    const timeline = new Timeline(channels, { ...options, step: header.step, info: header.info });
+    timeline.maxBytes = Infinity; // keep the whole file
+    timeline.meta = header.channels.map(channel => channel.meta);
+
+    let offset = 8 + pad4(headerLength);
+    try {
+      for (let f = 0; f < header.frames; f++) {
+        const time = view.getFloat64(offset, true);
+        offset += 8;
+        const data = channels.map(({ type }) => {
+          const ArrayType = ARRAYS[type];
+          const length = view.getUint32(offset, true);
+          const byteLength = length * ArrayType.BYTES_PER_ELEMENT;
+          const array = new ArrayType(buffer.slice(offset + 4, offset + 4 + byteLength));
+          if (array.length !== length) throw new RangeError('frame cut short');
+          offset += 4 + pad4(byteLength);
+          return array;
+        });
+        const bytes = data.reduce((sum, array) => sum + array.byteLength, 0);
+        timeline.frames.push({ time, data, bytes });
+        timeline.bytes += bytes;
+      }
+    } catch (err) {
+      throw new TimelineError(`truncated at frame ${timeline.frames.length} (${err.message})`);
+    }
+    return timeline;
+  }
+}
+
+// Plays a timeline back at `speed` times real time, looping at the end
+export class TimelinePlayer {
+  constructor(timeline) {
+    this.timeline = timeline;
+    this.position = 0; // in frames, fractional while playing
+    this.playing  = false;
+    this.speed    = 1;
+  }
+
+  get frame() {
+    return Math.floor(this.position);
+  }
+
+  seek(frame) {
+    this.position = THREE.MathUtils.clamp(frame, 0, Math.max(this.timeline.length - 1, 0));
+  }
+
+  // Pauses and moves `count` frames (negative goes back)
+  stepBy(count) {
+    this.playing = false;
+    this.seek(this.frame + count);
+  }
+
+  // Advances by delta seconds when playing and applies the current frame.
+  // Returns the frame, null for an empty timeline.
+  update(delta) {
+    const { length } = this.timeline;
+    if (length === 0) return null;
+    if (this.playing) {
+      this.position += delta * this.speed / this.timeline.step;
+      if (this.position >= length) this.position %= length;
+    }
+    this.seek(this.position);
+    return this.timeline.apply(this.frame);
+  }
+}
+
+// Every fish of a population (see fishPopulation.js): species, motion and
+// what the solver keeps per fish, so leaving playback carries on from the
+// frame shown. Playback adds or removes fish to match the frame; the
+// population's sync() turns and animates them as usual. Chases and pellets
+// are dropped, the solver picks them again on its next step.
+export function fishChannel(population) {
+  const ids = Object.keys(SPECIES);
+
+  return {
+    name: 'fish',
+    type: 'f32',
+    meta: { species: ids },
+
+    capture() {
+      const { fishData } = population;
+      const data = new Float32Array(fishData.length * FISH_STRIDE);
+      fishData.forEach((fish, i) => {
+        const { state } = fish;
+        const offset = i * FISH_STRIDE;
+        data[offset] = ids.indexOf(fish.species);
+        state.position.toArray(data, offset + 1);
+        state.velocity.toArray(data, offset + 4);
+        state.target.toArray(data, offset + 7);
+        data[offset + 10] = state.hunger;
+        data[offset + 11] = state.energy;
+        data[offset + 12] = state.panic;
+        data[offset + 13] = state.rest;
+      });
+      return data;
+    },
+
+    apply(data, meta) {
+      const count  = data.length / FISH_STRIDE;
+      const counts = {};
+      for (let i = 0; i < count; i++) {
+        const id = meta.species[data[i * FISH_STRIDE]];
+        counts[id] = (counts[id] || 0) + 1;
+      }
+      population.setSpeciesCounts(counts);
+
+      // The n-th recorded fish of a species drives the n-th live one
+      const bySpecies = {};
+      population.fishData.forEach(fish => {
+        (bySpecies[fish.species] = bySpecies[fish.species] || []).push(fish);
+      });
+      const used = {};
+      for (let i = 0; i < count; i++) {
+        const offset = i * FISH_STRIDE;
+        const id = meta.species[data[offset]];
+        const n  = used[id] || 0;
+        used[id] = n + 1;
+        const fish = bySpecies[id] && bySpecies[id][n];
+        if (!fish) continue;
+        const { state } = fish;
+        state.position.fromArray(data, offset + 1);
+        state.velocity.fromArray(data, offset + 4);
+        state.target.fromArray(data, offset + 7);
+        state.hunger = data[offset + 10];
+        state.energy = data[offset + 11];
+        state.panic  = data[offset + 12];
+        state.rest   = data[offset + 13];
+        state.acceleration.set(0, 0, 0);
+        state.prey   = null;
+        state.pellet = null;
+      }
+    }
+  };
+}
+
+// Positions of a list of Vector3s, e.g. () => plant.points.
+// A frame with a different count fills what fits.
+export function positionsChannel(name, getVectors) {
+  return {
+    name,
+    type: 'f32',
+
+    capture() {
+      const vectors = getVectors();
+      const data = new Float32Array(vectors.length * 3);
+      vectors.forEach((v, i) => v.toArray(data, i * 3));
+      return data;
+    },
+
+    apply(data) {
+      const vectors = getVectors();
+      const count = Math.min(vectors.length, data.length / 3);
+      for (let i = 0; i < count; i++) vectors[i].fromArray(data, i * 3);
+    }
+  };
+}
+
+// The bubbles of a BubbleStreams (see equipment.js); playback adds or drops
+// bubbles to match the frame
+export function bubbleChannel(streams) {
+  return {
+    name: 'bubbles',
+    type: 'f32',
+
+    capture() {
+      const data = new Float32Array(streams.bubbles.length * 3);
+      streams.bubbles.forEach((bubble, i) => bubble.position.toArray(data, i * 3));
+      return data;
+    },
+
+    apply(data) {
+      streams.resize(data.length / 3);
+      streams.bubbles.forEach((bubble, i) => bubble.position.fromArray(data, i * 3));
+    }
+  };
+}
+
+// Water heights on a res-wide grid, as 16-bit steps of 1 / scale. Playback
+// points the solver's uniforms at a texture of the recorded heights, so the
+// surface shader and the caustics follow without running the solver.
+export function waterChannel(water, { res = 64, range = 2 } = {}) {
+  const resX = res;
+  const resZ = Math.max(2, Math.round(res * water.depth / water.width));
+  const scale = 32767 / range;
+  const heights = new Float32Array(resX * resZ);
+  let texture = null;
+
+  return {
+    name: 'water',
+    type: 'i16',
+    meta: { resX, resZ, scale },
+
+    capture() {
+      water.readHeights(resX, resZ, heights);
+      return Int16Array.from(heights, h => THREE.MathUtils.clamp(Math.round(h * scale), -32767, 32767));
+    },
+
+    apply(data, meta, time) {
+      if (!texture || texture.image.width !== meta.resX || texture.image.height !== meta.resZ) {
+        if (texture) texture.dispose();
+        texture = new THREE.DataTexture(
+          new Uint16Array(meta.resX * meta.resZ), meta.resX, meta.resZ, THREE.RedFormat, THREE.HalfFloatType
+        );
+        texture.minFilter = texture.magFilter = THREE.LinearFilter;
+      }
+      const pixels = texture.image.data;
+      for (let i = 0; i < pixels.length; i++) pixels[i] = THREE.DataUtils.toHalfFloat(data[i] / meta.scale);
+      texture.needsUpdate = true;
+
+      water.uniforms.heightMap.value = texture;
+      water.uniforms.waterRes.value.set(meta.resX, meta.resZ);
+      water.uniforms.waterTime.value = time;
+    },
+
+    release() {
+      water.uniforms.heightMap.value = water.texture;
+      water.uniforms.waterRes.value.set(water.resX, water.resZ);
+      water.uniforms.waterTime.value = water.time;
+    }
+  };
+}
+
+export function downloadTimeline(timeline, name) {
+  const blob = new Blob([timeline.encode()], { type: 'application/octet-stream' });
+  const link = document.createElement('a');
+  link.href = URL.createObjectURL(blob);
+  link.download = `${name.replace(/[^\w-]+/g, '_')}.aqtl`;
+  link.click();
+  setTimeout(() => URL.revokeObjectURL(link.href), 0);
+}
+
+// Lets the user pick a timeline file, resolves with its contents
+export function pickTimelineFile() {
+  return new Promise((resolve, reject) => {
+    const input = document.createElement('input');
+    input.type = 'file';
+    input.accept = '.aqtl';
+    input.addEventListener('change', () => {
+      const file = input.files[0];
+      if (!file) return reject(new Error('No file selected'));
+      file.arrayBuffer().then(resolve, reject);
+    });
+    input.click();
+  });
+}
@@ -0,0 +1,272 @@
+import * as THREE from 'three';
+import { EffectComposer }  from 'three/examples/jsm/postprocessing/EffectComposer.js';
+import { RenderPass }      from 'three/examples/jsm/postprocessing/RenderPass.js';
+import { UnrealBloomPass } from 'three/examples/jsm/postprocessing/UnrealBloomPass.js';
+import { OutputPass }      from 'three/examples/jsm/postprocessing/OutputPass.js';
+import { ShaderPass }      from 'three/examples/jsm/postprocessing/ShaderPass.js';
+import { Pass, FullScreenQuad } from 'three/examples/jsm/postprocessing/Pass.js';
+import { CopyShader }      from 'three/examples/jsm/shaders/CopyShader.js';
+import { causticsChunk, causticsUniforms } from './caustics.js';
+
+// Underwater post-processing: scene render with depth, Beer-Lambert
+// absorption, light shafts through the water surface and optional bloom.
+// Every pass only affects the part of a view ray inside the water volume,
+// so looking at the tank from outside works as well as from within.
+//
+// params (read every frame):
+//   absorption, absorptionRed / Green / Blue (per world unit), waterColor
+//   lightShafts, shaftIntensity, shaftSamples
+//   bloom, bloomStrength, bloomRadius, bloomThreshold
+
+const MAX_SHAFT_SAMPLES = 64;
+
+// Scene pass that keeps the depth: renders into its own target with a depth
+// texture, then copies the colour on. The composer's buffers stay depth-free,
+// so later passes can sample the depth whichever buffer they write to.
+class DepthRenderPass extends RenderPass {
+  constructor(scene, camera) {
+    super(scene, camera);
+    this.target = new THREE.WebGLRenderTarget(1, 1, {
+      type: THREE.HalfFloatType,
+      depthTexture: new THREE.DepthTexture(1, 1)
+    });
+    this.copyPass = new ShaderPass(CopyShader);
+  }
+
+  get depthTexture() {
+    return this.target.depthTexture;
+  }
+
+  setSize(width, height) {
+    this.target.setSize(width, height);
+  }
+
+  render(renderer, writeBuffer, readBuffer, deltaTime, maskActive) {
+    super.render(renderer, writeBuffer, this.target, deltaTime, maskActive);
+    this.copyPass.renderToScreen = this.renderToScreen;
+    this.copyPass.render(renderer, readBuffer, this.target);
+  }
+
+  dispose() {
+    this.target.dispose();
+    this.copyPass.dispose();
+  }
+}
+
+// World position of a pixel and the span of its view ray inside the water box
+const waterRayChunk = `
+uniform sampler2D tDiffuse;
+uniform sampler2D tDepth;
+uniform mat4 inverseProjection;
+uniform mat4 cameraWorld;
+uniform vec3 cameraPos;
+uniform vec3 waterMin;
+uniform vec3 waterMax; // waterMax.y is the still surface
+uniform vec3 absorption;
+varying vec2 vUv;
+
+vec3 worldFromDepth(vec2 uv, float depth) {
+  vec4 view = inverseProjection * vec4(vec3(uv, depth) * 2.0 - 1.0, 1.0);
+  return (cameraWorld * vec4(view.xyz / view.w, 1.0)).xyz;
+}
+
+// (enter, exit) distances along the ray, enter >= exit when it misses
+vec2 waterSpan(vec3 origin, vec3 dir) {
+  vec3 t0 = (waterMin - origin) / dir;
+  vec3 t1 = (waterMax - origin) / dir;
+  vec3 tMin = min(t0, t1);
+  vec3 tMax = max(t0, t1);
+  float enter = max(max(max(tMin.x, tMin.y), tMin.z), 0.0);
+  float exit  = min(min(tMax.x, tMax.y), tMax.z);
+  return vec2(enter, exit);
+}
+`;
+
+const fullScreenVertex = `
+varying vec2 vUv;
+void main() {
+  vUv = uv;
+  gl_Position = projectionMatrix * modelViewMatrix * vec4(position, 1.0);
+}
+`;
+
+// Light from the scene loses red first, then green; what is lost is
+// replaced by light scattered in from the water colour
+const absorptionFragment = `
+${waterRayChunk}
+uniform vec3 waterColor;
+
+void main() {
+  vec4 color = texture2D(tDiffuse, vUv);
+  vec3 hit = worldFromDepth(vUv, texture2D(tDepth, vUv).x);
+  vec3 dir = normalize(hit - cameraPos);
+  vec2 span = waterSpan(cameraPos, dir);
+  float exit = min(span.y, distance(hit, cameraPos));
+  float path = max(exit - span.x, 0.0);
+
+  // Sunlight reaching a point under water has also crossed the depth above it
+  bool inWater = all(greaterThanEqual(hit, waterMin)) && all(lessThanEqual(hit, waterMax));
+  float depth = inWater ? waterMax.y - hit.y : 0.0;
+
+  vec3 viewT  = exp(-absorption * path);
+  vec3 depthT = exp(-absorption * depth);
+  color.rgb = color.rgb * viewT * depthT + waterColor * (1.0 - viewT);
+  gl_FragColor = color;
+}
+`;
+
+// Ray-marches the water along each view ray, adding sunlight scattered
+// toward the eye. Light under focused parts of the surface (the caustics
+// map) is brighter, which draws the moving shafts.
+const lightShaftsFragment = `
+${waterRayChunk}
+${causticsChunk}
+uniform vec3 lightColor;
+uniform float intensity;
+uniform int samples;
+
+void main() {
+  vec4 color = texture2D(tDiffuse, vUv);
+  vec3 hit = worldFromDepth(vUv, texture2D(tDepth, vUv).x);
+  vec3 dir = normalize(hit - cameraPos);
+  vec2 span = waterSpan(cameraPos, dir);
+  float exit = min(span.y, distance(hit, cameraPos));
+  if (exit <= span.x) {
+    gl_FragColor = color;
+    return;
+  }
+
+  float stepLength = (exit - span.x) / float(samples);
+  // Per-pixel offset along the ray hides banding between samples
+  float jitter = fract(52.9829189 * fract(dot(gl_FragCoord.xy, vec2(0.06711056, 0.00583715))));
+  // Forward scattering: brighter when looking toward the light
+  float phase = 0.5 + 0.5 * max(dot(dir, -causticsLight), 0.0);
+
+  vec3 scattered = vec3(0.0);
+  for (int i = 0; i < ${MAX_SHAFT_SAMPLES}; i++) {
+    if (i >= samples) break;
+    float t = span.x + (float(i) + jitter) * stepLength;
+    vec3 p = cameraPos + dir * t;
+    float light = causticsLightAt(p);
+    vec3 transmitted = exp(-absorption * (waterMax.y - p.y + t - span.x));
+    scattered += light * light * transmitted * stepLength;
+  }
+  color.rgb += lightColor * scattered * phase * intensity;
+  gl_FragColor = color;
+}
+`;
+
+// Full screen pass over the colour and depth of the scene pass
+class WaterVolumePass extends Pass {
+  constructor(fragmentShader, extraUniforms, { renderPass, params, bounds }) {
+    super();
+    this.renderPass = renderPass;
+    this.params = params;
+    this.material = new THREE.ShaderMaterial({
+      uniforms: {
+        tDiffuse:          { value: null },
+        tDepth:            { value: null },
+        inverseProjection: { value: new THREE.Matrix4() },
+        cameraWorld:       { value: new THREE.Matrix4() },
+        cameraPos:         { value: new THREE.Vector3() },
+        waterMin:          { value: bounds.min.clone() },
+        waterMax:          { value: bounds.max.clone() },
+        absorption:        { value: new THREE.Vector3() },
+        ...extraUniforms
+      },
+      vertexShader: fullScreenVertex,
+      fragmentShader
+    });
+    this.fsQuad = new FullScreenQuad(this.material);
+  }
+
+  updateUniforms(uniforms) {
+    const { camera } = this.renderPass;
+    uniforms.tDepth.value = this.renderPass.depthTexture;
+    uniforms.inverseProjection.value.copy(camera.projectionMatrixInverse);
+    uniforms.cameraWorld.value.copy(camera.matrixWorld);
+    camera.getWorldPosition(uniforms.cameraPos.value);
+    uniforms.absorption.value.set(this.params.absorptionRed, this.params.absorptionGreen, this.params.absorptionBlue);
+  }
+
+  render(renderer, writeBuffer, readBuffer) {
+    const uniforms = this.material.uniforms;
+    uniforms.tDiffuse.value = readBuffer.texture;
+    this.updateUniforms(uniforms);
+
+    renderer.setRenderTarget(this.renderToScreen ? null : writeBuffer);
+    if (this.clear) renderer.clear();
+    this.fsQuad.render(renderer);
+  }
+
+  dispose() {
+    this.material.dispose();
+    this.fsQuad.dispose();
+  }
+}
+
+export class AbsorptionPass extends WaterVolumePass {
+  constructor(options) {
+    super(absorptionFragment, { waterColor: { value: new THREE.Color() } }, options);
+  }
+
+  updateUniforms(uniforms) {
+    super.updateUniforms(uniforms);
+    uniforms.waterColor.value.set(this.params.waterColor);
+  }
+}
+
+export class LightShaftsPass extends WaterVolumePass {
+  // light: the DirectionalLight shining through the surface
+  constructor(light, options) {
+    super(lightShaftsFragment, {
+      ...causticsUniforms,
+      lightColor: { value: new THREE.Color() },
+      intensity:  { value: 0 },
+      samples:    { value: 0 }
+    }, options);
+    this.light = light;
+  }
+
+  updateUniforms(uniforms) {
+    super.updateUniforms(uniforms);
+    uniforms.lightColor.value.copy(this.light.color).multiplyScalar(this.light.intensity);
+    uniforms.intensity.value = this.params.shaftIntensity;
+    uniforms.samples.value = Math.min(this.params.shaftSamples, MAX_SHAFT_SAMPLES);
+  }
+}
+
+// bounds: { min, max } Vector3 corners of the water volume, max.y at the surface
+export function createUnderwaterComposer(renderer, scene, camera, params, { light, bounds }) {
+  const { width, height } = renderer.getSize(new THREE.Vector2());
+  const composer = new EffectComposer(renderer);
+
+  const renderPass      = new DepthRenderPass(scene, camera);
+  const absorptionPass  = new AbsorptionPass({ renderPass, params, bounds });
+  const lightShaftsPass = new LightShaftsPass(light, { renderPass, params, bounds });
+  const bloomPass       = new UnrealBloomPass(new THREE.Vector2(width, height), 0, 0, 0);
+  const outputPass      = new OutputPass();
+  [renderPass, absorptionPass, lightShaftsPass, bloomPass, outputPass].forEach(pass => composer.addPass(pass));
+
+  return {
+    composer,
+    renderPass,
+    absorptionPass,
+    lightShaftsPass,
+    bloomPass,
+
+    setSize(w, h) {
+      composer.setSize(w, h);
+    },
+
+    render(delta) {
+      absorptionPass.enabled  = params.absorption;
+      lightShaftsPass.enabled = params.lightShafts;
+      bloomPass.enabled       = params.bloom;
+      bloomPass.strength      = params.bloomStrength;
+      bloomPass.radius        = params.bloomRadius;
+      bloomPass.threshold     = params.bloomThreshold;
+      composer.render(delta);
+    }
+  };
+}
@@ -0,0 +1,355 @@
+import * as THREE from 'three';
+import { GPUComputationRenderer } from 'three/examples/jsm/misc/GPUComputationRenderer.js';
+
+// Height-field water surface: a damped wave equation on a regular grid
+// centred on the origin, one texel per vertex of the surface mesh.
+//
+// Two solvers with the same API: WaterGPU runs ping-pong passes in float
+// render targets, WaterHeightField is the CPU fallback. Both expose the
+// heights as a texture in `uniforms`, which the surface shader and the
+// caustics sample through waterHeightChunk; createWaterSurface() picks one.
+//
+//   step(delta)                          advance the simulation
+//   disturb(x, z, strength, radius)      push the surface at world (x, z)
+//   readHeights(resX, resZ)              heights on a coarser grid, for recording
+
+export const WAVE_SPEED = 2.0;   // Ripple speed in world units / second
+export const DAMPING    = 0.995; // Per 1/60 s step, try 0.99-1.0
+
+const STEP = 1 / 60; // fixed solver step, larger frame deltas are substepped
+const MAX_STEPS = 4; // ...up to this many per frame
+const COURANT   = 0.5; // c * dt / cell stays below this, fine grids substep
+
+// Shared timing and uniforms; subclasses implement substep(dt)
+class WaterSolver {
+  // width / depth: world size of the surface, resX / resZ: texels per side
+  constructor({ width, depth, resX, resZ, waveSpeed = WAVE_SPEED, damping = DAMPING }) {
+    this.width  = width;
+    this.depth  = depth;
+    this.resX   = resX;
+    this.resZ   = resZ;
+    this.cellX  = width / (resX - 1);
+    this.cellZ  = depth / (resZ - 1);
+    this.waveSpeed = waveSpeed;
+    this.damping   = damping;
+    this.accumulator = 0;
+    this.time = 0;
+
+    // Wave speed over a fine grid needs several substeps per STEP to stay stable
+    this.substeps = Math.max(1, Math.ceil(waveSpeed * STEP / (COURANT * Math.min(this.cellX, this.cellZ))));
+
+    this.uniforms = {
+      heightMap:  { value: null },
+      waterSize:  { value: new THREE.Vector2(width, depth) },
+      waterRes:   { value: new THREE.Vector2(resX, resZ) },
+      waterTime:  { value: 0 }
+    };
+  }
+
+  step(delta) {
+    this.time += delta;
+    this.uniforms.waterTime.value = this.time;
+    this.accumulator = Math.min(this.accumulator + delta, STEP * MAX_STEPS);
+    const dt = STEP / this.substeps;
+    while (this.accumulator >= STEP) {
+      this.accumulator -= STEP;
+      for (let i = 0; i < this.substeps; i++) this.substep(dt);
+    }
+  }
+
+  // Damping per substep, so the decay per STEP doesn't depend on the grid
+  substepDamping() {
+    return Math.pow(this.damping, 1 / this.substeps);
+  }
+
+  // Adds the impulse of a push at world (x, z) to target, one value per
+  // texel: strength spread with a smooth falloff over `radius`
+  splat(target, x, z, strength, radius) {
+    const { resX, resZ, cellX, cellZ } = this;
+    const fx = (x + this.width / 2) / cellX;
+    const fz = (z + this.depth / 2) / cellZ;
+    const rx = Math.ceil(radius / cellX);
+    const rz = Math.ceil(radius / cellZ);
+    const x0 = Math.max(1, Math.floor(fx) - rx), x1 = Math.min(resX - 2, Math.ceil(fx) + rx);
+    const z0 = Math.max(1, Math.floor(fz) - rz), z1 = Math.min(resZ - 2, Math.ceil(fz) + rz);
+
+    for (let iz = z0; iz <= z1; iz++) {
+      for (let ix = x0; ix <= x1; ix++) {
+        const dx = (ix - fx) * cellX, dz = (iz - fz) * cellZ;
+        const d = Math.sqrt(dx * dx + dz * dz) / radius;
+        if (d >= 1) continue;
+        const falloff = 0.5 + 0.5 * Math.cos(Math.PI * d);
+        target[iz * resX + ix] += strength * falloff;
+      }
+    }
+  }
+}
+
+// Solver texel nearest to sample i of n along an axis with res texels
+function nearestTexel(i, n, res) {
+  return Math.round(i / (n - 1) * (res - 1));
+}
+
+export class WaterHeightField extends WaterSolver {
+  constructor(options) {
+    super(options);
+    const { resX, resZ } = this;
+    this.heights    = new Float32Array(resX * resZ);
+    this.velocities = new Float32Array(resX * resZ);
+
+    this.texture = new THREE.DataTexture(this.heights, resX, resZ, THREE.RedFormat, THREE.FloatType);
+    this.texture.needsUpdate = true;
+    this.uniforms.heightMap.value = this.texture;
+  }
+
+  step(delta) {
+    super.step(delta);
+    this.texture.needsUpdate = true;
+  }
+
+  substep(dt) {
+    const { resX, resZ, heights: h, velocities: v } = this;
+    const c2  = this.waveSpeed * this.waveSpeed;
+    const idx = 1 / (this.cellX * this.cellX);
+    const idz = 1 / (this.cellZ * this.cellZ);
+    const damping = this.substepDamping();
+    for (let z = 1; z < resZ - 1; z++) {
+      for (let x = 1; x < resX - 1; x++) {
+        const i = z * resX + x;
+        // Curvature of the surface drives the wave: h_tt = c^2 * laplacian(h)
+        const laplacian = (h[i - 1] + h[i + 1] - 2 * h[i]) * idx
+                        + (h[i - resX] + h[i + resX] - 2 * h[i]) * idz;
+        v[i] += laplacian * c2 * dt;
+        v[i] *= damping;
+      }
+    }
+    // Heights after all velocities, so the update doesn't sweep in one direction
+    for (let i = 0; i < h.length; i++) h[i] += v[i] * dt;
+  }
+
+  // Pushes the surface at world (x, z); positive strength lifts it.
+  // The impulse is spread with a smooth falloff over `radius`.
+  disturb(x, z, strength = 0.3, radius = 0.3) {
+    this.splat(this.velocities, x, z, strength, radius);
+  }
+
+  // Heights sampled on a resX x resZ grid over the same area (nearest texel)
+  readHeights(resX, resZ, target = new Float32Array(resX * resZ)) {
+    for (let z = 0; z < resZ; z++) {
+      const row = nearestTexel(z, resZ, this.resZ) * this.resX;
+      for (let x = 0; x < resX; x++) {
+        target[z * resX + x] = this.heights[row + nearestTexel(x, resX, this.resX)];
+      }
+    }
+    return target;
+  }
+
+  // Sum of kinetic and potential energy, handy to check the damping
+  energy() {
+    let e = 0;
+    for (let i = 0; i < this.heights.length; i++) {
+      e += this.velocities[i] * this.velocities[i] + this.heights[i] * this.heights[i];
+    }
+    return e * 0.5;
+  }
+}
+
+// Same update as WaterHeightField.substep, one texel per fragment.
+// r = height, g = velocity; border texels stay flat. Disturbances arrive
+// already splatted, as a velocity impulse per texel.
+const waterComputeShader = `
+uniform float dt;
+uniform float c2;
+uniform float damping;
+uniform vec2 cellSize;
+uniform sampler2D impulses;
+uniform float impulseScale; // 1 on the substep that takes them, else 0
+
+void main() {
+  vec2 texel = 1.0 / resolution.xy;
+  vec2 uv = gl_FragCoord.xy * texel;
+  vec2 cell = gl_FragCoord.xy - 0.5;
+  if (cell.x < 0.5 || cell.y < 0.5 || cell.x > resolution.x - 1.5 || cell.y > resolution.y - 1.5) {
+    gl_FragColor = vec4(0.0);
+    return;
+  }
+
+  vec4 state = texture2D(heightmap, uv);
+  float h = state.r;
+  float v = state.g;
+
+  v += texture2D(impulses, uv).r * impulseScale;
+
+  float hl = texture2D(heightmap, uv - vec2(texel.x, 0.0)).r;
+  float hr = texture2D(heightmap, uv + vec2(texel.x, 0.0)).r;
+  float hd = texture2D(heightmap, uv - vec2(0.0, texel.y)).r;
+  float hu = texture2D(heightmap, uv + vec2(0.0, texel.y)).r;
+  float laplacian = (hl + hr - 2.0 * h) / (cellSize.x * cellSize.x)
+                  + (hd + hu - 2.0 * h) / (cellSize.y * cellSize.y);
+  v = (v + laplacian * c2 * dt) * damping;
+  gl_FragColor = vec4(h + v * dt, v, 0.0, 1.0);
+}
+`;
+
+// Resamples the heightmap onto a coarser grid (nearest texel), see readHeights
+const waterReadShader = `
+uniform sampler2D heightmap;
+uniform vec2 outputRes;
+
+void main() {
+  vec2 cell = floor((gl_FragCoord.xy - 0.5) / (outputRes - 1.0) * (resolution.xy - 1.0) + 0.5);
+  gl_FragColor = vec4(texture2D(heightmap, (cell + 0.5) / resolution.xy).r, 0.0, 0.0, 1.0);
+}
+`;
+
+export class WaterGPU extends WaterSolver {
+  constructor(renderer, options) {
+    super(options);
+    const { resX, resZ } = this;
+    this.renderer = renderer;
+    this.gpuCompute = new GPUComputationRenderer(resX, resZ, renderer);
+    this.variable = this.gpuCompute.addVariable('heightmap', waterComputeShader, this.gpuCompute.createTexture());
+    this.gpuCompute.setVariableDependencies(this.variable, [this.variable]);
+
+    // Disturbances are splatted on the CPU, as WaterHeightField does, and
+    // uploaded once per frame however many there are
+    this.impulses   = new Float32Array(resX * resZ);
+    this.impulseMap = new THREE.DataTexture(this.impulses, resX, resZ, THREE.RedFormat, THREE.FloatType);
+    this.disturbed  = false;
+    Object.assign(this.variable.material.uniforms, {
+      dt:           { value: STEP / this.substeps },
+      c2:           { value: this.waveSpeed * this.waveSpeed },
+      damping:      { value: this.substepDamping() },
+      cellSize:     { value: new THREE.Vector2(this.cellX, this.cellZ) },
+      impulses:     { value: this.impulseMap },
+      impulseScale: { value: 0 }
+    });
+
+    // null when float render targets work
+    this.error = renderer.extensions.has('EXT_color_buffer_float')
+      ? this.gpuCompute.init()
+      : 'No support for float render targets.';
+    if (!this.error) this.uniforms.heightMap.value = this.texture;
+  }
+
+  get texture() {
+    return this.gpuCompute.getCurrentRenderTarget(this.variable).texture;
+  }
+
+  step(delta) {
+    super.step(delta);
+    this.uniforms.heightMap.value = this.texture;
+  }
+
+  // Queued disturbances go into the first substep only
+  substep() {
+    const { uniforms } = this.variable.material;
+    if (this.disturbed) {
+      this.impulseMap.needsUpdate = true;
+      uniforms.impulseScale.value = 1;
+    }
+    this.gpuCompute.compute();
+    if (this.disturbed) {
+      this.impulses.fill(0);
+      this.disturbed = false;
+      uniforms.impulseScale.value = 0;
+    }
+  }
+
+  disturb(x, z, strength = 0.3, radius = 0.3) {
+    this.splat(this.impulses, x, z, strength, radius);
+    this.disturbed = true;
+  }
+
+  // Renders the resampled heights into a small target and reads it back,
+  // a synchronous GPU round trip, so only while recording
+  readHeights(resX, resZ, target = new Float32Array(resX * resZ)) {
+    if (!this.readMaterial) {
+      this.readMaterial = this.gpuCompute.createShaderMaterial(waterReadShader, {
+        heightmap: { value: null },
+        outputRes: { value: new THREE.Vector2() }
+      });
+    }
+    if (!this.readTarget || this.readTarget.width !== resX || this.readTarget.height !== resZ) {
+      if (this.readTarget) this.readTarget.dispose();
+      this.readTarget = new THREE.WebGLRenderTarget(resX, resZ, {
+        type: THREE.FloatType,
+        minFilter: THREE.NearestFilter,
+        magFilter: THREE.NearestFilter,
+        depthBuffer: false
+      });
+      this.readPixels = new Float32Array(resX * resZ * 4);
+    }
+    this.readMaterial.uniforms.heightmap.value = this.texture;
+    this.readMaterial.uniforms.outputRes.value.set(resX, resZ);
+    this.gpuCompute.doRenderTarget(this.readMaterial, this.readTarget);
+    this.renderer.readRenderTargetPixels(this.readTarget, 0, 0, resX, resZ, this.readPixels);
+    for (let i = 0; i < resX * resZ; i++) target[i] = this.readPixels[i * 4];
+    return target;
+  }
+
+  dispose() {
+    this.gpuCompute.dispose();
+    this.impulseMap.dispose();
+    if (this.readTarget) this.readTarget.dispose();
+    if (this.readMaterial) this.readMaterial.dispose();
+  }
+}
+
+// GPU solver where float render targets are available, CPU otherwise.
+// The CPU fallback runs at most cpuRes texels per side, build the surface
+// mesh from the returned solver's resX / resZ.
+export function createWaterSurface(renderer, options, { gpu = true, cpuRes = 128 } = {}) {
+  if (gpu) {
+    const water = new WaterGPU(renderer, options);
+    if (!water.error) return water;
+    console.warn('Water: falling back to the CPU solver:', water.error);
+    water.dispose();
+  }
+  return new WaterHeightField({
+    ...options,
+    resX: Math.min(options.resX, cpuRes),
+    resZ: Math.min(options.resZ, cpuRes)
+  });
+}
+
+// Vertex shader chunk, all functions return (height, dh/dx, dh/dz) at world xz:
+//   waterHeight   the simulated ripples
+//   waterSwell    a slow analytic swell on top
+//   waterSurface  both together
+// Uniforms come from solver.uniforms.
+export const waterHeightChunk = `
+uniform sampler2D heightMap;
+uniform vec2 waterSize;
+uniform vec2 waterRes;
+uniform float waterTime;
+
+vec3 waterHeight(vec2 xz) {
+  vec2 cell  = waterSize / (waterRes - 1.0);
+  vec2 texel = 1.0 / waterRes;
+  vec2 uv = ((xz + waterSize * 0.5) / cell + 0.5) * texel;
+  float h  = texture2D(heightMap, uv).r;
+  float hl = texture2D(heightMap, uv - vec2(texel.x, 0.0)).r;
+  float hr = texture2D(heightMap, uv + vec2(texel.x, 0.0)).r;
+  float hd = texture2D(heightMap, uv - vec2(0.0, texel.y)).r;
+  float hu = texture2D(heightMap, uv + vec2(0.0, texel.y)).r;
+  return vec3(h, (hr - hl) / (2.0 * cell.x), (hu - hd) / (2.0 * cell.y));
+}
+
+vec3 waterSwell(vec2 xz) {
+  float freq = 2.0;
+  float amp = 0.15;
+  float phase = waterTime * 0.7;
+  float a = xz.x * freq + phase;
+  float b = xz.y * freq * 1.3 - phase * 1.5;
+  return vec3(
+    sin(a) * amp + sin(b) * amp * 0.6,
+    cos(a) * amp * freq,
+    cos(b) * amp * 0.6 * freq * 1.3
+  );
+}
+
+vec3 waterSurface(vec2 xz) {
+  return waterHeight(xz) + waterSwell(xz);
+}
+`;